@@ -9,30 +9,65 @@ import BookSearch from './components/BookSearch';
 import AIChat from './components/AIChat';
 import AdminPanel from './components/AdminPanel';
 import UserBookings from './components/UserBookings';
+import BookDetail from './components/BookDetail';
+import CirculationDesk from './components/CirculationDesk';
+import SessionExpiryModal from './components/SessionExpiryModal';
+import { ProtectedRoute, RequireRole } from './components/RouteGuards';
+import { PERMISSIONS } from './utils/permissions';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import './App.css';
 
 function App() {
   return (
-    <AuthProvider>
-      <Router>
+    <Router>
+      <AuthProvider>
         <div className="App">
           <Navbar />
+          <SessionExpiryModal />
           <div className="container mt-4">
             <Routes>
               <Route path="/" element={<Dashboard />} />
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
               <Route path="/search" element={<BookSearch />} />
+              <Route path="/books/:id" element={<BookDetail />} />
               <Route path="/chat" element={<AIChat />} />
-              <Route path="/admin" element={<AdminPanel />} />
-              <Route path="/bookings" element={<UserBookings />} />
+              <Route
+                path="/admin"
+                element={
+                  <ProtectedRoute>
+                    <RequireRole permission={PERMISSIONS.ADMIN_PANEL}>
+                      <AdminPanel />
+                    </RequireRole>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/desk"
+                element={
+                  <ProtectedRoute>
+                    <RequireRole permission={PERMISSIONS.BOOKINGS_CHECKOUT}>
+                      <CirculationDesk />
+                    </RequireRole>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/bookings"
+                element={
+                  <ProtectedRoute>
+                    <RequireRole permission={PERMISSIONS.BOOKINGS_READ_OWN}>
+                      <UserBookings />
+                    </RequireRole>
+                  </ProtectedRoute>
+                }
+              />
               <Route path="*" element={<Navigate to="/" />} />
             </Routes>
           </div>
         </div>
-      </Router>
-    </AuthProvider>
+      </AuthProvider>
+    </Router>
   );
 }
 
@@ -1,11 +1,14 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Card, Form, Button, Alert, Spinner, Dropdown, DropdownButton } from 'react-bootstrap';
 import { FaMicrophone, FaMicrophoneSlash, FaPaperPlane, FaLanguage } from 'react-icons/fa';
+import { Link } from 'react-router-dom';
 import apiService from '../services/api';
+import usePhoneticInput from '../hooks/usePhoneticInput';
 
 const AIChat = () => {
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
+  const phonetic = usePhoneticInput();
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [isListening, setIsListening] = useState(false);
@@ -95,8 +98,11 @@ const AIChat = () => {
     
     if (!inputMessage.trim()) return;
 
+    // In phonetic mode the last word may not have been converted yet
+    const messageText = phonetic.commit(inputMessage);
+
     const userMessage = {
-      text: inputMessage,
+      text: messageText,
       isUser: true,
       timestamp: new Date(),
       language: selectedLanguage
@@ -107,10 +113,10 @@ const AIChat = () => {
     setIsLoading(true);
     setError('');
 
-    console.log('Sending message:', inputMessage, 'in language:', selectedLanguage);
+    console.log('Sending message:', messageText, 'in language:', selectedLanguage);
 
     try {
-      const response = await apiService.sendChatMessage(inputMessage, selectedLanguage);
+      const response = await apiService.sendChatMessage(messageText, selectedLanguage);
       
       if (response.success) {
         const aiMessage = {
@@ -125,7 +131,7 @@ const AIChat = () => {
         setMessages(prev => [...prev, aiMessage]);
       } else {
         console.error('API returned error:', response.error);
-        setError(`Failed to get response: ${response.error.message || response.error || 'Please try again.'}`);
+        setError(`Failed to get response: ${response.error.message}`);
       }
     } catch (err) {
       console.error('Error sending message:', err);
@@ -294,7 +300,11 @@ const AIChat = () => {
                       <div key={bookIndex} className="border rounded p-3 mb-2 bg-white shadow-sm">
                         <div className="d-flex justify-content-between align-items-start">
                           <div className="flex-grow-1">
-                            <h6 className="mb-2 text-primary fw-bold">{book.title}</h6>
+                            <h6 className="mb-2 fw-bold">
+                              <Link to={`/books/${book.id}`} className="text-primary text-decoration-none">
+                                {book.title}
+                              </Link>
+                            </h6>
                             <div className="row">
                               <div className="col-md-6">
                                 <p className="mb-1 text-muted small">
@@ -392,7 +402,7 @@ const AIChat = () => {
                 <Form.Control
                   type="text"
                   value={inputMessage}
-                  onChange={(e) => setInputMessage(e.target.value)}
+                  onChange={(e) => setInputMessage(phonetic.transform(e.target.value, inputMessage))}
                   placeholder={getPlaceholderText()}
                   disabled={isLoading}
                   className="pe-5"
@@ -409,6 +419,16 @@ const AIChat = () => {
                   {isListening ? <FaMicrophoneSlash className="text-danger" /> : <FaMicrophone />}
                 </Button>
               </div>
+              <Button
+                type="button"
+                variant={phonetic.enabled ? 'success' : 'outline-secondary'}
+                onClick={phonetic.toggle}
+                disabled={isLoading}
+                title={phonetic.enabled ? 'Phonetic Bangla typing on (ami -> আমি)' : 'Type Bangla phonetically'}
+                aria-pressed={phonetic.enabled}
+              >
+                অ
+              </Button>
               <Button
                 type="submit"
                 variant="primary"
@@ -1,13 +1,103 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Container, Row, Col, Card, Table, Button, Modal, Form, Alert, Tabs, Tab, Spinner, Badge, InputGroup } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { useNavigate } from 'react-router-dom';
 import apiService from '../services/api';
+import { ERROR_CODES } from '../services/apiError';
+import { PERMISSIONS, ROLES, ROLE_LABELS } from '../utils/permissions';
+import {
+  HOLD_STATUS,
+  groupHoldsByBook,
+  getHoldStatusVariant,
+  formatPickupDeadline,
+  describePromotedHold
+} from '../utils/holds';
+import {
+  getLoanStatus,
+  getCountdownLabel,
+  getCountdownVariant,
+  summarizeFinesByUser,
+  formatFine
+} from '../utils/loanStatus';
+import { resolvePolicy } from '../utils/loanPolicy';
+import useLoanPolicy from '../hooks/useLoanPolicy';
+import useQuantityEditor from '../hooks/useQuantityEditor';
+import PolicySettings from './PolicySettings';
+import BookImportWizard from './BookImportWizard';
+import { validateBook } from '../utils/bookValidation';
+import ExportMenu from './ExportMenu';
+import { BOOK_EXPORT_FORMATS } from '../utils/exporters';
+import { isValidIsbn, normalizeIsbn, findDuplicateIsbn } from '../utils/isbn';
+import { lookupBookMetadata } from '../services/bookMetadata';
+import { hasTrackedCopies, formatCopyLabel } from '../utils/copies';
+import CopyManagerDrawer from './CopyManagerDrawer';
+import UserDetailDrawer from './UserDetailDrawer';
+import UndoToast from './UndoToast';
+import TrashBin from './TrashBin';
+import AuditLog from './AuditLog';
+import { AUDIT_REASONS } from '../utils/audit';
+import { TRASH_TYPES, describeDeleteBlock } from '../utils/trash';
+import { ACCOUNT_STATUS, ACCOUNT_STATUS_LABELS, getAccountStatusVariant } from '../utils/accounts';
+import DataTable from './DataTable';
+import useServerTable from '../hooks/useServerTable';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import { fetchAllPages } from '../utils/paging';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+// Stable page loaders for useServerTable
+const fetchBooksPage = (query) => apiService.getBooksPage(query);
+const fetchUsersPage = (query) => apiService.getUsersPage(query);
+const fetchBookingsPage = (query) => apiService.getBookingsPage(query);
+
+// Loans still out for a book or user; deletes wait until this is zero.
+// null when the check itself failed, so the delete is refused rather than risked.
+const countActiveLoans = async (filters) => {
+  const result = await apiService.getBookingsPage({ size: 1, filters: { ...filters, status: 'ACTIVE' } });
+  return result.success ? result.data.total : null;
+};
+
+const BOOK_SORT = { key: 'title', direction: 'asc' };
+const USER_SORT = { key: 'userName', direction: 'asc' };
+const BOOKING_SORT = { key: 'bookingDate', direction: 'desc' };
+
+// OVERDUE is worked out by the server from the loan policy, not a stored status
+const BOOKING_STATUS_OPTIONS = [
+  { value: 'ACTIVE', label: 'Active' },
+  { value: 'OVERDUE', label: 'Overdue' },
+  { value: 'RETURNED', label: 'Returned' },
+];
+
+const BOOK_EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'title', header: 'Title' },
+  { key: 'author', header: 'Author' },
+  { key: 'authorBengali', header: 'Author (Bengali)' },
+  { key: 'publishedYear', header: 'Year' },
+  { key: 'quantity', header: 'Quantity' },
+  { key: 'isbn', header: 'ISBN' },
+  { key: 'genre', header: 'Genre' },
+  { key: 'description', header: 'Description' },
+];
+
+// Fields "Fetch details" may fill; anything already typed in is kept
+const METADATA_FIELDS = ['title', 'author', 'authorBengali', 'publishedYear', 'description'];
+
+const USER_EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'userName', header: 'Username' },
+  { key: 'fullName', header: 'Full Name' },
+  { key: 'email', header: 'Email' },
+  { key: 'roles', header: 'Role', value: (user) => (user.roles || []).map((role) => ROLE_LABELS[role] || role).join(', ') },
+  { key: 'status', header: 'Status', value: (user) => ACCOUNT_STATUS_LABELS[user.status] || ACCOUNT_STATUS_LABELS.ACTIVE },
+  { key: 'suspensionReason', header: 'Suspension Reason' },
+  { key: 'createdAt', header: 'Created', value: (user) => formatDate(user.createdAt) },
+];
 
 const AdminPanel = () => {
-  const [books, setBooks] = useState([]);
-  const [users, setUsers] = useState([]);
-  const [bookings, setBookings] = useState([]);
+  const [counts, setCounts] = useState({ books: 0, users: 0, activeBookings: 0 });
+  const [fineBookings, setFineBookings] = useState([]);
+  const [holds, setHolds] = useState([]);
   const [showBookModal, setShowBookModal] = useState(false);
   const [editingBook, setEditingBook] = useState(null);
   const [bookForm, setBookForm] = useState({
@@ -25,37 +115,87 @@ const AdminPanel = () => {
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [activeTab, setActiveTab] = useState('books');
-  const { isAdmin, loading: authLoading } = useAuth();
-  const navigate = useNavigate();
+  const [showImportWizard, setShowImportWizard] = useState(false);
+  const [fetchingDetails, setFetchingDetails] = useState(false);
+  const [detailsStatus, setDetailsStatus] = useState(null);
+  const [copiesBook, setCopiesBook] = useState(null);
+  const [detailUser, setDetailUser] = useState(null);
+  const [undoAction, setUndoAction] = useState(null);
+  const [changeReason, setChangeReason] = useState('');
+  const [isbnMatches, setIsbnMatches] = useState([]);
+  const [isbnCheckError, setIsbnCheckError] = useState('');
+  const isbnRequestRef = useRef(0);
+  const { can, isLibrarian } = useAuth();
+  const canManageUsers = can(PERMISSIONS.USERS_READ);
+  const canManageHolds = can(PERMISSIONS.HOLDS_MANAGE);
+  const bookTable = useServerTable(fetchBooksPage, { sort: BOOK_SORT });
+  const userTable = useServerTable(fetchUsersPage, { sort: USER_SORT, enabled: canManageUsers });
+  const bookingTable = useServerTable(fetchBookingsPage, { sort: BOOKING_SORT });
+  const books = bookTable.rows;
+  const setBooks = bookTable.setRows;
+  const holdQueues = groupHoldsByBook(holds);
+  const { rawPolicy, reload: reloadPolicy } = useLoanPolicy();
+  const quantityEditor = useQuantityEditor(books, setBooks);
+  const [quantityConflict] = quantityEditor.conflicts;
+  const finesByUser = summarizeFinesByUser(fineBookings, rawPolicy);
+  const isbnInvalid = bookForm.isbn.trim() !== '' && !isValidIsbn(bookForm.isbn);
+  const isbnDuplicate = showBookModal && !isbnInvalid
+    ? findDuplicateIsbn(bookForm.isbn, isbnMatches, editingBook?.id ?? null)
+    : null;
+  // Only the current page is loaded, so ask the server for books with this ISBN
+  const isbnToCheck = useDebouncedValue(showBookModal && isValidIsbn(bookForm.isbn) ? normalizeIsbn(bookForm.isbn) : '', 400);
+  const getBookingLoan = (booking) => getLoanStatus(booking, resolvePolicy(rawPolicy, booking.user?.roles?.[0]));
 
-  useEffect(() => {
-    if (!authLoading) {
-      if (!isAdmin()) {
-        navigate('/');
-        return;
-      }
-      fetchData();
-    }
-  }, [isAdmin, authLoading, navigate]);
+  const bookingExportColumns = [
+    { key: 'id', header: 'ID' },
+    { key: 'user', header: 'User', value: (booking) => booking.user?.userName },
+    { key: 'book', header: 'Book', value: (booking) => booking.book?.title },
+    { key: 'author', header: 'Author', value: (booking) => booking.book?.author },
+    { key: 'copy', header: 'Copy', value: (booking) => formatCopyLabel(booking.copy) },
+    { key: 'bookingDate', header: 'Booked', value: (booking) => formatDate(booking.bookingDate) },
+    { key: 'dueDate', header: 'Due', value: (booking) => formatDate(getBookingLoan(booking).dueDate) },
+    { key: 'returnDate', header: 'Returned', value: (booking) => formatDate(booking.returnDate) },
+    { key: 'status', header: 'Status' },
+    { key: 'fine', header: 'Fine (BDT)', value: (booking) => getBookingLoan(booking).fine },
+  ];
 
-  const fetchData = async () => {
+  // Counts, outstanding fines and hold queues shown around the tables
+  const loadSummary = useCallback(async () => {
     setLoading(true);
     setError('');
 
     try {
-      const [booksResult, usersResult, bookingsResult] = await Promise.all([
-        apiService.getAllBooks(),
-        apiService.getAllUsers(),
-        apiService.getAllBookings()
+      // Librarians can't list users, so don't ask for them
+      const [bookCountsResult, userCountResult, activeCountResult, finesResult, holdsResult] = await Promise.all([
+        apiService.getBookCounts(),
+        canManageUsers ? apiService.getUserCount() : Promise.resolve({ success: true, data: { total: 0 } }),
+        apiService.getBookingCount('ACTIVE'),
+        // Overdue loans plus returned ones with unpaid fines
+        fetchAllPages(fetchBookingsPage, { filters: { fines: 'OUTSTANDING' } })
+          .then(items => ({ success: true, data: items }), error => ({ success: false, error })),
+        canManageHolds ? apiService.getAllHolds() : Promise.resolve({ success: true, data: [] })
       ]);
 
-      if (booksResult.success) setBooks(booksResult.data);
-      if (usersResult.success) setUsers(usersResult.data);
-      if (bookingsResult.success) setBookings(bookingsResult.data);
+      setCounts(prev => ({
+        books: bookCountsResult.success ? bookCountsResult.data.titles : prev.books,
+        users: userCountResult.success ? userCountResult.data.total : prev.users,
+        activeBookings: activeCountResult.success ? activeCountResult.data.total : prev.activeBookings
+      }));
+      if (finesResult.success) setFineBookings(finesResult.data);
+      if (holdsResult.success) setHolds(holdsResult.data);
 
-      // Check for any errors
-      if (!booksResult.success || !usersResult.success || !bookingsResult.success) {
-        setError('Some data could not be loaded. Please refresh the page.');
+      // Keep whatever did load and report only the sections that failed
+      const failed = [
+        ['Book count', bookCountsResult],
+        ['User count', userCountResult],
+        ['Booking count', activeCountResult],
+        ['Fines', finesResult],
+        ['Holds', holdsResult]
+      ].filter(([, result]) => !result.success);
+
+      if (failed.length > 0) {
+        const details = failed.map(([label, result]) => `${label}: ${result.error.message}`).join('; ');
+        setError(`Some data could not be loaded (${details}). Please refresh the page.`);
       }
     } catch (error) {
       console.error('Error fetching admin data:', error);
@@ -63,6 +203,35 @@ const AdminPanel = () => {
     } finally {
       setLoading(false);
     }
+  }, [canManageUsers, canManageHolds]);
+
+  useEffect(() => {
+    loadSummary();
+  }, [loadSummary]);
+
+  useEffect(() => {
+    // Ignore replies to lookups that a newer ISBN has overtaken
+    const requestId = isbnRequestRef.current + 1;
+    isbnRequestRef.current = requestId;
+    setIsbnCheckError('');
+
+    if (!isbnToCheck) {
+      setIsbnMatches([]);
+      return;
+    }
+    apiService.getBooksPage({ size: 5, filters: { isbn: isbnToCheck } }).then(result => {
+      if (isbnRequestRef.current !== requestId) return;
+      setIsbnMatches(result.data.items);
+      if (!result.success) setIsbnCheckError(result.error.message);
+    });
+  }, [isbnToCheck]);
+
+  // Tables page themselves; this reloads them along with the summary
+  const fetchData = () => {
+    bookTable.reload();
+    userTable.reload();
+    bookingTable.reload();
+    return loadSummary();
   };
 
   const handleBookSubmit = async (e) => {
@@ -77,12 +246,13 @@ const AdminPanel = () => {
       const bookData = {
         ...bookForm,
         publishedYear: parseInt(bookForm.publishedYear),
-        quantity: parseInt(bookForm.quantity)
+        quantity: parseInt(bookForm.quantity),
+        isbn: normalizeIsbn(bookForm.isbn)
       };
 
       let result;
       if (editingBook) {
-        result = await apiService.updateBook(editingBook.id, bookData);
+        result = await apiService.updateBook(editingBook.id, bookData, changeReason);
       } else {
         result = await apiService.createBook(bookData);
       }
@@ -94,7 +264,7 @@ const AdminPanel = () => {
         fetchData();
         setSuccessMessage(`Book ${editingBook ? 'updated' : 'created'} successfully!`);
       } else {
-        setError(result.error);
+        setError(result.error.message);
       }
     } catch (error) {
       console.error('Error saving book:', error);
@@ -105,67 +275,121 @@ const AdminPanel = () => {
   };
 
   const validateBookForm = () => {
-    if (!bookForm.title.trim()) {
-      setError('Title is required');
-      return false;
-    }
-    if (!bookForm.author.trim()) {
-      setError('Author is required');
+    // Same rules the bulk importer applies to each row
+    const [firstError] = Object.values(validateBook(bookForm));
+    if (firstError) {
+      setError(firstError);
       return false;
     }
-    if (!bookForm.publishedYear || bookForm.publishedYear < 1000) {
-      setError('Valid published year is required');
-      return false;
-    }
-    if (!bookForm.quantity || bookForm.quantity < 0) {
-      setError('Valid quantity is required');
+    if (isbnDuplicate) {
+      setError(`ISBN is already used by "${isbnDuplicate.title}".`);
       return false;
     }
     return true;
   };
 
-  const deleteBook = async (id, title) => {
-    if (window.confirm(`Are you sure you want to delete "${title}"? This action cannot be undone.`)) {
-      try {
-        const result = await apiService.deleteBook(id);
-        if (result.success) {
-          fetchData();
-          setSuccessMessage('Book deleted successfully!');
-        } else {
-          setError(result.error);
-        }
-      } catch (error) {
-        console.error('Error deleting book:', error);
-        setError('Failed to delete book. Please try again.');
+  const fetchBookDetails = async () => {
+    setFetchingDetails(true);
+    setDetailsStatus(null);
+
+    try {
+      const result = await lookupBookMetadata(bookForm.isbn);
+      if (result.success) {
+        const filled = METADATA_FIELDS.filter(
+          field => result.data[field] !== undefined && String(bookForm[field]).trim() === ''
+        );
+        setBookForm(prev => filled.reduce(
+          (form, field) => ({ ...form, [field]: String(result.data[field]) }),
+          prev
+        ));
+        setDetailsStatus(filled.length > 0
+          ? { variant: 'success', message: `Filled in ${filled.length} field(s). Check them before saving.` }
+          : { variant: 'muted', message: 'Details found, but every field they cover is already filled in.' });
+      } else {
+        setDetailsStatus({ variant: 'danger', message: result.error.message });
       }
+    } catch (error) {
+      console.error('Error fetching book details:', error);
+      setDetailsStatus({ variant: 'danger', message: 'Failed to fetch book details. Please try again.' });
+    } finally {
+      setFetchingDetails(false);
     }
   };
 
-  const deleteUser = async (id, username) => {
-    if (window.confirm(`Are you sure you want to delete user "${username}"? This action cannot be undone.`)) {
-      try {
-        const result = await apiService.deleteUser(id);
-        if (result.success) {
-          fetchData();
-          setSuccessMessage('User deleted successfully!');
-        } else {
-          setError(result.error);
-        }
-      } catch (error) {
-        console.error('Error deleting user:', error);
-        setError('Failed to delete user. Please try again.');
+  // Soft delete: the item goes to the Trash and the toast offers an undo.
+  // Anything with loans still out is refused with the reason instead.
+  const softDelete = async ({ type, id, name, filters, remove, restore, label }) => {
+    setError('');
+    try {
+      const activeLoans = await countActiveLoans(filters);
+      if (activeLoans === null) {
+        setError(`Couldn't check whether ${label} has anything out on loan, so nothing was deleted. Please try again.`);
+        return;
+      }
+      if (activeLoans > 0) {
+        setError(describeDeleteBlock(type, name, activeLoans));
+        return;
+      }
+
+      const result = await remove(id);
+      if (result.success) {
+        fetchData();
+        setUndoAction({
+          id: `${type}-${id}-${Date.now()}`,
+          message: `${label} moved to the Trash.`,
+          onUndo: async () => {
+            const restored = await restore(id);
+            if (restored.success) {
+              fetchData();
+              setSuccessMessage(`${label} restored.`);
+            } else {
+              setError(restored.error.message);
+            }
+          }
+        });
+      } else if (result.error.code === ERROR_CODES.CONFLICT) {
+        setError(describeDeleteBlock(type, name, result.error.details?.activeLoans));
+      } else {
+        setError(result.error.message);
       }
+    } catch (error) {
+      console.error(`Error deleting ${type.toLowerCase()}:`, error);
+      setError('Failed to delete. Please try again.');
     }
   };
 
-  const returnBook = async (bookingId) => {
+  const deleteBook = (id, title) => softDelete({
+    type: TRASH_TYPES.BOOK,
+    id,
+    name: title,
+    label: `"${title}"`,
+    filters: { bookId: id },
+    remove: (bookId) => apiService.deleteBook(bookId, AUDIT_REASONS.MOVED_TO_TRASH),
+    restore: (bookId) => apiService.restoreBook(bookId)
+  });
+
+  const deleteUser = (id, username) => softDelete({
+    type: TRASH_TYPES.USER,
+    id,
+    name: username,
+    label: `User "${username}"`,
+    filters: { userId: id },
+    remove: (userId) => apiService.deleteUser(userId, AUDIT_REASONS.MOVED_TO_TRASH),
+    restore: (userId) => apiService.restoreUser(userId)
+  });
+
+  const returnBook = async (booking) => {
     try {
-      const result = await apiService.adminReturnBook(bookingId);
+      const result = await apiService.adminReturnBook(booking.id, AUDIT_REASONS.ADMIN_RETURN);
       if (result.success) {
+        // The returned copy goes to the front of the queue instead of back on the shelf
+        const promotedHold = result.data?.promotedHold;
+        setSuccessMessage(promotedHold
+          ? `Book returned. ${describePromotedHold(promotedHold)}`
+          : 'Book return processed successfully!');
         fetchData();
-        setSuccessMessage('Book return processed successfully!');
       } else {
-        setError(result.error);
+        setError(result.error.message);
       }
     } catch (error) {
       console.error('Error returning book:', error);
@@ -173,28 +397,45 @@ const AdminPanel = () => {
     }
   };
 
-  const updateBookQuantity = async (bookId, newQuantity) => {
-    if (newQuantity < 0) return;
+  const cancelHold = async (hold) => {
+    if (!window.confirm(`Remove ${hold.user?.userName || 'this patron'} from the queue for "${hold.book?.title}"?`)) return;
 
     try {
-      const result = await apiService.updateBookQuantity(bookId, newQuantity);
+      const result = await apiService.adminCancelHold(hold.id);
       if (result.success) {
-        // Update local state immediately for better UX
-        setBooks(prevBooks => 
-          prevBooks.map(book => 
-            book.id === bookId ? { ...book, quantity: newQuantity } : book
-          )
+        setHolds(prevHolds => prevHolds.filter(h => h.id !== hold.id));
+        setSuccessMessage('Hold cancelled.');
+      } else {
+        setError(result.error.message);
+      }
+    } catch (error) {
+      console.error('Error cancelling hold:', error);
+      setError('Failed to cancel hold. Please try again.');
+    }
+  };
+
+  const updateUserRole = async (user, role) => {
+    try {
+      const result = await apiService.updateUserRole(user.id, role);
+      if (result.success) {
+        userTable.setRows(prevUsers =>
+          prevUsers.map(u => (u.id === user.id ? { ...u, roles: [role] } : u))
         );
-        setSuccessMessage('Book quantity updated successfully!');
+        setSuccessMessage(`${user.userName} is now a ${ROLE_LABELS[role]}.`);
       } else {
-        setError(result.error);
-        // Refresh data to revert UI changes
-        fetchData();
+        setError(result.error.message);
       }
     } catch (error) {
-      console.error('Error updating quantity:', error);
-      setError('Failed to update quantity. Please try again.');
-      fetchData();
+      console.error('Error updating role:', error);
+      setError('Failed to update user role. Please try again.');
+    }
+  };
+
+  const getRoleVariant = (role) => {
+    switch (role) {
+      case ROLES.ADMIN: return 'warning';
+      case ROLES.LIBRARIAN: return 'success';
+      default: return 'info';
     }
   };
 
@@ -229,6 +470,8 @@ const AdminPanel = () => {
       resetBookForm();
     }
     setError('');
+    setDetailsStatus(null);
+    setChangeReason('');
     setShowBookModal(true);
   };
 
@@ -241,7 +484,269 @@ const AdminPanel = () => {
     }
   };
 
-  if (authLoading || (loading && books.length === 0)) {
+  const bookColumns = [
+    {
+      key: 'title',
+      header: 'Title',
+      sortKey: 'title',
+      filter: { type: 'text' },
+      render: (book) => (
+        <>
+          <strong>{book.title}</strong>
+          {book.isbn && (
+            <div className="text-muted small">ISBN: {book.isbn}</div>
+          )}
+        </>
+      )
+    },
+    { key: 'author', header: 'Author', sortKey: 'author', filter: { type: 'text' } },
+    { key: 'publishedYear', header: 'Year', sortKey: 'publishedYear', filter: { type: 'text', placeholder: 'e.g. 1999' } },
+    {
+      key: 'quantity',
+      header: 'Quantity',
+      sortKey: 'quantity',
+      render: (book) => (hasTrackedCopies(book) ? (
+        <span title="Copies on the shelf / all copies">
+          <strong>{book.quantity}</strong>
+          <span className="text-muted"> / {book.copyCount}</span>
+        </span>
+      ) : (
+        <div className="d-flex align-items-center gap-1">
+          <InputGroup size="sm" style={{ width: '100px' }}>
+            <Form.Control
+              type="number"
+              value={quantityEditor.valueFor(book)}
+              onChange={(e) => quantityEditor.edit(book, e.target.value)}
+              onBlur={quantityEditor.flush}
+              min="0"
+              isInvalid={quantityEditor.isPending(book.id) && !/^\d+$/.test(quantityEditor.valueFor(book))}
+              className={quantityEditor.isPending(book.id) ? 'border-warning' : ''}
+              disabled={!can(PERMISSIONS.INVENTORY_WRITE) || quantityEditor.isSaving(book.id)}
+            />
+          </InputGroup>
+          {quantityEditor.isSaving(book.id) && (
+            <Spinner animation="border" size="sm" role="status" aria-label="Saving" />
+          )}
+          {quantityEditor.isPending(book.id) && (
+            <>
+              <Badge bg="warning" text="dark">pending</Badge>
+              <Button
+                variant="link"
+                size="sm"
+                className="p-0"
+                title="Discard this change"
+                onClick={() => quantityEditor.discard(book.id)}
+              >
+                ↩️
+              </Button>
+            </>
+          )}
+        </div>
+      ))
+    },
+    {
+      key: 'genre',
+      header: 'Genre',
+      sortKey: 'genre',
+      filter: { type: 'text' },
+      render: (book) => (
+        <Badge bg="secondary">
+          {book.genre || 'Unspecified'}
+        </Badge>
+      )
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (book) => (
+        <div className="d-flex gap-2">
+          {can(PERMISSIONS.BOOKS_WRITE) && (
+            <Button
+              variant="outline-primary"
+              size="sm"
+              onClick={() => openBookModal(book)}
+            >
+              ✏️ Edit
+            </Button>
+          )}
+          <Button
+            variant="outline-secondary"
+            size="sm"
+            onClick={() => setCopiesBook(book)}
+          >
+            📦 Copies
+          </Button>
+          {can(PERMISSIONS.BOOKS_DELETE) && (
+            <Button
+              variant="outline-danger"
+              size="sm"
+              onClick={() => deleteBook(book.id, book.title)}
+            >
+              🗑️ Delete
+            </Button>
+          )}
+        </div>
+      )
+    }
+  ];
+
+  const userColumns = [
+    { key: 'userName', header: 'Username', sortKey: 'userName', filter: { type: 'text' }, render: (user) => <strong>{user.userName}</strong> },
+    { key: 'fullName', header: 'Full Name', sortKey: 'fullName', filter: { type: 'text' }, render: (user) => user.fullName || '-' },
+    { key: 'email', header: 'Email', sortKey: 'email', filter: { type: 'text' }, render: (user) => user.email || '-' },
+    {
+      key: 'role',
+      header: 'Role',
+      filter: { type: 'select', options: Object.values(ROLES).map(role => ({ value: role, label: ROLE_LABELS[role] })) },
+      render: (user) => (can(PERMISSIONS.USERS_ASSIGN_ROLES) ? (
+        <Form.Select
+          size="sm"
+          style={{ width: '150px' }}
+          value={user.roles?.[0] || ROLES.USER}
+          onChange={(e) => updateUserRole(user, e.target.value)}
+        >
+          {Object.values(ROLES).map(role => (
+            <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+          ))}
+        </Form.Select>
+      ) : (
+        user.roles?.map(role => (
+          <Badge
+            key={role}
+            bg={getRoleVariant(role)}
+            className="me-1"
+          >
+            {role.replace('ROLE_', '')}
+          </Badge>
+        ))
+      ))
+    },
+    {
+      key: 'status',
+      header: 'Status',
+      filter: { type: 'select', options: Object.values(ACCOUNT_STATUS).map(status => ({ value: status, label: ACCOUNT_STATUS_LABELS[status] })) },
+      render: (user) => (
+        <Badge bg={getAccountStatusVariant(user.status)} title={user.suspensionReason || undefined}>
+          {ACCOUNT_STATUS_LABELS[user.status] || ACCOUNT_STATUS_LABELS.ACTIVE}
+        </Badge>
+      )
+    },
+    {
+      key: 'createdAt',
+      header: 'Created',
+      sortKey: 'createdAt',
+      render: (user) => (user.createdAt ? new Date(user.createdAt).toLocaleDateString() : '-')
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (user) => (
+        <div className="d-flex gap-1">
+          <Button
+            variant="outline-primary"
+            size="sm"
+            onClick={() => setDetailUser(user)}
+          >
+            👤 Manage
+          </Button>
+          {can(PERMISSIONS.USERS_DELETE) && (
+            <Button
+              variant="outline-danger"
+              size="sm"
+              onClick={() => deleteUser(user.id, user.userName)}
+            >
+              🗑️ Delete
+            </Button>
+          )}
+        </div>
+      )
+    }
+  ];
+
+  const bookingColumns = [
+    {
+      key: 'user',
+      header: 'User',
+      sortKey: 'user.userName',
+      filter: { type: 'text' },
+      render: (booking) => <strong>{booking.user?.userName || 'Unknown'}</strong>
+    },
+    {
+      key: 'book',
+      header: 'Book',
+      sortKey: 'book.title',
+      filter: { type: 'text', placeholder: 'Title, author or copy' },
+      render: (booking) => (
+        <div>
+          <strong>{booking.book?.title || 'Unknown Book'}</strong>
+          <div className="text-muted small">
+            by {booking.book?.author || 'Unknown Author'}
+          </div>
+          {booking.copy && (
+            <div className="text-muted small">📦 {formatCopyLabel(booking.copy)}</div>
+          )}
+        </div>
+      )
+    },
+    {
+      key: 'bookingDate',
+      header: 'Booking Date',
+      sortKey: 'bookingDate',
+      render: (booking) => (booking.bookingDate ? new Date(booking.bookingDate).toLocaleDateString() : 'N/A')
+    },
+    {
+      key: 'due',
+      header: 'Due',
+      sortKey: 'dueDate',
+      render: (booking) => {
+        const loan = getBookingLoan(booking);
+        return (
+          <>
+            <Badge bg={getCountdownVariant(loan)} className="status-badge">
+              {getCountdownLabel(loan)}
+            </Badge>
+            {loan.fine > 0 && (
+              <div className="small text-danger mt-1">
+                Fine: {formatFine(loan.fine)}{booking.finePaid ? ' (paid)' : ''}
+              </div>
+            )}
+          </>
+        );
+      }
+    },
+    {
+      key: 'returnDate',
+      header: 'Return Date',
+      sortKey: 'returnDate',
+      render: (booking) => (booking.returnDate ? new Date(booking.returnDate).toLocaleDateString() : '-')
+    },
+    {
+      key: 'status',
+      header: 'Status',
+      sortKey: 'status',
+      filter: { type: 'select', options: BOOKING_STATUS_OPTIONS },
+      render: (booking) => (
+        <Badge bg={getStatusVariant(booking.status)} className="status-badge">
+          {booking.status}
+        </Badge>
+      )
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (booking) => booking.status === 'ACTIVE' && can(PERMISSIONS.BOOKINGS_RETURN) && (
+        <Button
+          variant="outline-primary"
+          size="sm"
+          onClick={() => returnBook(booking)}
+        >
+          ↩️ Process Return
+        </Button>
+      )
+    }
+  ];
+
+  if (loading && books.length === 0) {
     return (
       <Container>
         <div className="loading-container">
@@ -254,24 +759,24 @@ const AdminPanel = () => {
     );
   }
 
-  if (!isAdmin()) {
-    return (
-      <Container>
-        <Alert variant="danger" className="text-center">
-          <h4>🚫 Access Denied</h4>
-          <p>Admin privileges are required to access this page.</p>
-        </Alert>
-      </Container>
-    );
-  }
-
   return (
     <Container fluid className="py-4">
       <div className="text-center mb-5">
-        <h1 className="text-gradient mb-3">👑 Admin Panel</h1>
-        <p className="text-muted">
-          Manage books, users, and bookings in your smart library system
-        </p>
+        {isLibrarian() ? (
+          <>
+            <h1 className="text-gradient mb-3">📋 Staff Panel</h1>
+            <p className="text-muted">
+              Keep stock counts up to date and manage loans and holds. Use the <Link to="/desk">Circulation Desk</Link> for walk-in checkouts and returns.
+            </p>
+          </>
+        ) : (
+          <>
+            <h1 className="text-gradient mb-3">👑 Admin Panel</h1>
+            <p className="text-muted">
+              Manage books, users, and bookings in your smart library system
+            </p>
+          </>
+        )}
       </div>
 
       {/* Messages */}
@@ -291,29 +796,31 @@ const AdminPanel = () => {
 
       {/* Summary Cards */}
       <Row className="mb-4">
-        <Col md={4}>
+        <Col md={canManageUsers ? 4 : 6}>
           <Card className="dashboard-card text-center">
             <Card.Body>
               <h5 className="display-6">📚</h5>
-              <h3>{books.length}</h3>
+              <h3>{counts.books}</h3>
               <p className="mb-0">Total Books</p>
             </Card.Body>
           </Card>
         </Col>
-        <Col md={4}>
-          <Card className="dashboard-card text-center">
-            <Card.Body>
-              <h5 className="display-6">👥</h5>
-              <h3>{users.length}</h3>
-              <p className="mb-0">Registered Users</p>
-            </Card.Body>
-          </Card>
-        </Col>
-        <Col md={4}>
+        {canManageUsers && (
+          <Col md={4}>
+            <Card className="dashboard-card text-center">
+              <Card.Body>
+                <h5 className="display-6">👥</h5>
+                <h3>{counts.users}</h3>
+                <p className="mb-0">Registered Users</p>
+              </Card.Body>
+            </Card>
+          </Col>
+        )}
+        <Col md={canManageUsers ? 4 : 6}>
           <Card className="dashboard-card text-center">
             <Card.Body>
               <h5 className="display-6">📖</h5>
-              <h3>{bookings.filter(b => b.status === 'ACTIVE').length}</h3>
+              <h3>{counts.activeBookings}</h3>
               <p className="mb-0">Active Bookings</p>
             </Card.Body>
           </Card>
@@ -327,234 +834,326 @@ const AdminPanel = () => {
         className="mb-4"
       >
         <Tab eventKey="books" title={
-          <span>📚 Books ({books.length})</span>
+          <span>📚 Books ({bookTable.total})</span>
         }>
           <Card className="admin-section">
             <Card.Header className="d-flex justify-content-between align-items-center">
               <h5 className="mb-0">📚 Book Management</h5>
-              <Button variant="primary" onClick={() => openBookModal()}>
-                ➕ Add New Book
-              </Button>
+              {can(PERMISSIONS.BOOKS_WRITE) && (
+                <div className="d-flex gap-2">
+                  <Button variant="outline-primary" onClick={() => setShowImportWizard(true)}>
+                    📥 Import CSV/Excel/MARC
+                  </Button>
+                  <Button variant="primary" onClick={() => openBookModal()}>
+                    ➕ Add New Book
+                  </Button>
+                </div>
+              )}
             </Card.Header>
             <Card.Body>
-              <div className="table-responsive">
-                <Table hover>
-                  <thead>
-                    <tr>
-                      <th>Title</th>
-                      <th>Author</th>
-                      <th>Year</th>
-                      <th>Quantity</th>
-                      <th>Genre</th>
-                      <th>Actions</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {books.map((book) => (
-                      <tr key={book.id}>
-                        <td>
-                          <strong>{book.title}</strong>
-                          {book.isbn && (
-                            <div className="text-muted small">ISBN: {book.isbn}</div>
-                          )}
-                        </td>
-                        <td>{book.author}</td>
-                        <td>{book.publishedYear}</td>
-                        <td>
-                          <InputGroup size="sm" style={{ width: '100px' }}>
-                            <Form.Control
-                              type="number"
-                              value={book.quantity}
-                              onChange={(e) => updateBookQuantity(book.id, parseInt(e.target.value) || 0)}
-                              min="0"
-                            />
-                          </InputGroup>
-                        </td>
-                        <td>
-                          <Badge bg="secondary">
-                            {book.genre || 'Unspecified'}
-                          </Badge>
-                        </td>
-                        <td>
-                          <div className="d-flex gap-2">
-                            <Button
-                              variant="outline-primary"
-                              size="sm"
-                              onClick={() => openBookModal(book)}
-                            >
-                              ✏️ Edit
-                            </Button>
-                            <Button
-                              variant="outline-danger"
-                              size="sm"
-                              onClick={() => deleteBook(book.id, book.title)}
-                            >
-                              🗑️ Delete
-                            </Button>
-                          </div>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </Table>
-                
-                {books.length === 0 && (
-                  <div className="text-center py-4">
-                    <p className="text-muted">No books found. Add your first book to get started!</p>
-                  </div>
+              {quantityEditor.error && (
+                <Alert variant="danger" dismissible onClose={quantityEditor.clearError}>
+                  {quantityEditor.error}
+                </Alert>
+              )}
+              {quantityEditor.lastBatch && (
+                <Alert variant="success" dismissible onClose={quantityEditor.dismissLastBatch} className="d-flex align-items-center">
+                  <span className="me-auto">
+                    Saved {quantityEditor.lastBatch.length === 1
+                      ? `"${quantityEditor.lastBatch[0].title}": ${quantityEditor.lastBatch[0].original} → ${quantityEditor.lastBatch[0].quantity}`
+                      : `${quantityEditor.lastBatch.length} quantity changes`}.
+                  </span>
+                  <Button variant="outline-success" size="sm" className="me-4" onClick={quantityEditor.undoLastBatch}>
+                    ↩️ Undo
+                  </Button>
+                </Alert>
+              )}
+              <DataTable
+                table={bookTable}
+                columns={bookColumns}
+                searchPlaceholder="🔍 Search title, author, ISBN or genre"
+                emptyMessage="No books found. Add your first book to get started!"
+                actions={(
+                  <ExportMenu
+                    filename="books"
+                    title="Library Catalogue"
+                    columns={BOOK_EXPORT_COLUMNS}
+                    count={bookTable.total}
+                    loadRecords={() => fetchAllPages(fetchBooksPage, bookTable.query)}
+                    formats={BOOK_EXPORT_FORMATS}
+                    onError={setError}
+                  />
                 )}
-              </div>
+              />
             </Card.Body>
           </Card>
         </Tab>
 
-        <Tab eventKey="users" title={
-          <span>👥 Users ({users.length})</span>
+        {canManageUsers && (
+          <Tab eventKey="users" title={
+            <span>👥 Users ({userTable.total})</span>
+          }>
+            <Card className="admin-section">
+              <Card.Header>
+                <h5 className="mb-0">👥 User Management</h5>
+              </Card.Header>
+              <Card.Body>
+                <DataTable
+                  table={userTable}
+                  columns={userColumns}
+                  searchPlaceholder="🔍 Search username, name or email"
+                  emptyMessage="No users found."
+                  actions={(
+                    <ExportMenu
+                      filename="users"
+                      title="Library Users"
+                      columns={USER_EXPORT_COLUMNS}
+                      count={userTable.total}
+                      loadRecords={() => fetchAllPages(fetchUsersPage, userTable.query)}
+                      onError={setError}
+                    />
+                  )}
+                />
+              </Card.Body>
+            </Card>
+          </Tab>
+        )}
+
+        <Tab eventKey="bookings" title={
+          <span>📖 Bookings ({bookingTable.total})</span>
         }>
           <Card className="admin-section">
             <Card.Header>
-              <h5 className="mb-0">👥 User Management</h5>
+              <h5 className="mb-0">📖 Booking Management</h5>
             </Card.Header>
             <Card.Body>
-              <div className="table-responsive">
-                <Table hover>
-                  <thead>
-                    <tr>
-                      <th>Username</th>
-                      <th>Full Name</th>
-                      <th>Email</th>
-                      <th>Role</th>
-                      <th>Created</th>
-                      <th>Actions</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {users.map((user) => (
-                      <tr key={user.id}>
-                        <td>
-                          <strong>{user.userName}</strong>
-                        </td>
-                        <td>{user.fullName || '-'}</td>
-                        <td>{user.email || '-'}</td>
-                        <td>
-                          {user.roles?.map(role => (
-                            <Badge 
-                              key={role} 
-                              bg={role === 'ROLE_ADMIN' ? 'warning' : 'info'}
-                              className="me-1"
-                            >
-                              {role.replace('ROLE_', '')}
-                            </Badge>
-                          ))}
-                        </td>
-                        <td>
-                          {user.createdAt 
-                            ? new Date(user.createdAt).toLocaleDateString()
-                            : '-'
-                          }
-                        </td>
-                        <td>
-                          <Button
-                            variant="outline-danger"
-                            size="sm"
-                            onClick={() => deleteUser(user.id, user.userName)}
-                          >
-                            🗑️ Delete
-                          </Button>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </Table>
-                
-                {users.length === 0 && (
-                  <div className="text-center py-4">
-                    <p className="text-muted">No users found.</p>
-                  </div>
+              {finesByUser.length > 0 && (
+                <Card className="mb-4 border-danger">
+                  <Card.Header className="d-flex justify-content-between align-items-center">
+                    <h6 className="mb-0">💰 Fines by Patron</h6>
+                    <Badge bg="danger">
+                      {formatFine(finesByUser.reduce((sum, summary) => sum + summary.total, 0))} total
+                    </Badge>
+                  </Card.Header>
+                  <Card.Body className="p-0">
+                    <Table size="sm" className="mb-0">
+                      <thead>
+                        <tr>
+                          <th>User</th>
+                          <th>Overdue</th>
+                          <th>Accruing</th>
+                          <th>Owed</th>
+                          <th>Total</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {finesByUser.map((summary) => (
+                          <tr key={summary.user?.id ?? summary.user?.userName}>
+                            <td><strong>{summary.user?.userName || 'Unknown'}</strong></td>
+                            <td>{summary.overdueCount}</td>
+                            <td>{formatFine(summary.accruing)}</td>
+                            <td>{formatFine(summary.owed)}</td>
+                            <td><strong className="text-danger">{formatFine(summary.total)}</strong></td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  </Card.Body>
+                </Card>
+              )}
+
+              <DataTable
+                table={bookingTable}
+                columns={bookingColumns}
+                searchPlaceholder="🔍 Search user, book or copy"
+                emptyMessage="No bookings found."
+                actions={(
+                  <ExportMenu
+                    filename="bookings"
+                    title="Library Loans"
+                    columns={bookingExportColumns}
+                    count={bookingTable.total}
+                    loadRecords={() => fetchAllPages(fetchBookingsPage, bookingTable.query)}
+                    onError={setError}
+                  />
                 )}
-              </div>
+              />
             </Card.Body>
           </Card>
         </Tab>
 
-        <Tab eventKey="bookings" title={
-          <span>📖 Bookings ({bookings.length})</span>
-        }>
-          <Card className="admin-section">
-            <Card.Header>
-              <h5 className="mb-0">📖 Booking Management</h5>
-            </Card.Header>
-            <Card.Body>
-              <div className="table-responsive">
-                <Table hover>
-                  <thead>
-                    <tr>
-                      <th>User</th>
-                      <th>Book</th>
-                      <th>Booking Date</th>
-                      <th>Return Date</th>
-                      <th>Status</th>
-                      <th>Actions</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {bookings.map((booking) => (
-                      <tr key={booking.id}>
-                        <td>
-                          <strong>{booking.user?.userName || 'Unknown'}</strong>
-                        </td>
-                        <td>
-                          <div>
-                            <strong>{booking.book?.title || 'Unknown Book'}</strong>
-                            <div className="text-muted small">
-                              by {booking.book?.author || 'Unknown Author'}
-                            </div>
-                          </div>
-                        </td>
-                        <td>
-                          {booking.bookingDate 
-                            ? new Date(booking.bookingDate).toLocaleDateString()
-                            : 'N/A'
-                          }
-                        </td>
-                        <td>
-                          {booking.returnDate 
-                            ? new Date(booking.returnDate).toLocaleDateString()
-                            : '-'
-                          }
-                        </td>
-                        <td>
-                          <Badge bg={getStatusVariant(booking.status)} className="status-badge">
-                            {booking.status}
-                          </Badge>
-                        </td>
-                        <td>
-                          {booking.status === 'ACTIVE' && (
-                            <Button
-                              variant="outline-primary"
-                              size="sm"
-                              onClick={() => returnBook(booking.id)}
-                            >
-                              ↩️ Process Return
-                            </Button>
-                          )}
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </Table>
-                
-                {bookings.length === 0 && (
+        {canManageHolds && (
+          <Tab eventKey="holds" title={
+            <span>🔔 Holds ({holds.filter(h => h.status === HOLD_STATUS.WAITING).length})</span>
+          }>
+            <Card className="admin-section">
+              <Card.Header>
+                <h5 className="mb-0">🔔 Hold Queues</h5>
+              </Card.Header>
+              <Card.Body>
+                {holdQueues.map(({ book, holds: queue }) => (
+                  <div key={book?.id} className="mb-4">
+                    <h6 className="d-flex align-items-center gap-2">
+                      <strong>{book?.title || 'Unknown Book'}</strong>
+                      <small className="text-muted">by {book?.author || 'Unknown Author'}</small>
+                      <Badge bg="secondary">{queue.length} in queue</Badge>
+                    </h6>
+                    <div className="table-responsive">
+                      <Table hover size="sm">
+                        <thead>
+                          <tr>
+                            <th>#</th>
+                            <th>User</th>
+                            <th>Placed</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {queue.map((hold, index) => (
+                            <tr key={hold.id}>
+                              <td>{index + 1}</td>
+                              <td><strong>{hold.user?.userName || 'Unknown'}</strong></td>
+                              <td>
+                                {hold.createdAt
+                                  ? new Date(hold.createdAt).toLocaleString()
+                                  : 'N/A'
+                                }
+                              </td>
+                              <td>
+                                <Badge bg={getHoldStatusVariant(hold.status)} className="status-badge">
+                                  {hold.status === HOLD_STATUS.READY
+                                    ? `READY until ${formatPickupDeadline(hold)}`
+                                    : hold.status}
+                                </Badge>
+                              </td>
+                              <td>
+                                <Button
+                                  variant="outline-danger"
+                                  size="sm"
+                                  onClick={() => cancelHold(hold)}
+                                >
+                                  ✕ Cancel
+                                </Button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </Table>
+                    </div>
+                  </div>
+                ))}
+
+                {holdQueues.length === 0 && (
                   <div className="text-center py-4">
-                    <p className="text-muted">No bookings found.</p>
+                    <p className="text-muted">No patrons are waiting for any titles.</p>
                   </div>
                 )}
-              </div>
-            </Card.Body>
-          </Card>
+              </Card.Body>
+            </Card>
+          </Tab>
+        )}
+
+        {(can(PERMISSIONS.BOOKS_DELETE) || can(PERMISSIONS.USERS_DELETE)) && (
+          <Tab eventKey="trash" title={<span>🗑️ Trash</span>}>
+            <TrashBin
+              active={activeTab === 'trash'}
+              canManageBooks={can(PERMISSIONS.BOOKS_DELETE)}
+              canManageUsers={can(PERMISSIONS.USERS_DELETE)}
+              onRestored={fetchData}
+              onMessage={setSuccessMessage}
+              onError={setError}
+            />
+          </Tab>
+        )}
+
+        {can(PERMISSIONS.AUDIT_READ) && (
+          <Tab eventKey="audit" title={<span>🕵️ Audit</span>}>
+            <AuditLog active={activeTab === 'audit'} />
+          </Tab>
+        )}
+
+        <Tab eventKey="policies" title={<span>⚖️ Policies</span>}>
+          <PolicySettings
+            policy={rawPolicy}
+            canEdit={can(PERMISSIONS.POLICIES_WRITE)}
+            onSaved={() => {
+              reloadPolicy();
+              setSuccessMessage('Circulation policy updated.');
+            }}
+          />
         </Tab>
       </Tabs>
 
+      <BookImportWizard
+        show={showImportWizard}
+        onHide={() => setShowImportWizard(false)}
+        onImported={({ created }) => {
+          fetchData();
+          setSuccessMessage(`Imported ${created} book(s) into the catalogue.`);
+        }}
+      />
+
+      <CopyManagerDrawer
+        book={copiesBook}
+        show={!!copiesBook}
+        onHide={() => setCopiesBook(null)}
+        canEdit={can(PERMISSIONS.INVENTORY_WRITE)}
+        onCopiesChanged={(bookId, counts) => {
+          setBooks(prevBooks => prevBooks.map(book => (book.id === bookId ? { ...book, ...counts } : book)));
+        }}
+      />
+
+      <UndoToast action={undoAction} onDismiss={() => setUndoAction(null)} />
+
+      <UserDetailDrawer
+        user={detailUser}
+        show={!!detailUser}
+        onHide={() => setDetailUser(null)}
+        policy={rawPolicy}
+        onUserUpdated={(updated) => {
+          userTable.setRows(prevUsers => prevUsers.map(u => (u.id === updated.id ? { ...u, ...updated } : u)));
+        }}
+      />
+
+      {/* Quantity conflict: someone else saved this title since we loaded it */}
+      <Modal show={!!quantityConflict} onHide={() => quantityEditor.resolveConflict(quantityConflict, false)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>⚠️ Quantity changed by someone else</Modal.Title>
+        </Modal.Header>
+        {quantityConflict && (
+          <Modal.Body>
+            <p>
+              While you were editing <strong>"{quantityConflict.title}"</strong>, another librarian saved a new quantity.
+            </p>
+            <Table size="sm" bordered className="mb-0">
+              <tbody>
+                <tr>
+                  <td>When you started</td>
+                  <td>{quantityConflict.original}</td>
+                </tr>
+                <tr>
+                  <td>Saved by them</td>
+                  <td>{quantityConflict.current?.quantity ?? 'unknown'}</td>
+                </tr>
+                <tr>
+                  <td>Your value</td>
+                  <td><strong>{quantityConflict.quantity}</strong></td>
+                </tr>
+              </tbody>
+            </Table>
+          </Modal.Body>
+        )}
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => quantityEditor.resolveConflict(quantityConflict, false)}>
+            Keep Theirs
+          </Button>
+          <Button variant="warning" onClick={() => quantityEditor.resolveConflict(quantityConflict, true)}>
+            Overwrite with Mine
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
       {/* Book Modal */}
       <Modal 
         show={showBookModal} 
@@ -635,8 +1234,11 @@ const AdminPanel = () => {
                     onChange={(e) => setBookForm({...bookForm, quantity: e.target.value})}
                     min="0"
                     required
-                    disabled={submitting}
+                    disabled={submitting || (editingBook && hasTrackedCopies(editingBook))}
                   />
+                  {editingBook && hasTrackedCopies(editingBook) && (
+                    <Form.Text className="text-muted">Counted from copies on the shelf</Form.Text>
+                  )}
                 </Form.Group>
               </Col>
               <Col md={4}>
@@ -654,13 +1256,46 @@ const AdminPanel = () => {
             </Row>
             <Form.Group className="mb-3">
               <Form.Label>ISBN</Form.Label>
-              <Form.Control
-                type="text"
-                value={bookForm.isbn}
-                onChange={(e) => setBookForm({...bookForm, isbn: e.target.value})}
-                disabled={submitting}
-                placeholder="Enter ISBN (optional)"
-              />
+              <InputGroup hasValidation>
+                <Form.Control
+                  type="text"
+                  value={bookForm.isbn}
+                  onChange={(e) => {
+                    setBookForm({...bookForm, isbn: e.target.value});
+                    setDetailsStatus(null);
+                  }}
+                  isInvalid={isbnInvalid || !!isbnDuplicate}
+                  disabled={submitting}
+                  placeholder="Enter ISBN-10 or ISBN-13 (optional)"
+                />
+                <Button
+                  variant="outline-secondary"
+                  onClick={fetchBookDetails}
+                  disabled={submitting || fetchingDetails || !isValidIsbn(bookForm.isbn)}
+                >
+                  {fetchingDetails ? (
+                    <Spinner as="span" animation="border" size="sm" role="status" aria-hidden="true" />
+                  ) : (
+                    '🔎 Fetch details'
+                  )}
+                </Button>
+                <Form.Control.Feedback type="invalid">
+                  {isbnInvalid
+                    ? 'Not a valid ISBN-10 or ISBN-13. Check for a mistyped digit.'
+                    : `Already in the catalogue as "${isbnDuplicate?.title}".`}
+                </Form.Control.Feedback>
+              </InputGroup>
+              {!isbnInvalid && !isbnDuplicate && isValidIsbn(bookForm.isbn) && normalizeIsbn(bookForm.isbn) !== bookForm.isbn && (
+                <Form.Text className="text-muted">Will be saved as {normalizeIsbn(bookForm.isbn)}</Form.Text>
+              )}
+              {isbnCheckError && (
+                <Form.Text className="d-block text-warning">
+                  Couldn't check the catalogue for this ISBN ({isbnCheckError}), so duplicates may go unnoticed.
+                </Form.Text>
+              )}
+              {detailsStatus && (
+                <Form.Text className={`d-block text-${detailsStatus.variant}`}>{detailsStatus.message}</Form.Text>
+              )}
             </Form.Group>
             <Form.Group className="mb-3">
               <Form.Label>Description</Form.Label>
@@ -673,6 +1308,19 @@ const AdminPanel = () => {
                 placeholder="Enter book description (optional)"
               />
             </Form.Group>
+            {editingBook && (
+              <Form.Group className="mb-3">
+                <Form.Label>Reason for Change</Form.Label>
+                <Form.Control
+                  value={changeReason}
+                  onChange={(e) => setChangeReason(e.target.value)}
+                  disabled={submitting}
+                  maxLength={200}
+                  placeholder="e.g. Corrected author spelling (optional)"
+                />
+                <Form.Text className="text-muted">Recorded with this edit in the audit log.</Form.Text>
+              </Form.Group>
+            )}
           </Modal.Body>
           <Modal.Footer>
             <Button 
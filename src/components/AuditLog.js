@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { Card, Badge, Form, Alert } from 'react-bootstrap';
+import apiService from '../services/api';
+import DataTable from './DataTable';
+import ExportMenu from './ExportMenu';
+import useServerTable from '../hooks/useServerTable';
+import { fetchAllPages } from '../utils/paging';
+import {
+  AUDIT_ENTITY_TYPES,
+  AUDIT_ENTITY_LABELS,
+  AUDIT_ACTION_LABELS,
+  getAuditActionVariant,
+  diffAuditEntry,
+  formatAuditValue,
+  formatActor,
+  summarizeAuditChanges
+} from '../utils/audit';
+
+const fetchAuditPage = (query) => apiService.getAuditLogPage(query);
+
+const AUDIT_SORT = { key: 'timestamp', direction: 'desc' };
+
+const formatTimestamp = (entry) => (entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '');
+
+const formatEntity = (entry) =>
+  `${AUDIT_ENTITY_LABELS[entry.entityType] || entry.entityType} ${entry.entityLabel || `#${entry.entityId}`}`;
+
+const AUDIT_EXPORT_COLUMNS = [
+  { key: 'timestamp', header: 'Timestamp', value: formatTimestamp },
+  { key: 'actor', header: 'Actor', value: formatActor },
+  { key: 'action', header: 'Action', value: (entry) => AUDIT_ACTION_LABELS[entry.action] || entry.action },
+  { key: 'entityType', header: 'Entity Type', value: (entry) => AUDIT_ENTITY_LABELS[entry.entityType] || entry.entityType },
+  { key: 'entityId', header: 'Entity ID' },
+  { key: 'entityLabel', header: 'Entity' },
+  { key: 'changes', header: 'Changes', value: summarizeAuditChanges },
+  { key: 'reason', header: 'Reason' },
+];
+
+const AuditChanges = ({ entry }) => {
+  const changes = diffAuditEntry(entry);
+  if (changes.length === 0) return <span className="text-muted">-</span>;
+
+  return (
+    <ul className="list-unstyled small mb-0">
+      {changes.map(({ field, before, after }) => (
+        <li key={field}>
+          <span className="text-muted">{field}:</span>{' '}
+          {before !== undefined && <del className="text-danger">{formatAuditValue(before)}</del>}
+          {before !== undefined && after !== undefined && ' → '}
+          {after !== undefined && <ins className="text-success">{formatAuditValue(after)}</ins>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * The AdminPanel "Audit" tab: who changed what in the catalogue and at the
+ * desk, newest first. Loads only while `active` so the tab is current
+ * whenever it's opened.
+ */
+const AuditLog = ({ active }) => {
+  const table = useServerTable(fetchAuditPage, { sort: AUDIT_SORT, enabled: active });
+  const [exportError, setExportError] = useState('');
+  const { from = '', to = '' } = table.filters;
+
+  const columns = [
+    { key: 'timestamp', header: 'When', sortKey: 'timestamp', render: (entry) => <span className="text-nowrap">{formatTimestamp(entry)}</span> },
+    { key: 'actor', header: 'Actor', sortKey: 'actor', filter: { type: 'text', placeholder: 'Username' }, render: (entry) => <strong>{formatActor(entry)}</strong> },
+    {
+      key: 'action',
+      header: 'Action',
+      render: (entry) => (
+        <Badge bg={getAuditActionVariant(entry.action)}>{AUDIT_ACTION_LABELS[entry.action] || entry.action}</Badge>
+      )
+    },
+    {
+      key: 'entity',
+      header: 'Entity',
+      filterKey: 'entityType',
+      filter: { type: 'select', options: Object.values(AUDIT_ENTITY_TYPES).map(type => ({ value: type, label: AUDIT_ENTITY_LABELS[type] })) },
+      render: formatEntity
+    },
+    { key: 'changes', header: 'Changes', render: (entry) => <AuditChanges entry={entry} /> },
+    { key: 'reason', header: 'Reason', render: (entry) => entry.reason || <span className="text-muted">-</span> }
+  ];
+
+  return (
+    <Card className="admin-section">
+      <Card.Header>
+        <h5 className="mb-0">🕵️ Audit Log</h5>
+      </Card.Header>
+      <Card.Body>
+        {exportError && <Alert variant="danger" dismissible onClose={() => setExportError('')}>{exportError}</Alert>}
+        <DataTable
+          table={table}
+          columns={columns}
+          searchPlaceholder="🔍 Search entity or reason"
+          emptyMessage="No changes recorded yet."
+          actions={
+            <>
+              <Form.Control
+                type="date"
+                size="sm"
+                style={{ width: '160px' }}
+                value={from}
+                max={to || undefined}
+                onChange={(e) => table.setFilter('from', e.target.value)}
+                aria-label="From date"
+                title="From"
+              />
+              <Form.Control
+                type="date"
+                size="sm"
+                style={{ width: '160px' }}
+                value={to}
+                min={from || undefined}
+                onChange={(e) => table.setFilter('to', e.target.value)}
+                aria-label="To date"
+                title="To"
+              />
+              <ExportMenu
+                filename="audit-log"
+                title="Audit Log"
+                columns={AUDIT_EXPORT_COLUMNS}
+                count={table.total}
+                loadRecords={() => fetchAllPages(fetchAuditPage, table.query)}
+                onError={setExportError}
+              />
+            </>
+          }
+        />
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,335 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Container, Row, Col, Card, Button, Alert, Spinner, Badge } from 'react-bootstrap';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import apiService from '../services/api';
+import { PERMISSIONS } from '../utils/permissions';
+
+// How often the availability badge re-checks stock while the page is open
+const AVAILABILITY_POLL_MS = 30000;
+const RELATED_LIMIT = 4;
+
+const BookDetail = () => {
+  const { id } = useParams();
+  const [book, setBook] = useState(null);
+  const [relatedBooks, setRelatedBooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [bookingLoading, setBookingLoading] = useState(false);
+  const [holdLoading, setHoldLoading] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const linkCopiedTimer = useRef(null);
+  const currentIdRef = useRef(id);
+  currentIdRef.current = id;
+  const { isLoggedIn, can } = useAuth();
+  const navigate = useNavigate();
+
+  // Following a related title changes `id` while the previous book may still
+  // be loading; a reply for any other book than the one in the URL is dropped
+  const fetchBook = useCallback(async ({ silent = false } = {}) => {
+    if (!silent) {
+      setLoading(true);
+      setError('');
+    }
+
+    try {
+      const result = await apiService.getBookById(id);
+      if (id !== currentIdRef.current) return;
+      if (result.success) {
+        setBook(result.data);
+      } else if (!silent) {
+        setError(result.error.message);
+        setBook(null);
+      }
+    } catch (error) {
+      if (id !== currentIdRef.current) return;
+      console.error('Error fetching book:', error);
+      if (!silent) setError('Failed to load book details. Please try again later.');
+    } finally {
+      if (!silent && id === currentIdRef.current) setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchBook();
+  }, [fetchBook]);
+
+  // Keep availability current while the page is open
+  useEffect(() => {
+    const refresh = () => fetchBook({ silent: true });
+    const interval = setInterval(refresh, AVAILABILITY_POLL_MS);
+    window.addEventListener('focus', refresh);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('focus', refresh);
+    };
+  }, [fetchBook]);
+
+  // Polling replaces `book` every 30s, so only refetch when what we match on changes
+  const bookId = book?.id;
+  const bookAuthor = book?.author;
+  const bookGenre = book?.genre;
+
+  useEffect(() => {
+    if (bookId === undefined) return;
+    let ignore = false;
+
+    const loadRelated = async () => {
+      const result = await apiService.getAvailableBooks();
+      if (ignore || !result.success) return;
+
+      // Same author first, then same genre
+      const scored = result.data
+        .filter((candidate) => candidate.id !== bookId)
+        .map((candidate) => ({
+          candidate,
+          score: (candidate.author === bookAuthor ? 2 : 0)
+            + (bookGenre && candidate.genre === bookGenre ? 1 : 0)
+        }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score);
+
+      setRelatedBooks(scored.slice(0, RELATED_LIMIT).map(({ candidate }) => candidate));
+    };
+
+    loadRelated();
+    return () => {
+      ignore = true;
+    };
+  }, [bookId, bookAuthor, bookGenre]);
+
+  useEffect(() => () => clearTimeout(linkCopiedTimer.current), []);
+
+  const bookBook = async () => {
+    if (!isLoggedIn()) {
+      navigate('/login', { state: { from: { pathname: `/books/${id}` } } });
+      return;
+    }
+
+    setBookingLoading(true);
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const result = await apiService.bookBook({ bookId: book.id });
+      if (result.success) {
+        setSuccessMessage('Book booked successfully! Check your bookings to track the status.');
+        fetchBook({ silent: true });
+      } else {
+        setError(result.error.message);
+      }
+    } catch (error) {
+      console.error('Error booking book:', error);
+      setError('Failed to book the book. Please try again.');
+    } finally {
+      setBookingLoading(false);
+    }
+  };
+
+  const placeHold = async () => {
+    setHoldLoading(true);
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const result = await apiService.placeHold(book.id);
+      if (result.success) {
+        const position = result.data?.position;
+        setSuccessMessage(
+          `Hold placed${position ? ` — you're #${position} in the queue` : ''}. ` +
+          `We'll notify you when a copy is ready for pickup.`
+        );
+      } else {
+        setError(result.error.message);
+      }
+    } catch (error) {
+      console.error('Error placing hold:', error);
+      setError('Failed to place hold. Please try again.');
+    } finally {
+      setHoldLoading(false);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      clearTimeout(linkCopiedTimer.current);
+      linkCopiedTimer.current = setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy link:', error);
+      setError('Could not copy the link. You can copy it from the address bar.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container>
+        <div className="loading-container">
+          <Spinner animation="border" role="status" className="mx-auto">
+            <span className="visually-hidden">Loading book...</span>
+          </Spinner>
+          <p className="loading-text">Loading book details...</p>
+        </div>
+      </Container>
+    );
+  }
+
+  if (!book) {
+    return (
+      <Container className="py-4">
+        <Alert variant="warning" className="text-center py-5">
+          <h4>📚 Book not found</h4>
+          <p>{error || 'This book may have been removed from the catalogue.'}</p>
+          <Button variant="primary" onClick={() => navigate('/search')}>
+            🔍 Browse Books
+          </Button>
+        </Alert>
+      </Container>
+    );
+  }
+
+  const available = book.quantity > 0;
+
+  return (
+    <Container className="py-4">
+      <Button variant="link" className="px-0 mb-3" onClick={() => navigate(-1)}>
+        ← Back
+      </Button>
+
+      {successMessage && (
+        <Alert variant="success" dismissible onClose={() => setSuccessMessage('')}>
+          <i className="bi bi-check-circle-fill me-2"></i>
+          {successMessage}
+        </Alert>
+      )}
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          <i className="bi bi-exclamation-triangle-fill me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      <Card className="shadow-sm mb-4">
+        <Card.Body>
+          <Row>
+            <Col md={8}>
+              <h1 className="text-gradient mb-1">{book.title}</h1>
+              <p className="text-muted fs-5">
+                by {book.author}
+                {book.authorBengali && <span className="ms-2">({book.authorBengali})</span>}
+              </p>
+
+              <div className="mb-3">
+                <h6 className="text-primary">📅 Publication Year</h6>
+                <p>{book.publishedYear}</p>
+              </div>
+
+              {book.genre && (
+                <div className="mb-3">
+                  <h6 className="text-primary">🏷️ Genre</h6>
+                  <p><Badge bg="secondary">{book.genre}</Badge></p>
+                </div>
+              )}
+
+              {book.isbn && (
+                <div className="mb-3">
+                  <h6 className="text-primary">📚 ISBN</h6>
+                  <p>{book.isbn}</p>
+                </div>
+              )}
+
+              {book.description && (
+                <div className="mb-3">
+                  <h6 className="text-primary">📖 Description</h6>
+                  <p>{book.description}</p>
+                </div>
+              )}
+            </Col>
+            <Col md={4}>
+              <div className="text-center">
+                <Badge bg={available ? 'success' : 'secondary'} className="mb-2 fs-6">
+                  {available ? `${book.quantity} copies available` : 'Currently unavailable'}
+                </Badge>
+                <div className="text-muted small mb-3">
+                  Availability updates automatically
+                </div>
+
+                <div className="d-grid gap-2">
+                  {isLoggedIn() && !available && can(PERMISSIONS.HOLDS_CREATE) ? (
+                    <Button variant="warning" size="lg" onClick={placeHold} disabled={holdLoading}>
+                      {holdLoading ? 'Placing hold...' : '🔔 Place Hold'}
+                    </Button>
+                  ) : isLoggedIn() ? (
+                    can(PERMISSIONS.BOOKINGS_CREATE) && (
+                      <Button
+                        variant={available ? 'primary' : 'secondary'}
+                        onClick={bookBook}
+                        disabled={!available || bookingLoading}
+                        size="lg"
+                      >
+                        {bookingLoading ? (
+                          <>
+                            <Spinner
+                              as="span"
+                              animation="border"
+                              size="sm"
+                              role="status"
+                              aria-hidden="true"
+                              className="me-2"
+                            />
+                            Booking...
+                          </>
+                        ) : available ? (
+                          '📖 Book Now'
+                        ) : (
+                          '❌ Not Available'
+                        )}
+                      </Button>
+                    )
+                  ) : (
+                    <Button variant="outline-primary" size="lg" onClick={bookBook}>
+                      🔐 Login to Book
+                    </Button>
+                  )}
+                  <Button variant="outline-secondary" onClick={copyLink}>
+                    {linkCopied ? '✅ Link Copied' : '🔗 Copy Link'}
+                  </Button>
+                </div>
+              </div>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      {relatedBooks.length > 0 && (
+        <>
+          <h5 className="mb-3">📚 Related Titles</h5>
+          <Row className="g-3">
+            {relatedBooks.map((related) => (
+              <Col xs={12} sm={6} lg={3} key={related.id}>
+                <Card className="h-100 book-card">
+                  <Card.Body>
+                    <Card.Title className="fs-6">
+                      <Link to={`/books/${related.id}`} className="text-decoration-none">
+                        {related.title}
+                      </Link>
+                    </Card.Title>
+                    <p className="text-muted small mb-2">by {related.author}</p>
+                    <Badge bg={related.quantity > 0 ? 'success' : 'secondary'}>
+                      {related.quantity > 0 ? `${related.quantity} available` : 'Out of stock'}
+                    </Badge>
+                  </Card.Body>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default BookDetail;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Card, Form, Button, Badge, Row, Col } from 'react-bootstrap';
+import { countActiveFilters } from '../utils/bookFilters';
+
+const COLLAPSED_FACET_SIZE = 8;
+
+const FacetList = ({ title, options, selected, onToggle }) => {
+  const [expanded, setExpanded] = useState(false);
+  const visible = expanded ? options : options.slice(0, COLLAPSED_FACET_SIZE);
+
+  if (options.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      <h6 className="text-primary">{title}</h6>
+      {visible.map(({ value, count }) => (
+        <Form.Check
+          key={value}
+          type="checkbox"
+          id={`${title}-${value}`}
+          className="d-flex align-items-center gap-2"
+          checked={selected.includes(value)}
+          onChange={() => onToggle(value)}
+          label={
+            <span className="d-flex justify-content-between w-100">
+              <span>{value}</span>
+              <Badge bg="light" text="dark" className="ms-2">{count}</Badge>
+            </span>
+          }
+        />
+      ))}
+      {options.length > COLLAPSED_FACET_SIZE && (
+        <Button variant="link" size="sm" className="px-0" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Show less' : `Show all ${options.length}`}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+const BookFilters = ({ facets, filters, onChange, onReset }) => {
+  const activeCount = countActiveFilters(filters);
+
+  const toggleValue = (key, value) => {
+    const current = filters[key];
+    onChange({
+      ...filters,
+      [key]: current.includes(value) ? current.filter((v) => v !== value) : [...current, value]
+    });
+  };
+
+  return (
+    <Card className="shadow-sm mb-4">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h6 className="mb-0">
+          🎛️ Filters
+          {activeCount > 0 && <Badge bg="primary" className="ms-2">{activeCount}</Badge>}
+        </h6>
+        {activeCount > 0 && (
+          <Button variant="link" size="sm" className="p-0" onClick={onReset}>
+            Clear all
+          </Button>
+        )}
+      </Card.Header>
+      <Card.Body>
+        <div className="mb-4">
+          <Form.Check
+            type="switch"
+            id="filter-available-only"
+            checked={filters.availableOnly}
+            onChange={(e) => onChange({ ...filters, availableOnly: e.target.checked })}
+            label={
+              <span>
+                Available now
+                <Badge bg="light" text="dark" className="ms-2">{facets.availableCount}</Badge>
+              </span>
+            }
+          />
+        </div>
+
+        <FacetList
+          title="🏷️ Genre"
+          options={facets.genres}
+          selected={filters.genres}
+          onToggle={(value) => toggleValue('genres', value)}
+        />
+
+        <FacetList
+          title="📝 Author"
+          options={facets.authors}
+          selected={filters.authors}
+          onToggle={(value) => toggleValue('authors', value)}
+        />
+
+        {facets.yearRange && (
+          <div className="mb-2">
+            <h6 className="text-primary">📅 Published</h6>
+            <Row className="g-2">
+              <Col>
+                <Form.Control
+                  type="number"
+                  size="sm"
+                  placeholder={`From ${facets.yearRange.min}`}
+                  value={filters.yearFrom}
+                  min={facets.yearRange.min}
+                  max={facets.yearRange.max}
+                  onChange={(e) => onChange({ ...filters, yearFrom: e.target.value })}
+                />
+              </Col>
+              <Col>
+                <Form.Control
+                  type="number"
+                  size="sm"
+                  placeholder={`To ${facets.yearRange.max}`}
+                  value={filters.yearTo}
+                  min={facets.yearRange.min}
+                  max={facets.yearRange.max}
+                  onChange={(e) => onChange({ ...filters, yearTo: e.target.value })}
+                />
+              </Col>
+            </Row>
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default BookFilters;
@@ -0,0 +1,340 @@
+import React, { useState, useRef } from 'react';
+import { Modal, Button, Form, Table, Alert, ProgressBar, Badge, Spinner } from 'react-bootstrap';
+import apiService from '../services/api';
+import { downloadCsv } from '../utils/csv';
+import {
+  IMPORT_FIELDS,
+  ACCEPTED_IMPORT_TYPES,
+  readImportFile,
+  guessColumnMapping,
+  missingRequiredFields,
+  buildImportRows,
+  buildErrorReportRows
+} from '../utils/bookImport';
+
+// Books created in parallel per request batch; keeps a 500-title import from
+// opening 500 connections at once
+const IMPORT_BATCH_SIZE = 10;
+const PREVIEW_LIMIT = 50;
+
+const STEPS = ['upload', 'map', 'preview', 'import'];
+const STEP_TITLES = {
+  upload: '1. Upload file',
+  map: '2. Match columns',
+  preview: '3. Check rows',
+  import: '4. Import',
+};
+
+/**
+ * CSV/XLSX/MARC catalogue import: upload, map columns to book fields, preview
+ * with per-row validation, then create in batches through createBook.
+ */
+const BookImportWizard = ({ show, onHide, onImported }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [reading, setReading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const stopRef = useRef(false);
+
+  const importRows = step === 'preview' || step === 'import' ? buildImportRows(rows, mapping) : [];
+  const validRows = importRows.filter((row) => row.errors.length === 0);
+  const invalidRows = importRows.filter((row) => row.errors.length > 0);
+  const missingFields = missingRequiredFields(mapping);
+
+  const reset = () => {
+    setStep('upload');
+    setFileName('');
+    setHeaders([]);
+    setRows([]);
+    setMapping({});
+    setShowErrorsOnly(false);
+    setProgress({ done: 0, total: 0 });
+    setResult(null);
+    setError('');
+  };
+
+  const handleClose = () => {
+    if (importing) return;
+    if (result?.created > 0) onImported?.(result);
+    reset();
+    onHide();
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setReading(true);
+    setError('');
+
+    try {
+      const table = await readImportFile(file);
+      setFileName(file.name);
+      setHeaders(table.headers);
+      setRows(table.rows);
+      setMapping(guessColumnMapping(table.headers));
+      setStep('map');
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      setError(error.message || 'Could not read that file.');
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const setColumn = (key, value) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (value === '') delete next[key];
+      else next[key] = Number(value);
+      return next;
+    });
+  };
+
+  const runImport = async () => {
+    setStep('import');
+    setImporting(true);
+    setError('');
+    stopRef.current = false;
+
+    // Rows that failed validation are reported but never sent
+    const failures = [...invalidRows];
+    let created = 0;
+    let processed = 0;
+    setProgress({ done: 0, total: validRows.length });
+
+    for (let start = 0; start < validRows.length; start += IMPORT_BATCH_SIZE) {
+      if (stopRef.current) break;
+
+      const batch = validRows.slice(start, start + IMPORT_BATCH_SIZE);
+      const results = await Promise.all(batch.map((row) => apiService.createBook(row.book, `Imported from ${fileName}`)));
+
+      created += results.filter((response) => response.success).length;
+      results.forEach((response, index) => {
+        if (response.success) return;
+        const fieldMessages = Object.values(response.error.fieldErrors || {});
+        failures.push({
+          ...batch[index],
+          errors: fieldMessages.length > 0 ? fieldMessages : [response.error.message]
+        });
+      });
+
+      processed += batch.length;
+      setProgress({ done: processed, total: validRows.length });
+    }
+
+    failures.sort((a, b) => a.rowNumber - b.rowNumber);
+    setResult({
+      created,
+      failures,
+      skipped: validRows.length - processed,
+      stopped: stopRef.current
+    });
+    setImporting(false);
+  };
+
+  const downloadErrorReport = () => {
+    const baseName = fileName.replace(/\.[^.]+$/, '') || 'import';
+    downloadCsv(buildErrorReportRows(result ? result.failures : invalidRows), `${baseName}-errors.csv`);
+  };
+
+  const previewRows = (showErrorsOnly ? invalidRows : importRows).slice(0, PREVIEW_LIMIT);
+
+  return (
+    <Modal show={show} onHide={handleClose} size="xl" centered backdrop={importing ? 'static' : true}>
+      <Modal.Header closeButton={!importing}>
+        <Modal.Title>📥 Import Books</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <div className="d-flex gap-2 mb-4">
+          {STEPS.map((key) => (
+            <Badge key={key} bg={key === step ? 'primary' : 'light'} text={key === step ? undefined : 'dark'}>
+              {STEP_TITLES[key]}
+            </Badge>
+          ))}
+        </div>
+
+        {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+
+        {step === 'upload' && (
+          <>
+            <Form.Group className="mb-3">
+              <Form.Label>Choose a CSV, Excel (.xlsx) or MARC (.mrc / MARCXML) file</Form.Label>
+              <Form.Control type="file" accept={ACCEPTED_IMPORT_TYPES} onChange={handleFile} disabled={reading} />
+              <Form.Text className="text-muted">
+                Spreadsheets need column headings in the first row; columns can be in any order and you'll match them next.
+                MARC records are mapped automatically.
+              </Form.Text>
+            </Form.Group>
+            {reading && (
+              <div className="d-flex align-items-center gap-2 text-muted">
+                <Spinner animation="border" size="sm" /> Reading file...
+              </div>
+            )}
+          </>
+        )}
+
+        {step === 'map' && (
+          <>
+            <p className="text-muted">
+              <strong>{fileName}</strong> has {rows.length} row(s). Match each book field to a column in the file.
+            </p>
+            <Table size="sm" className="align-middle">
+              <thead>
+                <tr>
+                  <th>Book field</th>
+                  <th>Column in file</th>
+                  <th>First value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {IMPORT_FIELDS.map((field) => (
+                  <tr key={field.key}>
+                    <td>
+                      {field.label}
+                      {field.required && <span className="text-danger"> *</span>}
+                    </td>
+                    <td>
+                      <Form.Select
+                        size="sm"
+                        value={mapping[field.key] ?? ''}
+                        onChange={(e) => setColumn(field.key, e.target.value)}
+                        isInvalid={field.required && mapping[field.key] === undefined}
+                      >
+                        <option value="">— Not imported —</option>
+                        {headers.map((header, index) => (
+                          <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                        ))}
+                      </Form.Select>
+                    </td>
+                    <td className="text-muted small">
+                      {mapping[field.key] !== undefined ? rows[0]?.[mapping[field.key]] : ''}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+            {missingFields.length > 0 && (
+              <Alert variant="warning" className="small">
+                Required fields not matched yet: {missingFields.map((field) => field.label).join(', ')}
+              </Alert>
+            )}
+          </>
+        )}
+
+        {step === 'preview' && (
+          <>
+            <div className="d-flex justify-content-between align-items-center mb-3">
+              <div>
+                <Badge bg="success" className="me-2">{validRows.length} ready</Badge>
+                <Badge bg={invalidRows.length > 0 ? 'danger' : 'secondary'}>{invalidRows.length} with errors</Badge>
+              </div>
+              <Form.Check
+                type="switch"
+                id="import-errors-only"
+                label="Show only rows with errors"
+                checked={showErrorsOnly}
+                onChange={(e) => setShowErrorsOnly(e.target.checked)}
+              />
+            </div>
+            <div className="table-responsive" style={{ maxHeight: '400px' }}>
+              <Table size="sm" hover>
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Title</th>
+                    <th>Author</th>
+                    <th>Year</th>
+                    <th>Qty</th>
+                    <th>Genre</th>
+                    <th>Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {previewRows.map(({ rowNumber, book, errors }) => (
+                    <tr key={rowNumber} className={errors.length > 0 ? 'table-danger' : ''}>
+                      <td>{rowNumber}</td>
+                      <td>{book.title}</td>
+                      <td>{book.author}{book.authorBengali && <div className="small text-muted">{book.authorBengali}</div>}</td>
+                      <td>{Number.isNaN(book.publishedYear) ? '' : book.publishedYear}</td>
+                      <td>{Number.isNaN(book.quantity) ? '' : book.quantity}</td>
+                      <td>{book.genre}</td>
+                      <td className="small text-danger">{errors.join('; ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+            {(showErrorsOnly ? invalidRows : importRows).length > PREVIEW_LIMIT && (
+              <small className="text-muted">Showing the first {PREVIEW_LIMIT} rows.</small>
+            )}
+            {invalidRows.length > 0 && (
+              <Alert variant="info" className="small mt-3 mb-0">
+                Rows with errors will be skipped. Fix them in the file and import again, or download the error report.
+              </Alert>
+            )}
+          </>
+        )}
+
+        {step === 'import' && (
+          <>
+            <ProgressBar
+              now={progress.total ? (progress.done / progress.total) * 100 : 100}
+              label={`${progress.done} / ${progress.total}`}
+              animated={importing}
+              className="mb-3"
+            />
+            {importing && <p className="text-muted">Importing... please keep this window open.</p>}
+            {result && (
+              <Alert variant={result.failures.length > 0 || result.stopped ? 'warning' : 'success'}>
+                ✅ {result.created} book(s) added.
+                {result.failures.length > 0 && <> ❌ {result.failures.length} row(s) failed.</>}
+                {result.stopped && <> ⏹️ Stopped early; {result.skipped} row(s) were not sent.</>}
+              </Alert>
+            )}
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        {(invalidRows.length > 0 && step === 'preview') || result?.failures.length > 0 ? (
+          <Button variant="outline-danger" className="me-auto" onClick={downloadErrorReport}>
+            ⬇️ Download Error Report
+          </Button>
+        ) : null}
+
+        {step === 'map' && (
+          <>
+            <Button variant="secondary" onClick={reset}>Back</Button>
+            <Button variant="primary" onClick={() => setStep('preview')} disabled={missingFields.length > 0}>
+              Next: Check Rows
+            </Button>
+          </>
+        )}
+        {step === 'preview' && (
+          <>
+            <Button variant="secondary" onClick={() => setStep('map')}>Back</Button>
+            <Button variant="primary" onClick={runImport} disabled={validRows.length === 0}>
+              📥 Import {validRows.length} Book(s)
+            </Button>
+          </>
+        )}
+        {step === 'import' && (importing ? (
+          <Button variant="outline-secondary" onClick={() => { stopRef.current = true; }}>
+            ⏹️ Stop After This Batch
+          </Button>
+        ) : (
+          <Button variant="primary" onClick={handleClose}>Done</Button>
+        ))}
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default BookImportWizard;
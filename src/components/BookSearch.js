@@ -1,28 +1,64 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { Container, Row, Col, Card, Form, Button, InputGroup, Alert, Spinner, Badge, Modal } from 'react-bootstrap';
 import { useAuth } from '../contexts/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import apiService from '../services/api';
+import BookFilters from './BookFilters';
+import PaginationControls from './PaginationControls';
+import SearchAutocomplete from './SearchAutocomplete';
+import usePhoneticInput from '../hooks/usePhoneticInput';
+import { findPhoneticMatches } from '../utils/bangla';
+import { PERMISSIONS } from '../utils/permissions';
+import { BOOKING_REFUSALS, checkBooking, describeBookingRefusal } from '../utils/loanPolicy';
+import { getNewLoanDueDate } from '../utils/loanStatus';
+import useLoanPolicy from '../hooks/useLoanPolicy';
+import {
+  DEFAULT_FILTERS,
+  DEFAULT_SORT,
+  SORT_OPTIONS,
+  applyFilters,
+  sortBooks,
+  computeFacets,
+  countActiveFilters,
+  readFiltersFromParams,
+  writeFiltersToParams
+} from '../utils/bookFilters';
+
+const PAGE_SIZE = 12;
 
 const BookSearch = () => {
-  const [searchTerm, setSearchTerm] = useState('');
+  // The URL (?q=&genre=&author=&from=&to=&available=&sort=&page=) is the source
+  // of truth so searches survive refreshes, can be shared and work with Back
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const filters = useMemo(() => readFiltersFromParams(searchParams), [searchParams]);
+  const sortKey = searchParams.get('sort') || DEFAULT_SORT;
+  const requestedPage = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const hasSearched = query.trim() !== '';
+
+  const [searchTerm, setSearchTerm] = useState(query);
   const [books, setBooks] = useState([]);
+  const [catalogue, setCatalogue] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [hasSearched, setHasSearched] = useState(false);
   const [error, setError] = useState('');
   const [selectedBook, setSelectedBook] = useState(null);
   const [bookingLoading, setBookingLoading] = useState(false);
+  const [holdLoading, setHoldLoading] = useState(false);
+  const [activeLoanCount, setActiveLoanCount] = useState(0);
+  const [account, setAccount] = useState(null);
   const [successMessage, setSuccessMessage] = useState('');
   const [isListening, setIsListening] = useState(false);
   const [speechSupported, setSpeechSupported] = useState(false);
-  const { isLoggedIn } = useAuth();
+  const { isLoggedIn, can, currentUser } = useAuth();
   const navigate = useNavigate();
+  const phonetic = usePhoneticInput();
+  const { policy } = useLoanPolicy();
   const recognitionRef = React.useRef(null);
+  const submitQueryRef = useRef(null);
+  const performSearchRef = useRef(null);
+  const latestRequestRef = useRef(0);
 
   useEffect(() => {
-    // Load all available books on component mount
-    fetchAllBooks();
-    
     // Initialize speech recognition
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
     if (SpeechRecognition) {
@@ -43,7 +79,7 @@ const BookSearch = () => {
         setIsListening(false);
         // Automatically search after voice input
         setTimeout(() => {
-          performSearch(transcript);
+          submitQueryRef.current(transcript);
         }, 500);
       };
 
@@ -69,24 +105,103 @@ const BookSearch = () => {
     };
   }, []);
 
+  // Needed to tell patrons up front when they're at their loan limit or suspended.
+  // Keyed on the username: isLoggedIn is a new function on every AuthProvider render.
+  const username = currentUser?.username;
+  useEffect(() => {
+    if (!username) return;
+    apiService.getActiveBookings().then((result) => {
+      if (result.success) setActiveLoanCount(result.data.length);
+    });
+    apiService.getMyAccount().then((result) => {
+      if (result.success) setAccount(result.data);
+    });
+  }, [username]);
+
+  // Suggestions are drawn from the whole catalogue, not just the current results.
+  // With no query fetchAllBooks fills this in; otherwise load it once here.
+  useEffect(() => {
+    if (catalogue.length > 0 || !query.trim()) return;
+    apiService.getAvailableBooks().then((result) => {
+      if (result.success) setCatalogue(result.data);
+    });
+  }, [catalogue.length, query]);
+
+  // Run the search whenever the query in the URL changes (typing, Back, shared link)
+  useEffect(() => {
+    setSearchTerm(query);
+    performSearchRef.current(query);
+  }, [query]);
+
+  const updateParams = (update, { resetPage = true, replace = false } = {}) => {
+    const next = update(new URLSearchParams(searchParams));
+    if (resetPage) next.delete('page');
+    setSearchParams(next, { replace });
+  };
+
+  const submitQuery = (value) => {
+    const trimmed = value.trim();
+    if (trimmed === query.trim()) {
+      // Same query: the URL won't change, so refresh the results directly
+      performSearch(trimmed);
+      return;
+    }
+    updateParams((params) => {
+      if (trimmed) params.set('q', trimmed);
+      else params.delete('q');
+      return params;
+    });
+  };
+  submitQueryRef.current = submitQuery;
+
+  const setFilters = (nextFilters) => {
+    // Typing in the year boxes shouldn't leave a history entry per keystroke
+    const onlyYearChanged = nextFilters.genres === filters.genres
+      && nextFilters.authors === filters.authors
+      && nextFilters.availableOnly === filters.availableOnly;
+    updateParams((params) => writeFiltersToParams(params, nextFilters), { replace: onlyYearChanged });
+  };
+
+  const setSortKey = (nextSort) => {
+    updateParams((params) => {
+      if (nextSort === DEFAULT_SORT) params.delete('sort');
+      else params.set('sort', nextSort);
+      return params;
+    });
+  };
+
+  const setPage = (nextPage) => {
+    updateParams((params) => {
+      if (nextPage > 1) params.set('page', String(nextPage));
+      else params.delete('page');
+      return params;
+    }, { resetPage: false });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
   const fetchAllBooks = async () => {
+    const requestId = ++latestRequestRef.current;
     setLoading(true);
     setError('');
     
     try {
       const result = await apiService.getAvailableBooks();
+      if (requestId !== latestRequestRef.current) return;
       if (result.success) {
         setBooks(result.data);
+        setCatalogue(result.data);
       } else {
-        setError(result.error);
+        setError(result.error.message);
         setBooks([]);
       }
     } catch (error) {
+      if (requestId !== latestRequestRef.current) return;
       console.error('Error fetching books:', error);
       setError('Failed to load books. Please try again later.');
       setBooks([]);
     } finally {
-      setLoading(false);
+      // An overtaken request leaves the spinner to the one that replaced it
+      if (requestId === latestRequestRef.current) setLoading(false);
     }
   };
 
@@ -107,41 +222,68 @@ const BookSearch = () => {
     }
   };
 
-  const performSearch = async (query) => {
-    const trimmedQuery = query.trim();
+  const performSearch = async (value) => {
+    const trimmedQuery = value.trim();
     if (!trimmedQuery) {
       fetchAllBooks();
-      setHasSearched(false);
       return;
     }
 
+    const requestId = ++latestRequestRef.current;
     setLoading(true);
     setError('');
-    setHasSearched(true);
 
     try {
       const result = await apiService.searchBooks(trimmedQuery);
+      if (requestId !== latestRequestRef.current) return;
       if (result.success) {
+        // An empty result is reported by the empty state below, which also
+        // accounts for phonetic matches the server didn't find
         setBooks(result.data);
-        if (result.data.length === 0) {
-          setError(`No books found for "${trimmedQuery}". Try different keywords.`);
-        }
       } else {
-        setError(result.error);
+        setError(result.error.message);
         setBooks([]);
       }
     } catch (error) {
+      if (requestId !== latestRequestRef.current) return;
       console.error('Error searching books:', error);
       setError('Failed to search books. Please try again later.');
       setBooks([]);
     } finally {
-      setLoading(false);
+      if (requestId === latestRequestRef.current) setLoading(false);
     }
   };
+  performSearchRef.current = performSearch;
+
+  // Authors and genres become filters over the full catalogue rather than text queries
+  const handleSuggestionSelect = (suggestion) => {
+    if (suggestion.type === 'book') {
+      navigate(`/books/${suggestion.id}`);
+      return;
+    }
 
-  const handleSearch = async (e) => {
+    const key = suggestion.type === 'author' ? 'authors' : 'genres';
+    const nextFilters = {
+      ...filters,
+      [key]: filters[key].includes(suggestion.value) ? filters[key] : [...filters[key], suggestion.value]
+    };
+    setSearchTerm('');
+    updateParams((params) => {
+      params.delete('q');
+      return writeFiltersToParams(params, nextFilters);
+    });
+  };
+
+  const handleSearchTermChange = (value) => {
+    setSearchTerm(phonetic.transform(value, searchTerm));
+  };
+
+  const handleSearch = (e) => {
     e.preventDefault();
-    await performSearch(searchTerm);
+    // Convert the word still being typed in phonetic mode
+    const value = phonetic.commit(searchTerm);
+    setSearchTerm(value);
+    submitQuery(value);
   };
 
   const bookBook = async (bookId) => {
@@ -150,6 +292,11 @@ const BookSearch = () => {
       return;
     }
 
+    if (!bookingCheck.allowed) {
+      setError(bookingCheck.message);
+      return;
+    }
+
     setBookingLoading(true);
     setError('');
     setSuccessMessage('');
@@ -157,16 +304,17 @@ const BookSearch = () => {
     try {
       const result = await apiService.bookBook({ bookId });
       if (result.success) {
-        setSuccessMessage('Book booked successfully! Check your bookings to track the status.');
+        const dueDate = result.data?.dueDate ? new Date(result.data.dueDate) : getNewLoanDueDate(policy);
+        const copyNote = result.data?.copy?.accessionNumber ? ` Your copy is ${result.data.copy.accessionNumber}.` : '';
+        setSuccessMessage(
+          `Book booked successfully! It's due back on ${formatDueDate(dueDate)}.${copyNote} Check your bookings to track the status.`
+        );
+        setActiveLoanCount(prev => prev + 1);
         // Refresh the search results
-        if (searchTerm.trim()) {
-          handleSearch({ preventDefault: () => {} });
-        } else {
-          fetchAllBooks();
-        }
+        performSearch(query);
         setSelectedBook(null);
       } else {
-        setError(result.error);
+        setError(describeBookingRefusal(result.error.details?.reason, policy, result.error.details) || result.error.message);
       }
     } catch (error) {
       console.error('Error booking book:', error);
@@ -176,17 +324,71 @@ const BookSearch = () => {
     }
   };
 
+  const formatDueDate = (date) => date.toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+
+  const placeHold = async (book) => {
+    if (!isLoggedIn()) {
+      navigate('/login');
+      return;
+    }
+
+    setHoldLoading(true);
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const result = await apiService.placeHold(book.id);
+      if (result.success) {
+        const position = result.data?.position;
+        setSuccessMessage(
+          `Hold placed on "${book.title}"${position ? ` — you're #${position} in the queue` : ''}. ` +
+          `We'll notify you when a copy is ready for pickup.`
+        );
+        setSelectedBook(null);
+      } else {
+        setError(result.error.message);
+      }
+    } catch (error) {
+      console.error('Error placing hold:', error);
+      setError('Failed to place hold. Please try again.');
+    } finally {
+      setHoldLoading(false);
+    }
+  };
+
   const clearSearch = () => {
     setSearchTerm('');
-    setHasSearched(false);
     setError('');
     setSuccessMessage('');
-    fetchAllBooks();
+    submitQuery('');
   };
 
+  // The server matches spelling exactly, so add catalogue titles whose Latin or
+  // Bengali spelling sounds like the query ("humayun" finds "হুমায়ূন আহমেদ")
+  const results = useMemo(() => {
+    if (!hasSearched) return books;
+    const seen = new Set(books.map((book) => book.id));
+    const extra = findPhoneticMatches(catalogue, query).filter((book) => !seen.has(book.id));
+    return extra.length > 0 ? [...books, ...extra] : books;
+  }, [books, catalogue, query, hasSearched]);
+
+  const bookingCheck = checkBooking(activeLoanCount, policy, account);
+
+  const facets = useMemo(() => computeFacets(results, filters), [results, filters]);
+
   const filteredBooks = useMemo(() => {
-    return books.sort((a, b) => b.quantity - a.quantity); // Available books first
-  }, [books]);
+    return sortBooks(applyFilters(results, filters), sortKey);
+  }, [results, filters, sortKey]);
+
+  const resetFilters = () => setFilters(DEFAULT_FILTERS);
+
+  const totalPages = Math.max(1, Math.ceil(filteredBooks.length / PAGE_SIZE));
+  const page = Math.min(requestedPage, totalPages);
+  const pagedBooks = filteredBooks.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
 
   return (
     <Container className="py-4">
@@ -202,14 +404,27 @@ const BookSearch = () => {
         <Card.Body>
           <Form onSubmit={handleSearch}>
             <InputGroup size="lg">
-              <Form.Control
-                type="text"
+              <SearchAutocomplete
                 placeholder="Search by title, author or genre. you can also use voice search!🎤"
                 value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
+                onChange={handleSearchTermChange}
+                onSelectSuggestion={handleSuggestionSelect}
+                catalogue={catalogue}
                 disabled={loading}
               />
               
+              {/* Phonetic Bangla Toggle */}
+              <Button
+                type="button"
+                onClick={phonetic.toggle}
+                disabled={loading}
+                variant={phonetic.enabled ? 'success' : 'outline-secondary'}
+                title={phonetic.enabled ? 'Phonetic Bangla typing on (ami -> আমি)' : 'Type Bangla phonetically'}
+                aria-pressed={phonetic.enabled}
+              >
+                অ
+              </Button>
+
               {/* Voice Search Button */}
               {speechSupported && (
                 <Button
@@ -259,6 +474,10 @@ const BookSearch = () => {
           <div className="d-flex justify-content-between align-items-center mt-2">
             <Form.Text className="text-muted">
               💡 Supports both English and Bangla. Leave empty to browse all available books. 🎤 Try voice search!
+              {' '}অ Turn on phonetic typing to write Bangla on a Latin keyboard ("bangla" → বাংলা).
+              {phonetic.preview(searchTerm) && (
+                <span className="ms-2 text-success">→ {phonetic.preview(searchTerm)}</span>
+              )}
             </Form.Text>
             {isListening && (
               <Badge bg="danger" className="pulse">
@@ -284,6 +503,10 @@ const BookSearch = () => {
         </Alert>
       )}
 
+      {bookingCheck.reason === BOOKING_REFUSALS.ACCOUNT_SUSPENDED && (
+        <Alert variant="warning">🚫 {bookingCheck.message}</Alert>
+      )}
+
       {/* Loading State */}
       {loading ? (
         <div className="loading-container">
@@ -294,130 +517,183 @@ const BookSearch = () => {
         </div>
       ) : (
         <>
-          {/* Results Header */}
-          <div className="d-flex justify-content-between align-items-center mb-4">
-            <div>
-              <strong>{filteredBooks.length}</strong> book(s) found
-              {hasSearched && searchTerm && (
-                <span className="text-muted"> for "{searchTerm}"</span>
-              )}
-            </div>
-            <div className="text-muted">
-              <small>Sorted by availability</small>
-            </div>
-          </div>
+          <Row>
+            <Col lg={3}>
+              <BookFilters
+                facets={facets}
+                filters={filters}
+                onChange={setFilters}
+                onReset={resetFilters}
+              />
+            </Col>
+            <Col lg={9}>
+              {/* Results Header */}
+              <div className="d-flex justify-content-between align-items-center mb-4">
+                <div>
+                  <strong>{filteredBooks.length}</strong> book(s) found
+                  {hasSearched && (
+                    <span className="text-muted"> for "{query}"</span>
+                  )}
+                  {totalPages > 1 && (
+                    <span className="text-muted"> · page {page} of {totalPages}</span>
+                  )}
+                  {countActiveFilters(filters) > 0 && (
+                    <span className="text-muted"> (filtered from {results.length})</span>
+                  )}
+                </div>
+                <Form.Select
+                  size="sm"
+                  style={{ width: 'auto' }}
+                  value={sortKey}
+                  onChange={(e) => setSortKey(e.target.value)}
+                  aria-label="Sort books"
+                >
+                  {SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      Sort: {option.label}
+                    </option>
+                  ))}
+                </Form.Select>
+              </div>
 
-          {/* Books Grid */}
-          <Row className="g-4">
-            {filteredBooks.map((book) => (
-              <Col xs={12} sm={6} lg={4} xl={3} key={book.id}>
-                <Card className="h-100 book-card fade-in">
-                  <Card.Body className="d-flex flex-column">
-                    <div className="d-flex justify-content-between align-items-start mb-2">
-                      <Card.Title className="flex-grow-1 me-2">
-                        {book.title}
-                      </Card.Title>
-                      <Badge 
-                        bg={book.quantity > 0 ? 'success' : 'secondary'}
-                        className="ms-2"
-                      >
-                        {book.quantity > 0 ? `${book.quantity} available` : 'Out of stock'}
-                      </Badge>
-                    </div>
-                    
-                    <Card.Text className="flex-grow-1">
-                      <div className="mb-2">
-                        <strong className="text-primary">📝 Author:</strong> {book.author}
-                      </div>
-                      <div className="mb-2">
-                        <strong className="text-primary">📅 Published:</strong> {book.publishedYear}
-                      </div>
-                      {book.genre && (
-                        <div className="mb-2">
-                          <strong className="text-primary">🏷️ Genre:</strong> {book.genre}
-                        </div>
-                      )}
-                      {book.isbn && (
-                        <div className="mb-2">
-                          <strong className="text-primary">📚 ISBN:</strong> {book.isbn}
-                        </div>
-                      )}
-                      {book.description && (
-                        <div className="mt-3">
-                          <strong className="text-primary">📖 Description:</strong>
-                          <p className="text-muted mt-1 mb-0" style={{ fontSize: '0.9rem' }}>
-                            {book.description.length > 120
-                              ? book.description.substring(0, 120) + '...'
-                              : book.description
-                            }
-                          </p>
-                        </div>
-                      )}
-                    </Card.Text>
-                    
-                    <div className="mt-auto pt-3">
-                      {isLoggedIn() ? (
-                        <div className="d-grid gap-2">
-                          <Button
-                            variant={book.quantity > 0 ? "primary" : "secondary"}
-                            onClick={() => setSelectedBook(book)}
-                            disabled={book.quantity === 0 || bookingLoading}
-                            size="sm"
+              {/* Books Grid */}
+              <Row className="g-4">
+                {pagedBooks.map((book) => (
+                  <Col xs={12} sm={6} xl={4} key={book.id}>
+                    <Card className="h-100 book-card fade-in">
+                      <Card.Body className="d-flex flex-column">
+                        <div className="d-flex justify-content-between align-items-start mb-2">
+                          <Card.Title className="flex-grow-1 me-2">
+                            <Link to={`/books/${book.id}`} className="text-decoration-none">
+                              {book.title}
+                            </Link>
+                          </Card.Title>
+                          <Badge 
+                            bg={book.quantity > 0 ? 'success' : 'secondary'}
+                            className="ms-2"
                           >
-                            {book.quantity > 0 ? '📖 Book Now' : '❌ Not Available'}
-                          </Button>
-                          <Button
-                            variant="outline-info"
-                            size="sm"
-                            onClick={() => setSelectedBook(book)}
-                          >
-                            👁️ View Details
-                          </Button>
+                            {book.quantity > 0 ? `${book.quantity} available` : 'Out of stock'}
+                          </Badge>
                         </div>
-                      ) : (
-                        <div className="d-grid gap-2">
-                          <Button
-                            variant="outline-primary"
-                            size="sm"
-                            onClick={() => navigate('/login')}
-                          >
-                            🔐 Login to Book
-                          </Button>
-                          <Button
-                            variant="outline-info"
-                            size="sm"
-                            onClick={() => setSelectedBook(book)}
-                          >
-                            👁️ View Details
-                          </Button>
+                    
+                        <Card.Text className="flex-grow-1">
+                          <div className="mb-2">
+                            <strong className="text-primary">📝 Author:</strong> {book.author}
+                          </div>
+                          <div className="mb-2">
+                            <strong className="text-primary">📅 Published:</strong> {book.publishedYear}
+                          </div>
+                          {book.genre && (
+                            <div className="mb-2">
+                              <strong className="text-primary">🏷️ Genre:</strong> {book.genre}
+                            </div>
+                          )}
+                          {book.isbn && (
+                            <div className="mb-2">
+                              <strong className="text-primary">📚 ISBN:</strong> {book.isbn}
+                            </div>
+                          )}
+                          {book.description && (
+                            <div className="mt-3">
+                              <strong className="text-primary">📖 Description:</strong>
+                              <p className="text-muted mt-1 mb-0" style={{ fontSize: '0.9rem' }}>
+                                {book.description.length > 120
+                                  ? book.description.substring(0, 120) + '...'
+                                  : book.description
+                                }
+                              </p>
+                            </div>
+                          )}
+                        </Card.Text>
+                    
+                        <div className="mt-auto pt-3">
+                          {isLoggedIn() ? (
+                            <div className="d-grid gap-2">
+                              {book.quantity === 0 && can(PERMISSIONS.HOLDS_CREATE) ? (
+                                <Button
+                                  variant="outline-warning"
+                                  onClick={() => placeHold(book)}
+                                  disabled={holdLoading}
+                                  size="sm"
+                                >
+                                  🔔 Place Hold
+                                </Button>
+                              ) : (
+                                <Button
+                                  variant={book.quantity > 0 ? "primary" : "secondary"}
+                                  onClick={() => setSelectedBook(book)}
+                                  disabled={book.quantity === 0 || bookingLoading}
+                                  size="sm"
+                                >
+                                  {book.quantity > 0 ? '📖 Book Now' : '❌ Not Available'}
+                                </Button>
+                              )}
+                              <Button
+                                variant="outline-info"
+                                size="sm"
+                                onClick={() => setSelectedBook(book)}
+                              >
+                                👁️ View Details
+                              </Button>
+                            </div>
+                          ) : (
+                            <div className="d-grid gap-2">
+                              <Button
+                                variant="outline-primary"
+                                size="sm"
+                                onClick={() => navigate('/login')}
+                              >
+                                🔐 Login to Book
+                              </Button>
+                              <Button
+                                variant="outline-info"
+                                size="sm"
+                                onClick={() => setSelectedBook(book)}
+                              >
+                                👁️ View Details
+                              </Button>
+                            </div>
+                          )}
                         </div>
-                      )}
-                    </div>
-                  </Card.Body>
-                </Card>
-              </Col>
-            ))}
-          </Row>
+                      </Card.Body>
+                    </Card>
+                  </Col>
+                ))}
+              </Row>
 
-          {/* Empty States */}
-          {filteredBooks.length === 0 && hasSearched && !loading && (
-            <Alert variant="info" className="text-center py-5">
-              <h4>📚 No books found</h4>
-              <p>No books match your search criteria for "{searchTerm}".</p>
-              <p className="text-muted mb-3">Try using different keywords or browse all available books.</p>
-              <Button variant="primary" onClick={clearSearch}>
-                📋 Show All Available Books
-              </Button>
-            </Alert>
-          )}
+              <PaginationControls page={page} totalPages={totalPages} onChange={setPage} className="mt-4" />
 
-          {filteredBooks.length === 0 && !hasSearched && !loading && (
-            <Alert variant="warning" className="text-center py-5">
-              <h4>📚 No books available</h4>
-              <p>Our library collection is currently empty or being updated.</p>
-              <p className="text-muted">Please check back later or contact the library administrator.</p>
-            </Alert>
-          )}
+              {/* Empty States */}
+              {results.length === 0 && hasSearched && !loading && (
+                <Alert variant="info" className="text-center py-5">
+                  <h4>📚 No books found</h4>
+                  <p>No books match your search criteria for "{query}".</p>
+                  <p className="text-muted mb-3">Try using different keywords or browse all available books.</p>
+                  <Button variant="primary" onClick={clearSearch}>
+                    📋 Show All Available Books
+                  </Button>
+                </Alert>
+              )}
+
+              {filteredBooks.length === 0 && results.length > 0 && !loading && (
+                <Alert variant="info" className="text-center py-5">
+                  <h4>🎛️ No books match these filters</h4>
+                  <p className="text-muted mb-3">Try widening the year range or removing a genre or author.</p>
+                  <Button variant="primary" onClick={resetFilters}>
+                    ✕ Clear Filters
+                  </Button>
+                </Alert>
+              )}
+
+              {books.length === 0 && !hasSearched && !loading && (
+                <Alert variant="warning" className="text-center py-5">
+                  <h4>📚 No books available</h4>
+                  <p>Our library collection is currently empty or being updated.</p>
+                  <p className="text-muted">Please check back later or contact the library administrator.</p>
+                </Alert>
+              )}
+            </Col>
+          </Row>
         </>
       )}
 
@@ -478,12 +754,60 @@ const BookSearch = () => {
                     }
                   </Badge>
                   
-                  {isLoggedIn() ? (
+                  <div className="d-grid mb-2">
+                    <Button
+                      as={Link}
+                      to={`/books/${selectedBook.id}`}
+                      variant="outline-secondary"
+                    >
+                      🔗 Open Full Page
+                    </Button>
+                  </div>
+
+                  {isLoggedIn() && selectedBook.quantity === 0 && can(PERMISSIONS.HOLDS_CREATE) ? (
+                    <div className="d-grid">
+                      <Button
+                        variant="warning"
+                        onClick={() => placeHold(selectedBook)}
+                        disabled={holdLoading}
+                        size="lg"
+                      >
+                        {holdLoading ? (
+                          <>
+                            <Spinner
+                              as="span"
+                              animation="border"
+                              size="sm"
+                              role="status"
+                              aria-hidden="true"
+                              className="me-2"
+                            />
+                            Placing hold...
+                          </>
+                        ) : (
+                          '🔔 Place Hold'
+                        )}
+                      </Button>
+                      <small className="text-muted mt-2">
+                        Join the waitlist and we'll notify you when a copy is returned.
+                      </small>
+                    </div>
+                  ) : isLoggedIn() ? (
                     <div className="d-grid">
+                      {selectedBook.quantity > 0 && (
+                        <div className="text-muted small mb-2">
+                          📅 Due back {formatDueDate(getNewLoanDueDate(policy))} ({policy.loanPeriodDays} days)
+                          <br />
+                          📚 You have {activeLoanCount} of {policy.maxActiveLoans} books out
+                        </div>
+                      )}
+                      {selectedBook.quantity > 0 && !bookingCheck.allowed && (
+                        <Alert variant="warning" className="small py-2">{bookingCheck.message}</Alert>
+                      )}
                       <Button
                         variant={selectedBook.quantity > 0 ? "primary" : "secondary"}
                         onClick={() => bookBook(selectedBook.id)}
-                        disabled={selectedBook.quantity === 0 || bookingLoading}
+                        disabled={selectedBook.quantity === 0 || bookingLoading || !bookingCheck.allowed}
                         size="lg"
                       >
                         {bookingLoading ? (
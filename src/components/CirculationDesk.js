@@ -0,0 +1,647 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Container, Row, Col, Card, Table, Form, Button, ButtonGroup, Alert, Spinner, Badge, ListGroup } from 'react-bootstrap';
+import { useAuth } from '../contexts/AuthContext';
+import apiService from '../services/api';
+import { PERMISSIONS, ROLE_LABELS } from '../utils/permissions';
+import { resolvePolicy } from '../utils/loanPolicy';
+import useLoanPolicy from '../hooks/useLoanPolicy';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import { fetchAllPages } from '../utils/paging';
+import { ACCOUNT_STATUS_LABELS, getAccountStatusVariant } from '../utils/accounts';
+import { formatCopyLabel } from '../utils/copies';
+import { HOLD_STATUS, describePromotedHold } from '../utils/holds';
+import { getLoanStatus, getCountdownLabel, getCountdownVariant, summarizeFines, formatFine } from '../utils/loanStatus';
+import { exportRecords, cellValue } from '../utils/exporters';
+import {
+  DESK_MODES,
+  DESK_MODE_LABELS,
+  DESK_CHECKIN_REASON,
+  normalizeBarcode,
+  getCheckoutWarnings,
+  getCheckinWarnings,
+  isBlocking,
+  RECEIPT_COLUMNS,
+  getReceiptItems
+} from '../utils/circulation';
+
+const PATRON_RESULTS_SIZE = 8;
+
+const fetchBookingsPage = (query) => apiService.getBookingsPage(query);
+
+const loadActiveLoans = (userId) =>
+  fetchAllPages(fetchBookingsPage, { filters: { userId, status: 'ACTIVE' }, sort: { key: 'bookingDate', direction: 'asc' } });
+
+const patronName = (user) => user?.fullName || user?.userName || 'Unknown patron';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+const Kbd = ({ children }) => <kbd className="small">{children}</kbd>;
+
+/**
+ * Front desk screen (/desk) for walk-in checkouts and returns. Built for a
+ * USB barcode scanner, which types the code and presses Enter: focus stays
+ * in the barcode field between scans, and every action has a shortcut.
+ */
+const CirculationDesk = () => {
+  const { can } = useAuth();
+  const { rawPolicy } = useLoanPolicy();
+  const [mode, setMode] = useState(DESK_MODES.CHECKOUT);
+  const [patronQuery, setPatronQuery] = useState('');
+  const [patronResults, setPatronResults] = useState([]);
+  const [highlighted, setHighlighted] = useState(0);
+  const [patron, setPatron] = useState(null);
+  const [loans, setLoans] = useState([]);
+  const [loadingPatron, setLoadingPatron] = useState(false);
+  const [holds, setHolds] = useState([]);
+  const [barcode, setBarcode] = useState('');
+  const [pending, setPending] = useState(null);
+  const [notices, setNotices] = useState([]);
+  const [session, setSession] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const patronInputRef = useRef(null);
+  const barcodeInputRef = useRef(null);
+  const shortcutsRef = useRef({});
+  // The search `patronResults` answer, so Enter never picks from an older list
+  const patronResultsQueryRef = useRef('');
+  // Read synchronously, so a scan that lands before the re-render still sees it
+  const busyRef = useRef(false);
+
+  const canManageHolds = can(PERMISSIONS.HOLDS_MANAGE);
+  const debouncedQuery = useDebouncedValue(patronQuery.trim(), 300);
+  const patronPolicy = resolvePolicy(rawPolicy, patron?.roles?.[0]);
+  const fines = summarizeFines(loans, patronPolicy);
+  const readyHolds = patron
+    ? holds.filter(hold => hold.user?.id === patron.id && hold.status === HOLD_STATUS.READY)
+    : [];
+  const receiptItems = getReceiptItems(session, patron);
+
+  // Hold queues decide the warnings on both checkout and check-in
+  const loadHolds = useCallback(async () => {
+    if (!canManageHolds) return;
+    const result = await apiService.getAllHolds();
+    if (result.success) setHolds(result.data);
+  }, [canManageHolds]);
+
+  useEffect(() => {
+    loadHolds();
+  }, [loadHolds]);
+
+  useEffect(() => {
+    patronInputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    if (!debouncedQuery) {
+      patronResultsQueryRef.current = '';
+      setPatronResults([]);
+      return;
+    }
+    let ignore = false;
+    apiService.findPatrons({ search: debouncedQuery, size: PATRON_RESULTS_SIZE }).then(result => {
+      if (ignore) return;
+      patronResultsQueryRef.current = debouncedQuery;
+      setPatronResults(result.data.items);
+      setHighlighted(0);
+    });
+    return () => {
+      ignore = true;
+    };
+  }, [debouncedQuery]);
+
+  const focusBarcode = () => setTimeout(() => barcodeInputRef.current?.focus(), 0);
+
+  const focusPatronSearch = () => setTimeout(() => patronInputRef.current?.focus(), 0);
+
+  const selectPatron = async (user) => {
+    setPatron(user);
+    setPatronQuery('');
+    patronResultsQueryRef.current = '';
+    setPatronResults([]);
+    setLoans([]);
+    setPending(null);
+    setError('');
+    focusBarcode();
+
+    setLoadingPatron(true);
+    try {
+      setLoans(await loadActiveLoans(user.id));
+    } catch (loadError) {
+      setError(loadError.message || 'Failed to load the patron\'s loans.');
+    } finally {
+      setLoadingPatron(false);
+    }
+  };
+
+  const clearPatron = () => {
+    setPatron(null);
+    setLoans([]);
+    setPending(null);
+    setNotices([]);
+    focusPatronSearch();
+  };
+
+  // Enter picks the highlighted match; a scanned library card can arrive
+  // faster than the search debounce, so look it up straight away then
+  const handlePatronKeyDown = async (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted(index => Math.min(Math.max(index + step, 0), Math.max(patronResults.length - 1, 0)));
+      return;
+    }
+    if (e.key === 'Escape') {
+      setPatronQuery('');
+      return;
+    }
+    if (e.key !== 'Enter') return;
+
+    e.preventDefault();
+    const query = patronQuery.trim();
+    if (!query) return;
+
+    if (query === patronResultsQueryRef.current && patronResults[highlighted]) {
+      selectPatron(patronResults[highlighted]);
+      return;
+    }
+
+    const result = await apiService.findPatrons({ search: query, size: PATRON_RESULTS_SIZE });
+    const matches = result.data.items;
+    const exact = matches.find(user => user.userName?.toLowerCase() === query.toLowerCase());
+    if (exact || matches.length === 1) {
+      selectPatron(exact || matches[0]);
+    } else {
+      patronResultsQueryRef.current = query;
+      setPatronResults(matches);
+      setHighlighted(0);
+      if (!result.success) setError(result.error.message);
+      else if (matches.length === 0) setError(`No patron matches "${query}".`);
+    }
+  };
+
+  // One desk action at a time, from the copy lookup through to the reply
+  const runExclusive = async (task) => {
+    busyRef.current = true;
+    setBusy(true);
+    try {
+      await task();
+    } finally {
+      busyRef.current = false;
+      setBusy(false);
+      focusBarcode();
+    }
+  };
+
+  const addToSession = (item) => {
+    setSession(prev => [{ id: `${item.action}-${item.copy.id}-${Date.now()}`, time: new Date(), ...item }, ...prev]);
+  };
+
+  const checkout = async (copy, overrideHold = false) => {
+    const result = await apiService.checkoutCopy(patron.id, copy.id, { overrideHold });
+    if (!result.success) {
+      setError(result.error.message);
+      return;
+    }
+
+    const booking = { ...result.data, book: result.data?.book || copy.book, copy: result.data?.copy || copy };
+    const dueDate = getLoanStatus(booking, patronPolicy).dueDate;
+    setLoans(prev => [...prev, booking]);
+    addToSession({ action: DESK_MODES.CHECKOUT, copy, book: copy.book, patron, dueDate, fine: 0 });
+    setMessage(`✅ "${copy.book?.title}" checked out to ${patronName(patron)}, due ${formatDate(dueDate)}.`);
+    if (holds.some(hold => hold.book?.id === copy.book?.id)) loadHolds();
+  };
+
+  const checkin = async (copy) => {
+    const booking = copy.activeBooking;
+    if (!booking) {
+      setError(`"${copy.book?.title}" (${formatCopyLabel(copy)}) isn't checked out.`);
+      return;
+    }
+
+    const borrower = booking.user || patron;
+    const policy = resolvePolicy(rawPolicy, borrower?.roles?.[0]);
+    const loan = getLoanStatus(booking, policy);
+    const warnings = getCheckinWarnings({ copy, holds, policy });
+
+    const result = await apiService.adminReturnBook(booking.id, DESK_CHECKIN_REASON);
+    if (!result.success) {
+      setError(result.error.message);
+      return;
+    }
+
+    const promotedHold = result.data?.promotedHold;
+    if (promotedHold) {
+      warnings.push({ level: 'info', message: describePromotedHold(promotedHold) });
+      loadHolds();
+    }
+
+    addToSession({ action: DESK_MODES.CHECKIN, copy, book: copy.book, patron: borrower, dueDate: null, fine: loan.fine });
+    setNotices(warnings);
+    setMessage(`📥 "${copy.book?.title}" checked in from ${patronName(borrower)}.`);
+
+    if (patron?.id === borrower?.id) {
+      setLoans(prev => prev.filter(item => item.id !== booking.id));
+    } else if (!patron && borrower) {
+      // So the receipt button has someone to send this return to
+      setPatron(borrower);
+      loadActiveLoans(borrower.id).then(setLoans, () => setLoans([]));
+    }
+  };
+
+  const processScan = async (code) => {
+    const lookup = await apiService.findCopyByBarcode(code);
+    if (!lookup.success) {
+      setError(lookup.error.message);
+      return;
+    }
+    const copy = lookup.data;
+
+    if (mode === DESK_MODES.CHECKIN) {
+      await checkin(copy);
+      return;
+    }
+
+    const warnings = getCheckoutWarnings({ patron, copy, loans, holds, policy: patronPolicy });
+    if (isBlocking(warnings)) {
+      setNotices(warnings);
+      setError(`Can't check out "${copy.book?.title}".`);
+    } else if (warnings.length > 0) {
+      setPending({ copy, warnings });
+    } else {
+      await checkout(copy);
+    }
+  };
+
+  // The scanner doesn't wait for us, so a scan that arrives mid-checkout or
+  // while a warning is open is refused out loud rather than dropped, or
+  // checked against loans that are about to change
+  const handleScan = async (e) => {
+    e.preventDefault();
+    const code = normalizeBarcode(barcode);
+    setBarcode('');
+    if (!code) return;
+
+    if (pending) {
+      setError(`"${code}" wasn't scanned: confirm (Alt+Y) or cancel (Esc) "${pending.copy.book?.title}" first, then scan it again.`);
+      return;
+    }
+    if (busyRef.current) {
+      setError(`"${code}" wasn't scanned: the previous item was still being processed. Scan it again.`);
+      return;
+    }
+
+    setError('');
+    setMessage('');
+    setNotices([]);
+
+    if (mode === DESK_MODES.CHECKOUT && !patron) {
+      setError('Find the patron first (Alt+N).');
+      focusPatronSearch();
+      return;
+    }
+
+    await runExclusive(() => processScan(code));
+  };
+
+  const confirmPending = () => {
+    if (!pending || busyRef.current) return;
+    const { copy } = pending;
+    setPending(null);
+    setError('');
+    runExclusive(() => checkout(copy, true));
+  };
+
+  const cancelPending = () => {
+    setPending(null);
+    focusBarcode();
+  };
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setPending(null);
+    setNotices([]);
+    setError('');
+    if (nextMode === DESK_MODES.CHECKOUT && !patron) focusPatronSearch();
+    else focusBarcode();
+  };
+
+  const printReceipt = () => {
+    if (receiptItems.length === 0) return;
+    try {
+      exportRecords({
+        format: 'pdf',
+        filename: 'receipt',
+        title: `Library receipt · ${patronName(patron)}`,
+        columns: RECEIPT_COLUMNS,
+        records: receiptItems
+      });
+    } catch (printError) {
+      setError(printError.message);
+    }
+    focusBarcode();
+  };
+
+  const emailReceipt = () => {
+    if (receiptItems.length === 0 || !patron?.email || busyRef.current) return;
+    runExclusive(async () => {
+      const lines = receiptItems.map(item =>
+        RECEIPT_COLUMNS.reduce((line, column) => ({ ...line, [column.key]: cellValue(column, item) }), {})
+      );
+      const result = await apiService.emailReceipt(patron.id, lines);
+      if (result.success) setMessage(`📧 Receipt emailed to ${patron.email}.`);
+      else setError(result.error.message);
+    });
+  };
+
+  // Alt shortcuts work from any field, including while the scanner has focus.
+  // Matched on the physical key: on a Mac, Option+O types "ø".
+  shortcutsRef.current = {
+    KeyO: () => switchMode(DESK_MODES.CHECKOUT),
+    KeyI: () => switchMode(DESK_MODES.CHECKIN),
+    KeyN: clearPatron,
+    KeyP: printReceipt,
+    KeyE: emailReceipt,
+    KeyY: confirmPending,
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!e.altKey || e.ctrlKey || e.metaKey) return;
+      const action = shortcutsRef.current[e.code];
+      if (action) {
+        e.preventDefault();
+        action();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  return (
+    <Container>
+      <div className="d-flex flex-wrap justify-content-between align-items-center mb-4 gap-2">
+        <h2 className="mb-0">🛎️ Circulation Desk</h2>
+        <ButtonGroup aria-label="Desk mode">
+          {Object.values(DESK_MODES).map(option => (
+            <Button
+              key={option}
+              variant={mode === option ? 'primary' : 'outline-primary'}
+              onClick={() => switchMode(option)}
+              aria-pressed={mode === option}
+            >
+              {option === DESK_MODES.CHECKOUT ? '📤' : '📥'} {DESK_MODE_LABELS[option]}{' '}
+              <Kbd>Alt+{option === DESK_MODES.CHECKOUT ? 'O' : 'I'}</Kbd>
+            </Button>
+          ))}
+        </ButtonGroup>
+      </div>
+
+      {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+      {message && <Alert variant="success" dismissible onClose={() => setMessage('')}>{message}</Alert>}
+
+      <Row>
+        <Col lg={5} className="mb-4">
+          <Card className="h-100">
+            <Card.Header className="d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">👤 Patron</h5>
+              {patron && (
+                <Button variant="outline-secondary" size="sm" onClick={clearPatron}>
+                  New Patron <Kbd>Alt+N</Kbd>
+                </Button>
+              )}
+            </Card.Header>
+            <Card.Body>
+              {!patron ? (
+                <>
+                  <Form.Control
+                    ref={patronInputRef}
+                    value={patronQuery}
+                    onChange={(e) => setPatronQuery(e.target.value)}
+                    onKeyDown={handlePatronKeyDown}
+                    placeholder="🔍 Scan library card or type a name, username or email"
+                    aria-label="Find patron"
+                    aria-controls="desk-patron-results"
+                    autoComplete="off"
+                  />
+                  {patronResults.length > 0 && (
+                    <ListGroup id="desk-patron-results" className="mt-2" role="listbox">
+                      {patronResults.map((user, index) => (
+                        <ListGroup.Item
+                          key={user.id}
+                          action
+                          active={index === highlighted}
+                          role="option"
+                          aria-selected={index === highlighted}
+                          onClick={() => selectPatron(user)}
+                        >
+                          <strong>{patronName(user)}</strong>{' '}
+                          <small className={index === highlighted ? '' : 'text-muted'}>@{user.userName}</small>
+                          {user.status && user.status !== 'ACTIVE' && (
+                            <Badge bg={getAccountStatusVariant(user.status)} className="ms-2">
+                              {ACCOUNT_STATUS_LABELS[user.status]}
+                            </Badge>
+                          )}
+                        </ListGroup.Item>
+                      ))}
+                    </ListGroup>
+                  )}
+                  <small className="text-muted d-block mt-2">
+                    <Kbd>↑</Kbd> <Kbd>↓</Kbd> to choose, <Kbd>Enter</Kbd> to select.
+                  </small>
+                </>
+              ) : (
+                <>
+                  <h5 className="mb-1">
+                    {patronName(patron)}
+                    <Badge bg={getAccountStatusVariant(patron.status)} className="ms-2 align-middle">
+                      {ACCOUNT_STATUS_LABELS[patron.status] || ACCOUNT_STATUS_LABELS.ACTIVE}
+                    </Badge>
+                  </h5>
+                  <div className="text-muted small mb-3">
+                    @{patron.userName} · {ROLE_LABELS[patron.roles?.[0]] || 'Member'}
+                    {patron.email && ` · ${patron.email}`}
+                  </div>
+
+                  {patron.suspensionReason && (
+                    <Alert variant="danger" className="py-2">🚫 Suspended: {patron.suspensionReason}</Alert>
+                  )}
+                  {fines.total > 0 && (
+                    <Alert variant="warning" className="py-2">
+                      💰 {formatFine(fines.total)} in fines outstanding
+                      {fines.overdueCount > 0 && ` · ${fines.overdueCount} overdue`}
+                    </Alert>
+                  )}
+                  {readyHolds.length > 0 && (
+                    <Alert variant="info" className="py-2">
+                      🔔 Waiting on the hold shelf: {readyHolds.map(hold => hold.book?.title).join(', ')}
+                    </Alert>
+                  )}
+
+                  <h6>
+                    On Loan ({loans.length} of {patronPolicy.maxActiveLoans})
+                  </h6>
+                  {loadingPatron ? (
+                    <div className="text-center py-2">
+                      <Spinner animation="border" size="sm" /> Loading...
+                    </div>
+                  ) : loans.length === 0 ? (
+                    <p className="text-muted small">Nothing checked out.</p>
+                  ) : (
+                    <Table size="sm" className="mb-0">
+                      <tbody>
+                        {loans.map(booking => {
+                          const loan = getLoanStatus(booking, patronPolicy);
+                          return (
+                            <tr key={booking.id}>
+                              <td>
+                                {booking.book?.title || 'Unknown Book'}
+                                {booking.copy && <div className="small text-muted">{formatCopyLabel(booking.copy)}</div>}
+                              </td>
+                              <td className="text-end">
+                                <Badge bg={getCountdownVariant(loan)}>{getCountdownLabel(loan)}</Badge>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </Table>
+                  )}
+                </>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col lg={7} className="mb-4">
+          <Card className="mb-4">
+            <Card.Header>
+              <h5 className="mb-0">
+                {mode === DESK_MODES.CHECKOUT ? '📤' : '📥'} {DESK_MODE_LABELS[mode]}
+              </h5>
+            </Card.Header>
+            <Card.Body>
+              <Form onSubmit={handleScan}>
+                <Form.Control
+                  ref={barcodeInputRef}
+                  size="lg"
+                  value={barcode}
+                  onChange={(e) => setBarcode(e.target.value)}
+                  placeholder={mode === DESK_MODES.CHECKOUT && !patron
+                    ? 'Find a patron before scanning'
+                    : 'Scan or type a copy barcode, then Enter'}
+                  aria-label="Copy barcode"
+                  autoComplete="off"
+                  onKeyDown={(e) => {
+                    if (e.key === 'Escape' && pending) cancelPending();
+                  }}
+                />
+              </Form>
+
+              {busy && (
+                <div className="mt-2 text-muted small">
+                  <Spinner animation="border" size="sm" className="me-2" />Working...
+                </div>
+              )}
+
+              {pending && (
+                <Alert
+                  variant="warning"
+                  className="mt-3 mb-0"
+                  onKeyDown={(e) => {
+                    if (e.key === 'Escape') cancelPending();
+                  }}
+                >
+                  <strong>Check out "{pending.copy.book?.title}" anyway?</strong>
+                  <ul className="mb-2">
+                    {pending.warnings.map(warning => <li key={warning.message}>{warning.message}</li>)}
+                  </ul>
+                  <div className="d-flex gap-2">
+                    <Button variant="warning" size="sm" onClick={confirmPending} disabled={busy}>
+                      Check Out Anyway <Kbd>Alt+Y</Kbd>
+                    </Button>
+                    <Button variant="outline-secondary" size="sm" onClick={cancelPending}>
+                      Cancel <Kbd>Esc</Kbd>
+                    </Button>
+                  </div>
+                </Alert>
+              )}
+
+              {notices.map(notice => (
+                <Alert key={notice.message} variant={notice.level} className="mt-3 mb-0 py-2">
+                  {notice.message}
+                </Alert>
+              ))}
+            </Card.Body>
+          </Card>
+
+          <Card>
+            <Card.Header className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+              <h5 className="mb-0">🧾 This Session ({session.length})</h5>
+              <div className="d-flex gap-2">
+                <Button variant="outline-secondary" size="sm" onClick={printReceipt} disabled={receiptItems.length === 0}>
+                  🖨️ Print Receipt <Kbd>Alt+P</Kbd>
+                </Button>
+                <Button
+                  variant="outline-secondary"
+                  size="sm"
+                  onClick={emailReceipt}
+                  disabled={receiptItems.length === 0 || !patron?.email || busy}
+                  title={patron && !patron.email ? 'This patron has no email address on file' : undefined}
+                >
+                  📧 Email Receipt <Kbd>Alt+E</Kbd>
+                </Button>
+              </div>
+            </Card.Header>
+            <Card.Body className="p-0">
+              {session.length === 0 ? (
+                <p className="text-muted text-center py-4 mb-0">Scanned items will appear here.</p>
+              ) : (
+                <Table size="sm" hover className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Time</th>
+                      <th>Action</th>
+                      <th>Book</th>
+                      <th>Patron</th>
+                      <th>Due / Fine</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {session.map(item => (
+                      <tr key={item.id} className={patron && item.patron?.id !== patron.id ? 'text-muted' : undefined}>
+                        <td>{item.time.toLocaleTimeString()}</td>
+                        <td>
+                          <Badge bg={item.action === DESK_MODES.CHECKOUT ? 'primary' : 'success'}>
+                            {DESK_MODE_LABELS[item.action]}
+                          </Badge>
+                        </td>
+                        <td>
+                          {item.book?.title}
+                          <div className="small text-muted">{formatCopyLabel(item.copy)}</div>
+                        </td>
+                        <td>{patronName(item.patron)}</td>
+                        <td>
+                          {item.action === DESK_MODES.CHECKOUT
+                            ? formatDate(item.dueDate)
+                            : (item.fine > 0 ? formatFine(item.fine) : '-')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <small className="text-muted">
+        Shortcuts: <Kbd>Alt+O</Kbd> check out · <Kbd>Alt+I</Kbd> check in · <Kbd>Alt+N</Kbd> new patron ·{' '}
+        <Kbd>Alt+P</Kbd> print receipt · <Kbd>Alt+E</Kbd> email receipt · <Kbd>Alt+Y</Kbd> confirm a warning
+      </small>
+    </Container>
+  );
+};
+
+export default CirculationDesk;
@@ -0,0 +1,301 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Offcanvas, Table, Form, Button, Alert, Spinner, Badge, Row, Col } from 'react-bootstrap';
+import apiService from '../services/api';
+import {
+  COPY_STATUS_LABELS,
+  EDITABLE_COPY_STATUSES,
+  COPY_CONDITIONS,
+  COPY_CONDITION_LABELS,
+  EMPTY_COPY,
+  isInCirculation,
+  getCopyStatusVariant,
+  deriveQuantity,
+  suggestAccessionNumber,
+  validateCopy
+} from '../utils/copies';
+
+/**
+ * Side drawer listing a book's physical copies, with an add/edit form.
+ * After every change the parent gets the recalculated quantity (copies on
+ * the shelf) and copy count through `onCopiesChanged`.
+ */
+const CopyManagerDrawer = ({ book, show, onHide, canEdit, onCopiesChanged }) => {
+  const [copies, setCopies] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(EMPTY_COPY);
+  const [editingCopy, setEditingCopy] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadCopies = useCallback(async () => {
+    if (!book) return [];
+    setLoading(true);
+    const result = await apiService.getBookCopies(book.id);
+    setLoading(false);
+    if (!result.success) {
+      setError(result.error.message);
+      return null;
+    }
+    setCopies(result.data);
+    return result.data;
+  }, [book]);
+
+  const startNewCopy = useCallback((list) => {
+    setEditingCopy(null);
+    setErrors({});
+    setForm({ ...EMPTY_COPY, accessionNumber: suggestAccessionNumber(list) });
+  }, []);
+
+  useEffect(() => {
+    if (!show || !book) return;
+    setError('');
+    setCopies([]);
+    loadCopies().then((list) => startNewCopy(list || []));
+  }, [show, book, loadCopies, startNewCopy]);
+
+  const refreshAfterChange = async () => {
+    const list = await loadCopies();
+    if (list) {
+      onCopiesChanged?.(book.id, { quantity: deriveQuantity(list), copyCount: list.length });
+      startNewCopy(list);
+    }
+  };
+
+  const editCopy = (copy) => {
+    setEditingCopy(copy);
+    setErrors({});
+    setForm({
+      accessionNumber: copy.accessionNumber || '',
+      barcode: copy.barcode || '',
+      condition: copy.condition || EMPTY_COPY.condition,
+      shelfLocation: copy.shelfLocation || '',
+      status: copy.status,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const others = copies.filter((copy) => copy.id !== editingCopy?.id);
+    const nextErrors = validateCopy(form, others);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const copyData = {
+        ...form,
+        accessionNumber: form.accessionNumber.trim(),
+        barcode: form.barcode.trim(),
+        shelfLocation: form.shelfLocation.trim(),
+      };
+      const result = editingCopy
+        ? await apiService.updateCopy(editingCopy.id, copyData)
+        : await apiService.createCopy(book.id, copyData);
+
+      if (result.success) {
+        await refreshAfterChange();
+      } else {
+        setErrors(result.error.fieldErrors || {});
+        setError(result.error.message);
+      }
+    } catch (error) {
+      console.error('Error saving copy:', error);
+      setError('Failed to save copy. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteCopy = async (copy) => {
+    if (!window.confirm(`Remove copy ${copy.accessionNumber} from the catalogue? Use "Withdrawn" instead to keep its history.`)) {
+      return;
+    }
+
+    try {
+      const result = await apiService.deleteCopy(copy.id);
+      if (result.success) {
+        await refreshAfterChange();
+      } else {
+        setError(result.error.message);
+      }
+    } catch (error) {
+      console.error('Error deleting copy:', error);
+      setError('Failed to delete copy. Please try again.');
+    }
+  };
+
+  const available = deriveQuantity(copies);
+  const circulating = editingCopy && isInCirculation(editingCopy);
+
+  return (
+    <Offcanvas show={show} onHide={onHide} placement="end" style={{ width: '720px' }}>
+      <Offcanvas.Header closeButton>
+        <Offcanvas.Title>
+          📦 Copies of {book?.title}
+          <div className="small text-muted fw-normal">
+            {available} of {copies.length} on the shelf
+          </div>
+        </Offcanvas.Title>
+      </Offcanvas.Header>
+      <Offcanvas.Body>
+        {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+
+        {loading && copies.length === 0 ? (
+          <div className="text-center py-4">
+            <Spinner animation="border" size="sm" /> Loading copies...
+          </div>
+        ) : (
+          <div className="table-responsive mb-4">
+            <Table size="sm" hover className="align-middle">
+              <thead>
+                <tr>
+                  <th>Accession</th>
+                  <th>Barcode</th>
+                  <th>Condition</th>
+                  <th>Shelf</th>
+                  <th>Status</th>
+                  {canEdit && <th></th>}
+                </tr>
+              </thead>
+              <tbody>
+                {copies.map((copy) => (
+                  <tr key={copy.id} className={editingCopy?.id === copy.id ? 'table-active' : ''}>
+                    <td><strong>{copy.accessionNumber}</strong></td>
+                    <td className="font-monospace small">{copy.barcode || '—'}</td>
+                    <td>{COPY_CONDITION_LABELS[copy.condition] || copy.condition}</td>
+                    <td>{copy.shelfLocation || '—'}</td>
+                    <td>
+                      <Badge bg={getCopyStatusVariant(copy.status)}>
+                        {COPY_STATUS_LABELS[copy.status] || copy.status}
+                      </Badge>
+                    </td>
+                    {canEdit && (
+                      <td className="text-end text-nowrap">
+                        <Button variant="outline-primary" size="sm" className="me-1" onClick={() => editCopy(copy)}>
+                          ✏️
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => deleteCopy(copy)}
+                          disabled={isInCirculation(copy)}
+                          title={isInCirculation(copy) ? 'Return or release this copy first' : 'Delete copy'}
+                        >
+                          🗑️
+                        </Button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+            {copies.length === 0 && (
+              <p className="text-muted text-center">
+                No copies recorded yet. Until the first one is added, this title uses its hand-entered quantity.
+              </p>
+            )}
+          </div>
+        )}
+
+        {canEdit && (
+          <Form onSubmit={handleSubmit} noValidate>
+            <h6>{editingCopy ? `✏️ Edit copy ${editingCopy.accessionNumber}` : '➕ Add a copy'}</h6>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Accession number <span className="text-danger">*</span></Form.Label>
+                  <Form.Control
+                    value={form.accessionNumber}
+                    onChange={(e) => setForm({ ...form, accessionNumber: e.target.value })}
+                    isInvalid={!!errors.accessionNumber}
+                    disabled={saving}
+                  />
+                  <Form.Control.Feedback type="invalid">{errors.accessionNumber}</Form.Control.Feedback>
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Barcode</Form.Label>
+                  <Form.Control
+                    value={form.barcode}
+                    onChange={(e) => setForm({ ...form, barcode: e.target.value })}
+                    isInvalid={!!errors.barcode}
+                    disabled={saving}
+                    placeholder="Scan or type"
+                  />
+                  <Form.Control.Feedback type="invalid">{errors.barcode}</Form.Control.Feedback>
+                </Form.Group>
+              </Col>
+            </Row>
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Condition</Form.Label>
+                  <Form.Select
+                    value={form.condition}
+                    onChange={(e) => setForm({ ...form, condition: e.target.value })}
+                    isInvalid={!!errors.condition}
+                    disabled={saving}
+                  >
+                    {COPY_CONDITIONS.map((condition) => (
+                      <option key={condition} value={condition}>{COPY_CONDITION_LABELS[condition]}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Shelf location</Form.Label>
+                  <Form.Control
+                    value={form.shelfLocation}
+                    onChange={(e) => setForm({ ...form, shelfLocation: e.target.value })}
+                    disabled={saving}
+                    placeholder="e.g., B3-12"
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Status</Form.Label>
+                  <Form.Select
+                    value={form.status}
+                    onChange={(e) => setForm({ ...form, status: e.target.value })}
+                    disabled={saving || circulating}
+                  >
+                    {(circulating ? [form.status] : EDITABLE_COPY_STATUSES).map((status) => (
+                      <option key={status} value={status}>{COPY_STATUS_LABELS[status]}</option>
+                    ))}
+                  </Form.Select>
+                  {circulating && <Form.Text className="text-muted">Set by circulation</Form.Text>}
+                </Form.Group>
+              </Col>
+            </Row>
+            <div className="d-flex justify-content-end gap-2">
+              {editingCopy && (
+                <Button variant="outline-secondary" onClick={() => startNewCopy(copies)} disabled={saving}>
+                  Cancel
+                </Button>
+              )}
+              <Button type="submit" variant="primary" disabled={saving}>
+                {saving ? (
+                  <>
+                    <Spinner as="span" animation="border" size="sm" role="status" aria-hidden="true" className="me-2" />
+                    Saving...
+                  </>
+                ) : (
+                  editingCopy ? '✅ Update Copy' : '➕ Add Copy'
+                )}
+              </Button>
+            </div>
+          </Form>
+        )}
+      </Offcanvas.Body>
+    </Offcanvas>
+  );
+};
+
+export default CopyManagerDrawer;
@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button, Alert, Spinner, Badge } from 'react-bootstrap';
 import { useAuth } from '../contexts/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import apiService from '../services/api';
+import { PERMISSIONS } from '../utils/permissions';
+import { summarizeFines, formatFine } from '../utils/loanStatus';
+import useLoanPolicy from '../hooks/useLoanPolicy';
 
 const Dashboard = () => {
-  const { isLoggedIn, isAdmin, currentUser } = useAuth();
+  const { isLoggedIn, isAdmin, isLibrarian, can, currentUser } = useAuth();
   const [availableBooks, setAvailableBooks] = useState([]);
   const [userBookings, setUserBookings] = useState([]);
   const [stats, setStats] = useState({
@@ -13,13 +16,15 @@ const Dashboard = () => {
     availableBooks: 0,
     totalUsers: 0,
     activeBookings: 0,
-    userActiveBookings: 0,
-    overdueBookings: 0
+    userActiveBookings: 0
   });
   const [recentActivity, setRecentActivity] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const navigate = useNavigate();
+  const { policy } = useLoanPolicy();
+  // Derived at render so it follows the policy once that loads
+  const fines = summarizeFines(userBookings, policy);
 
   useEffect(() => {
     if (isLoggedIn()) {
@@ -48,15 +53,10 @@ const Dashboard = () => {
           
           // Calculate user stats
           const activeBookings = bookingsData.filter(b => b.status === 'ACTIVE').length;
-          const overdueBookings = bookingsData.filter(b => {
-            const dueDate = new Date(b.dueDate);
-            return b.status === 'ACTIVE' && dueDate < new Date();
-          }).length;
           
           setStats(prev => ({
             ...prev,
-            userActiveBookings: activeBookings,
-            overdueBookings: overdueBookings
+            userActiveBookings: activeBookings
           }));
         }
       }
@@ -64,50 +64,43 @@ const Dashboard = () => {
       // Load admin stats if admin
       if (isAdmin()) {
         try {
-          const allBooksResult = await apiService.getAllBooks();
-          const allUsersResult = await apiService.getAllUsers();
-          const allBookingsResult = await apiService.getAllBookings();
-          
-          if (allBooksResult.success && allUsersResult.success && allBookingsResult.success) {
-            const allBooksData = allBooksResult.data || [];
-            const allUsersData = allUsersResult.data || [];
-            const allBookingsData = allBookingsResult.data || [];
-            
-            const totalBookQuantity = allBooksData.reduce((sum, book) => sum + (book.quantity || 0), 0);
-            const availableBooksCount = allBooksData.filter(book => (book.quantity || 0) > 0).length;
-            const activeBookingsCount = allBookingsData.filter(b => b.status === 'ACTIVE').length;
-            
+          // Count endpoints instead of loading every book, user and booking
+          const [bookCountsResult, userCountResult, activeCountResult, recentResult] = await Promise.all([
+            apiService.getBookCounts(),
+            apiService.getUserCount(),
+            apiService.getBookingCount('ACTIVE'),
+            apiService.getBookingsPage({ size: 5, sort: { key: 'bookingDate', direction: 'desc' } })
+          ]);
+          const results = {
+            Books: bookCountsResult,
+            Users: userCountResult,
+            Bookings: activeCountResult,
+            'Recent activity': recentResult
+          };
+
+          if (Object.values(results).every(result => result.success)) {
             setStats(prev => ({
               ...prev,
-              totalBooks: totalBookQuantity,
-              availableBooks: availableBooksCount,
-              totalUsers: allUsersData.length,
-              activeBookings: activeBookingsCount
+              totalBooks: bookCountsResult.data.copies,
+              availableBooks: bookCountsResult.data.availableTitles,
+              totalUsers: userCountResult.data.total,
+              activeBookings: activeCountResult.data.total
             }));
             
             // Generate recent activity
-            const recentBookings = allBookingsData
-              .sort((a, b) => new Date(b.bookingDate) - new Date(a.bookingDate))
-              .slice(0, 5)
-              .map(booking => ({
-                id: booking.id,
-                type: 'booking',
-                message: `${booking.user?.firstName || 'User'} ${booking.user?.lastName || ''} booked "${booking.book?.title || 'Unknown Book'}"`,
-                timestamp: booking.bookingDate,
-                status: booking.status
-              }));
+            const recentBookings = recentResult.data.items.map(booking => ({
+              id: booking.id,
+              type: 'booking',
+              message: `${booking.user?.firstName || 'User'} ${booking.user?.lastName || ''} booked "${booking.book?.title || 'Unknown Book'}"`,
+              timestamp: booking.bookingDate,
+              status: booking.status
+            }));
             
             setRecentActivity(recentBookings);
           } else {
-            console.error('Failed to load admin data:', {
-              books: allBooksResult.error,
-              users: allUsersResult.error,
-              bookings: allBookingsResult.error
-            });
-            const errorMessages = [];
-            if (!allBooksResult.success) errorMessages.push(`Books: ${allBooksResult.error}`);
-            if (!allUsersResult.success) errorMessages.push(`Users: ${allUsersResult.error}`);
-            if (!allBookingsResult.success) errorMessages.push(`Bookings: ${allBookingsResult.error}`);
+            const failed = Object.entries(results).filter(([, result]) => !result.success);
+            console.error('Failed to load admin data:', Object.fromEntries(failed.map(([label, result]) => [label, result.error])));
+            const errorMessages = failed.map(([label, result]) => `${label}: ${result.error.message}`);
             setError(`Failed to load admin data: ${errorMessages.join(', ')}`);
             return; // Exit early to prevent clearing error
           }
@@ -148,7 +141,7 @@ const Dashboard = () => {
         loadDashboardData();
       } else {
         const errorEvent = new CustomEvent('showAlert', {
-          detail: { message: result.error || 'Error booking book', type: 'danger' }
+          detail: { message: result.error?.message || 'Error booking book', type: 'danger' }
         });
         window.dispatchEvent(errorEvent);
       }
@@ -242,6 +235,7 @@ const Dashboard = () => {
         <h2 className="dashboard-title">
           Welcome back, {currentUser?.username || 'User'}!
           {isAdmin() && <Badge bg="warning" className="ms-2">Admin</Badge>}
+          {isLibrarian() && <Badge bg="success" className="ms-2">Librarian</Badge>}
         </h2>
         <p className="dashboard-subtitle">
           {isAdmin() ? 'Manage your library system' : 'Discover and manage your books'}
@@ -363,12 +357,15 @@ const Dashboard = () => {
                   <Card className="stat-card">
                     <Card.Body>
                       <div className="stat-content">
-                        <div className={`stat-icon ${stats.overdueBookings > 0 ? 'danger' : 'success'}`}>
-                          <i className={`bi ${stats.overdueBookings > 0 ? 'bi-exclamation-triangle' : 'bi-check-all'}`}></i>
+                        <div className={`stat-icon ${fines.overdueCount > 0 ? 'danger' : 'success'}`}>
+                          <i className={`bi ${fines.overdueCount > 0 ? 'bi-exclamation-triangle' : 'bi-check-all'}`}></i>
                         </div>
                         <div className="stat-info">
-                          <h4 className="stat-number">{stats.overdueBookings}</h4>
+                          <h4 className="stat-number">{fines.overdueCount}</h4>
                           <p className="stat-label">Overdue Books</p>
+                          {fines.total > 0 && (
+                            <small className="text-danger">Fines due: {formatFine(fines.total)}</small>
+                          )}
                         </div>
                       </div>
                     </Card.Body>
@@ -411,13 +408,22 @@ const Dashboard = () => {
                       <i className="bi bi-bookmark"></i>
                       My Bookings
                     </Button>
-                    {isAdmin() && (
+                    {can(PERMISSIONS.BOOKINGS_CHECKOUT) && (
+                      <Button
+                        className="action-btn admin-btn"
+                        onClick={() => navigate('/desk')}
+                      >
+                        <i className="bi bi-upc-scan"></i>
+                        Circulation Desk
+                      </Button>
+                    )}
+                    {can(PERMISSIONS.ADMIN_PANEL) && (
                       <Button
                         className="action-btn admin-btn"
                         onClick={() => navigate('/admin')}
                       >
                         <i className="bi bi-gear"></i>
-                        Admin Panel
+                        {isLibrarian() ? 'Staff Panel' : 'Admin Panel'}
                       </Button>
                     )}
                   </div>
@@ -484,7 +490,11 @@ const Dashboard = () => {
                       {availableBooks.map((book) => (
                         <div key={book.id} className="featured-book-item">
                           <div className="book-info">
-                            <h6 className="book-title">{book.title}</h6>
+                            <h6 className="book-title">
+                              <Link to={`/books/${book.id}`} className="text-decoration-none">
+                                {book.title}
+                              </Link>
+                            </h6>
                             <p className="book-author">by {book.author}</p>
                             <div className="book-meta">
                               <Badge 
@@ -0,0 +1,153 @@
+import React from 'react';
+import { Table, Form, Spinner, Alert } from 'react-bootstrap';
+import PaginationControls from './PaginationControls';
+import { PAGE_SIZE_OPTIONS } from '../utils/paging';
+
+const SORT_ICONS = { asc: '▲', desc: '▼' };
+
+const ColumnFilter = ({ column, value, onChange }) => {
+  const { filter } = column;
+  if (filter.type === 'select') {
+    return (
+      <Form.Select size="sm" value={value ?? ''} onChange={(e) => onChange(e.target.value)} aria-label={`Filter ${column.header}`}>
+        <option value="">All</option>
+        {filter.options.map(({ value: optionValue, label }) => (
+          <option key={optionValue} value={optionValue}>{label}</option>
+        ))}
+      </Form.Select>
+    );
+  }
+  return (
+    <Form.Control
+      size="sm"
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={filter.placeholder || 'Filter'}
+      aria-label={`Filter ${column.header}`}
+    />
+  );
+};
+
+/**
+ * Server-paged table driven by useServerTable.
+ *
+ * `columns` is [{ key, header, render?: (row) => node, sortKey?, filter? }]:
+ * a `sortKey` makes the header clickable, and `filter` ({ type: 'text' } or
+ * { type: 'select', options: [{ value, label }] }) adds a filter under it,
+ * sent as the `filterKey` (or `key`) request param. `actions` sits next to
+ * the search box, e.g. an ExportMenu.
+ */
+const DataTable = ({ table, columns, searchPlaceholder = '🔍 Search', actions, emptyMessage = 'Nothing here yet.', rowKey = 'id' }) => {
+  const hasFilters = columns.some((column) => column.filter);
+  const totalPages = Math.max(1, Math.ceil(table.total / table.size));
+  const first = table.total === 0 ? 0 : table.page * table.size + 1;
+  const last = Math.min(table.total, (table.page + 1) * table.size);
+
+  return (
+    <>
+      <div className="d-flex gap-2 mb-3">
+        <Form.Control
+          size="sm"
+          placeholder={searchPlaceholder}
+          value={table.search}
+          onChange={(e) => table.setSearch(e.target.value)}
+        />
+        {actions}
+      </div>
+
+      {table.error && <Alert variant="danger">{table.error}</Alert>}
+
+      <div className="table-responsive" style={{ opacity: table.loading && table.rows.length > 0 ? 0.6 : 1 }}>
+        <Table hover>
+          <thead>
+            <tr>
+              {columns.map((column) => (
+                <th
+                  key={column.key}
+                  className={column.sortKey ? 'text-nowrap' : undefined}
+                  style={column.sortKey ? { cursor: 'pointer', userSelect: 'none' } : undefined}
+                  onClick={column.sortKey ? () => table.toggleSort(column.sortKey) : undefined}
+                  aria-sort={table.sort?.key === column.sortKey
+                    ? (table.sort.direction === 'asc' ? 'ascending' : 'descending')
+                    : undefined}
+                >
+                  {column.header}
+                  {column.sortKey && (
+                    <span className={table.sort?.key === column.sortKey ? 'ms-1' : 'ms-1 text-muted opacity-50'}>
+                      {table.sort?.key === column.sortKey ? SORT_ICONS[table.sort.direction] : '⇅'}
+                    </span>
+                  )}
+                </th>
+              ))}
+            </tr>
+            {hasFilters && (
+              <tr>
+                {columns.map((column) => {
+                  const filterKey = column.filterKey || column.key;
+                  return (
+                    <th key={column.key} className="fw-normal">
+                      {column.filter && (
+                        <ColumnFilter
+                          column={column}
+                          value={table.filters[filterKey]}
+                          onChange={(value) => table.setFilter(filterKey, value)}
+                        />
+                      )}
+                    </th>
+                  );
+                })}
+              </tr>
+            )}
+          </thead>
+          <tbody>
+            {table.rows.map((row) => (
+              <tr key={row[rowKey]}>
+                {columns.map((column) => (
+                  <td key={column.key}>{column.render ? column.render(row) : row[column.key]}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+
+        {table.loading && table.rows.length === 0 && (
+          <div className="text-center py-4">
+            <Spinner animation="border" size="sm" role="status" className="me-2" />
+            <span className="text-muted">Loading...</span>
+          </div>
+        )}
+
+        {!table.loading && table.rows.length === 0 && (
+          <div className="text-center py-4">
+            <p className="text-muted">{table.isFiltered ? 'Nothing matches the current filter.' : emptyMessage}</p>
+          </div>
+        )}
+      </div>
+
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+        <small className="text-muted">
+          {table.total > 0 ? `Showing ${first}–${last} of ${table.total}` : ''}
+        </small>
+        <PaginationControls
+          page={table.page + 1}
+          totalPages={totalPages}
+          onChange={(page) => table.setPage(page - 1)}
+          className="mb-0"
+        />
+        <Form.Select
+          size="sm"
+          style={{ width: '130px' }}
+          value={table.size}
+          onChange={(e) => table.setSize(Number(e.target.value))}
+          aria-label="Rows per page"
+        >
+          {PAGE_SIZE_OPTIONS.map((option) => (
+            <option key={option} value={option}>{option} per page</option>
+          ))}
+        </Form.Select>
+      </div>
+    </>
+  );
+};
+
+export default DataTable;
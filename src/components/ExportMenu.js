@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { Dropdown, DropdownButton } from 'react-bootstrap';
+import { EXPORT_FORMATS, exportRecords, openReportWindow } from '../utils/exporters';
+
+/**
+ * "Export" dropdown for an AdminPanel tab. Pass the records as currently
+ * filtered so the file matches what's on screen, or, for server-paged
+ * tables, `count` plus `loadRecords` to fetch every matching row on demand.
+ */
+const ExportMenu = ({ filename, title, columns, records, count, loadRecords, formats = EXPORT_FORMATS, onError }) => {
+  const [exporting, setExporting] = useState(false);
+  const total = count ?? records?.length ?? 0;
+
+  const handleSelect = async (format) => {
+    let reportWindow;
+    setExporting(true);
+    try {
+      // Opened before loading, while the click still allows a pop-up
+      if (format === 'pdf' && loadRecords) reportWindow = openReportWindow();
+      const rows = loadRecords ? await loadRecords() : records;
+      exportRecords({ format, filename, title, columns, records: rows, reportWindow });
+    } catch (error) {
+      reportWindow?.close();
+      console.error('Export failed:', error);
+      onError?.(error.message || 'Export failed. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <DropdownButton
+      title={exporting ? '⏳ Exporting...' : `⬇️ Export (${total})`}
+      variant="outline-secondary"
+      size="sm"
+      onSelect={handleSelect}
+      disabled={total === 0 || exporting}
+    >
+      {formats.map(({ value, label }) => (
+        <Dropdown.Item key={value} eventKey={value}>{label}</Dropdown.Item>
+      ))}
+    </DropdownButton>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,59 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ExportMenu from './ExportMenu';
+
+const COLUMNS = [{ key: 'title', header: 'Title' }];
+
+const fakeWindow = () => ({
+  document: { write: jest.fn(), close: jest.fn() },
+  addEventListener: jest.fn(),
+  close: jest.fn()
+});
+
+const exportPdf = () => {
+  fireEvent.click(screen.getByRole('button', { name: /Export/ }));
+  fireEvent.click(screen.getByText('PDF report'));
+};
+
+describe('ExportMenu PDF export', () => {
+  let openSpy;
+  let reportWindow;
+
+  beforeEach(() => {
+    reportWindow = fakeWindow();
+    openSpy = jest.spyOn(window, 'open').mockReturnValue(reportWindow);
+  });
+
+  afterEach(() => {
+    openSpy.mockRestore();
+  });
+
+  it('opens the report window before loading the records', async () => {
+    let resolveRecords;
+    const loadRecords = jest.fn(() => new Promise((resolve) => { resolveRecords = resolve; }));
+    render(<ExportMenu filename="books" title="Books" columns={COLUMNS} count={1} loadRecords={loadRecords} />);
+
+    exportPdf();
+
+    expect(openSpy).toHaveBeenCalledTimes(1);
+    expect(reportWindow.document.write).toHaveBeenCalledWith(expect.stringContaining('Preparing the report'));
+
+    resolveRecords([{ title: 'Gitanjali' }]);
+    await waitFor(() => {
+      expect(reportWindow.document.write).toHaveBeenLastCalledWith(expect.stringContaining('<td>Gitanjali</td>'));
+    });
+    expect(openSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('closes the window and reports the error when loading fails', async () => {
+    const onError = jest.fn();
+    const loadRecords = jest.fn().mockRejectedValue(new Error('Failed to fetch books'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    render(<ExportMenu filename="books" title="Books" columns={COLUMNS} count={1} loadRecords={loadRecords} onError={onError} />);
+
+    exportPdf();
+
+    await waitFor(() => expect(onError).toHaveBeenCalledWith('Failed to fetch books'));
+    expect(reportWindow.close).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
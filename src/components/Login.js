@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Form, Button, Card, Alert, Container, Row, Col, Spinner } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -11,15 +11,19 @@ const Login = () => {
   });
   const [error, setError] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const { login, isLoggedIn, loading } = useAuth();
+  const { login, isLoggedIn, loading, getReturnPath } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const sessionExpired = !!location.state?.sessionExpired;
+  const from = location.state?.from;
+  const returnPath = from ? `${from.pathname}${from.search || ''}` : getReturnPath();
 
   // Redirect if already logged in
   useEffect(() => {
     if (!loading && isLoggedIn()) {
-      navigate('/', { replace: true });
+      navigate(returnPath, { replace: true });
     }
-  }, [isLoggedIn, loading, navigate]);
+  }, [isLoggedIn, loading, navigate, returnPath]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -59,9 +63,9 @@ const Login = () => {
       const result = await login(formData.username.trim(), formData.password);
 
       if (result.success) {
-        navigate('/', { replace: true });
+        navigate(returnPath, { replace: true });
       } else {
-        setError(result.error || 'Login failed. Please try again.');
+        setError(result.error?.message || 'Login failed. Please try again.');
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -97,6 +101,13 @@ const Login = () => {
             <Card.Body className="p-4">
               <h2 className="text-center mb-4">Sign In</h2>
               
+              {sessionExpired && !error && (
+                <Alert variant="info">
+                  <i className="bi bi-clock-history me-2"></i>
+                  Your session has expired. Sign in again to pick up where you left off.
+                </Alert>
+              )}
+
               {error && (
                 <Alert variant="danger" dismissible onClose={() => setError('')}>
                   <i className="bi bi-exclamation-triangle-fill me-2"></i>
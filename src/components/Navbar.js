@@ -2,9 +2,10 @@ import React, { useState } from 'react';
 import { Navbar as BootstrapNavbar, Nav, Container, Button, Badge, Dropdown } from 'react-bootstrap';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS, ROLE_LABELS } from '../utils/permissions';
 
 const Navbar = () => {
-  const { currentUser, logout, isAdmin, isUser, isLoggedIn, getUserDisplayName } = useAuth();
+  const { currentUser, logout, isAdmin, isLibrarian, can, isLoggedIn, getUserDisplayName } = useAuth();
   const location = useLocation();
   const [expanded, setExpanded] = useState(false);
 
@@ -17,6 +18,12 @@ const Navbar = () => {
     setExpanded(false);
   };
 
+  const getAvatar = () => {
+    if (isAdmin()) return '👑';
+    if (isLibrarian()) return '📋';
+    return '👤';
+  };
+
   const isActiveLink = (path) => {
     return location.pathname === path;
   };
@@ -75,7 +82,7 @@ const Navbar = () => {
               AI Assistant
             </Nav.Link>
 
-            {isLoggedIn() && (
+            {can(PERMISSIONS.BOOKINGS_READ_OWN) && (
               <Nav.Link 
                 as={Link} 
                 to="/bookings" 
@@ -87,17 +94,29 @@ const Navbar = () => {
               </Nav.Link>
             )}
 
-            {isAdmin() && (
+            {can(PERMISSIONS.BOOKINGS_CHECKOUT) && (
+              <Nav.Link 
+                as={Link} 
+                to="/desk" 
+                className={getNavLinkClass('/desk')}
+                onClick={handleNavClick}
+              >
+                <span className="nav-icon">🛎️</span>
+                Desk
+              </Nav.Link>
+            )}
+
+            {can(PERMISSIONS.ADMIN_PANEL) && (
               <Nav.Link 
                 as={Link} 
                 to="/admin" 
                 className={getNavLinkClass('/admin')}
                 onClick={handleNavClick}
               >
-                <span className="nav-icon">👑</span>
-                Admin Panel
-                <Badge bg="warning" text="dark" className="ms-2">
-                  Admin
+                <span className="nav-icon">{isLibrarian() ? '📋' : '👑'}</span>
+                {isLibrarian() ? 'Staff Panel' : 'Admin Panel'}
+                <Badge bg={isLibrarian() ? 'success' : 'warning'} text={isLibrarian() ? undefined : 'dark'} className="ms-2">
+                  {isLibrarian() ? 'Staff' : 'Admin'}
                 </Badge>
               </Nav.Link>
             )}
@@ -111,12 +130,12 @@ const Navbar = () => {
                   className="user-menu-toggle d-flex align-items-center"
                 >
                   <div className="user-avatar">
-                    {isAdmin() ? '👑' : '👤'}
+                    {getAvatar()}
                   </div>
                   <div className="user-info d-none d-md-block ms-2">
                     <div className="user-name">{getUserDisplayName()}</div>
                     <div className="user-role">
-                      {isAdmin() ? 'Administrator' : 'Member'}
+                      {ROLE_LABELS[currentUser?.role] || 'Member'}
                     </div>
                   </div>
                 </Dropdown.Toggle>
@@ -125,18 +144,18 @@ const Navbar = () => {
                   <Dropdown.Header>
                     <div className="text-center">
                       <div className="user-avatar-large mb-2">
-                        {isAdmin() ? '👑' : '👤'}
+                        {getAvatar()}
                       </div>
                       <strong>{getUserDisplayName()}</strong>
                       <div className="text-muted small">
-                        {isAdmin() ? 'Administrator' : 'Library Member'}
+                        {isAdmin() || isLibrarian() ? ROLE_LABELS[currentUser.role] : 'Library Member'}
                       </div>
                     </div>
                   </Dropdown.Header>
                   
                   <Dropdown.Divider />
                   
-                  {isUser() && (
+                  {can(PERMISSIONS.BOOKINGS_READ_OWN) && (
                     <Dropdown.Item as={Link} to="/bookings" onClick={handleNavClick}>
                       <span className="dropdown-icon">📖</span>
                       My Bookings
@@ -153,12 +172,19 @@ const Navbar = () => {
                     AI Assistant
                   </Dropdown.Item>
                   
-                  {isAdmin() && (
+                  {can(PERMISSIONS.BOOKINGS_CHECKOUT) && (
+                    <Dropdown.Item as={Link} to="/desk" onClick={handleNavClick}>
+                      <span className="dropdown-icon">🛎️</span>
+                      Circulation Desk
+                    </Dropdown.Item>
+                  )}
+
+                  {can(PERMISSIONS.ADMIN_PANEL) && (
                     <>
                       <Dropdown.Divider />
                       <Dropdown.Item as={Link} to="/admin" onClick={handleNavClick}>
-                        <span className="dropdown-icon">👑</span>
-                        Admin Panel
+                        <span className="dropdown-icon">{isLibrarian() ? '📋' : '👑'}</span>
+                        {isLibrarian() ? 'Staff Panel' : 'Admin Panel'}
                       </Dropdown.Item>
                     </>
                   )}
@@ -0,0 +1,34 @@
+import React from 'react';
+import { Pagination } from 'react-bootstrap';
+
+// Number of page links shown either side of the current page
+const PAGE_WINDOW = 2;
+
+const PaginationControls = ({ page, totalPages, onChange, className = '' }) => {
+  if (totalPages <= 1) return null;
+
+  const start = Math.max(1, page - PAGE_WINDOW);
+  const end = Math.min(totalPages, page + PAGE_WINDOW);
+  const pages = [];
+  for (let p = start; p <= end; p += 1) {
+    pages.push(p);
+  }
+
+  return (
+    <Pagination className={`justify-content-center ${className}`}>
+      <Pagination.First disabled={page === 1} onClick={() => onChange(1)} />
+      <Pagination.Prev disabled={page === 1} onClick={() => onChange(page - 1)} />
+      {start > 1 && <Pagination.Ellipsis disabled />}
+      {pages.map((p) => (
+        <Pagination.Item key={p} active={p === page} onClick={() => onChange(p)}>
+          {p}
+        </Pagination.Item>
+      ))}
+      {end < totalPages && <Pagination.Ellipsis disabled />}
+      <Pagination.Next disabled={page === totalPages} onClick={() => onChange(page + 1)} />
+      <Pagination.Last disabled={page === totalPages} onClick={() => onChange(totalPages)} />
+    </Pagination>
+  );
+};
+
+export default PaginationControls;
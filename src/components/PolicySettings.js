@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Form, Button, Alert, Spinner, Badge } from 'react-bootstrap';
+import apiService from '../services/api';
+import { invalidateLoanPolicy } from '../hooks/useLoanPolicy';
+import { ROLE_LABELS } from '../utils/permissions';
+import {
+  DEFAULT_LOAN_POLICY,
+  POLICY_FIELDS,
+  OVERRIDABLE_ROLES,
+  validatePolicy
+} from '../utils/loanPolicy';
+
+// Form values are strings; blanks in an override column mean "same as default"
+const toForm = (policy) => {
+  const { roleOverrides, ...base } = policy;
+  return {
+    base: POLICY_FIELDS.reduce((acc, { key }) => ({ ...acc, [key]: String(base[key] ?? DEFAULT_LOAN_POLICY[key]) }), {}),
+    overrides: OVERRIDABLE_ROLES.reduce((acc, role) => ({
+      ...acc,
+      [role]: POLICY_FIELDS.reduce((fields, { key }) => ({
+        ...fields,
+        [key]: roleOverrides?.[role]?.[key] != null ? String(roleOverrides[role][key]) : ''
+      }), {})
+    }), {})
+  };
+};
+
+const fromForm = (form) => {
+  const toNumbers = (values) => Object.entries(values).reduce((acc, [key, value]) => {
+    if (value.trim() !== '') acc[key] = Number(value);
+    return acc;
+  }, {});
+
+  const roleOverrides = Object.entries(form.overrides).reduce((acc, [role, values]) => {
+    const numbers = toNumbers(values);
+    if (Object.keys(numbers).length > 0) acc[role] = numbers;
+    return acc;
+  }, {});
+
+  return { ...toNumbers(form.base), roleOverrides };
+};
+
+/**
+ * Circulation rules editor for the AdminPanel "Policies" tab: one column of
+ * library-wide defaults plus an optional override column per role.
+ */
+const PolicySettings = ({ policy, canEdit, onSaved }) => {
+  const [form, setForm] = useState(() => toForm(policy));
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  // Pick up the server copy once it loads (or after another admin's save)
+  useEffect(() => {
+    setForm(toForm(policy));
+  }, [policy]);
+
+  const setValue = (scope, key, value) => {
+    setSaved(false);
+    setForm(prev => (scope === 'base'
+      ? { ...prev, base: { ...prev.base, [key]: value } }
+      : { ...prev, overrides: { ...prev.overrides, [scope]: { ...prev.overrides[scope], [key]: value } } }
+    ));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Errors are keyed "scope.field" so each cell can show its own
+    const nextErrors = {};
+    Object.entries(validatePolicy(form.base)).forEach(([key, message]) => {
+      nextErrors[`base.${key}`] = message;
+    });
+    Object.entries(form.overrides).forEach(([role, values]) => {
+      Object.entries(validatePolicy(values, { allowBlank: true })).forEach(([key, message]) => {
+        nextErrors[`${role}.${key}`] = message;
+      });
+    });
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const result = await apiService.updateLoanPolicy(fromForm(form));
+      if (result.success) {
+        invalidateLoanPolicy();
+        setSaved(true);
+        onSaved?.(result.data);
+      } else {
+        setError(result.error.message);
+      }
+    } catch (error) {
+      console.error('Error saving policy:', error);
+      setError('Failed to save policy. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="admin-section">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">⚖️ Circulation Policy</h5>
+        {!canEdit && <Badge bg="secondary">Read only</Badge>}
+      </Card.Header>
+      <Card.Body>
+        <p className="text-muted">
+          Library-wide rules apply to everyone. Fill in a role's column only where that role should differ,
+          e.g. longer loans for staff.
+        </p>
+
+        {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+        {saved && <Alert variant="success" dismissible onClose={() => setSaved(false)}>Policy saved.</Alert>}
+
+        <Form onSubmit={handleSubmit} noValidate>
+          <div className="table-responsive">
+            <Table bordered size="sm" className="align-middle">
+              <thead>
+                <tr>
+                  <th>Rule</th>
+                  <th>Library default</th>
+                  {OVERRIDABLE_ROLES.map(role => (
+                    <th key={role}>{ROLE_LABELS[role]} override</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {POLICY_FIELDS.map(({ key, label, unit, min }) => (
+                  <tr key={key}>
+                    <td>
+                      <strong>{label}</strong>
+                      <div className="text-muted small">{unit}</div>
+                    </td>
+                    <td>
+                      <Form.Control
+                        type="number"
+                        size="sm"
+                        min={min}
+                        value={form.base[key]}
+                        onChange={(e) => setValue('base', key, e.target.value)}
+                        isInvalid={!!errors[`base.${key}`]}
+                        disabled={!canEdit || saving}
+                      />
+                      <Form.Control.Feedback type="invalid">{errors[`base.${key}`]}</Form.Control.Feedback>
+                    </td>
+                    {OVERRIDABLE_ROLES.map(role => (
+                      <td key={role}>
+                        <Form.Control
+                          type="number"
+                          size="sm"
+                          min={min}
+                          placeholder={form.base[key]}
+                          value={form.overrides[role][key]}
+                          onChange={(e) => setValue(role, key, e.target.value)}
+                          isInvalid={!!errors[`${role}.${key}`]}
+                          disabled={!canEdit || saving}
+                        />
+                        <Form.Control.Feedback type="invalid">{errors[`${role}.${key}`]}</Form.Control.Feedback>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+
+          {canEdit && (
+            <div className="d-flex justify-content-end gap-2">
+              <Button variant="outline-secondary" onClick={() => setForm(toForm(policy))} disabled={saving}>
+                Reset
+              </Button>
+              <Button type="submit" variant="primary" disabled={saving}>
+                {saving ? (
+                  <>
+                    <Spinner as="span" animation="border" size="sm" role="status" aria-hidden="true" className="me-2" />
+                    Saving...
+                  </>
+                ) : (
+                  '💾 Save Policy'
+                )}
+              </Button>
+            </div>
+          )}
+        </Form>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default PolicySettings;
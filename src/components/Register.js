@@ -3,6 +3,10 @@ import { Form, Button, Card, Alert, Container, Row, Col, Spinner, InputGroup } f
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
+import { ERROR_CODES } from '../services/apiError';
+
+// Roles that need a registration key from the library administrator
+const STAFF_ROLES = ['ADMIN', 'LIBRARIAN'];
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -44,8 +48,8 @@ const Register = () => {
       }));
     }
 
-    // Clear admin key when switching to USER role
-    if (name === 'role' && value === 'USER') {
+    // Clear registration key when switching to USER role
+    if (name === 'role' && !STAFF_ROLES.includes(value)) {
       setFormData(prev => ({
         ...prev,
         [name]: value,
@@ -87,9 +91,11 @@ const Register = () => {
       newErrors.email = 'Please enter a valid email address';
     }
 
-    // Admin key validation
-    if (formData.role === 'ADMIN' && !formData.adminKey.trim()) {
-      newErrors.adminKey = 'Admin key is required for admin registration';
+    // Staff registration key validation
+    if (STAFF_ROLES.includes(formData.role) && !formData.adminKey.trim()) {
+      newErrors.adminKey = formData.role === 'ADMIN'
+        ? 'Admin key is required for admin registration'
+        : 'Staff key is required for librarian registration';
     }
 
     setErrors(newErrors);
@@ -120,7 +126,7 @@ const Register = () => {
       submitData.fullName = formData.fullName.trim();
     }
 
-    if (formData.role === 'ADMIN') {
+    if (STAFF_ROLES.includes(formData.role)) {
       submitData.adminKey = formData.adminKey.trim();
     }
 
@@ -144,12 +150,15 @@ const Register = () => {
         }, 2000);
       } else {
         // Handle specific error cases
-        if (result.error.includes('already exists')) {
+        const { code, message, fieldErrors } = result.error;
+        if (Object.keys(fieldErrors).length > 0) {
+          setErrors(fieldErrors);
+        } else if (code === ERROR_CODES.CONFLICT || message.includes('already exists')) {
           setErrors({ username: 'Username already exists. Please choose a different one.' });
-        } else if (result.error.includes('admin key')) {
-          setErrors({ adminKey: 'Invalid admin key. Please contact the administrator.' });
+        } else if (message.includes('admin key') || message.includes('staff key')) {
+          setErrors({ adminKey: 'Invalid registration key. Please contact the administrator.' });
         } else {
-          setErrors({ general: result.error });
+          setErrors({ general: message });
         }
       }
     } catch (error) {
@@ -286,26 +295,28 @@ const Register = () => {
                     disabled={isSubmitting}
                   >
                     <option value="USER">📚 Library Member</option>
+                    <option value="LIBRARIAN">📋 Librarian</option>
                     <option value="ADMIN">👑 Administrator</option>
                   </Form.Select>
                   <Form.Text className="text-muted">
-                    {formData.role === 'ADMIN'
-                      ? 'Administrative access requires a special registration key'
-                      : 'Standard account with book browsing and borrowing privileges'
-                    }
+                    {formData.role === 'ADMIN' && 'Administrative access requires a special registration key'}
+                    {formData.role === 'LIBRARIAN' && 'Front desk access for checkouts, returns and stock counts. Requires a staff registration key'}
+                    {formData.role === 'USER' && 'Standard account with book browsing and borrowing privileges'}
                   </Form.Text>
                 </Form.Group>
 
-                {formData.role === 'ADMIN' && (
+                {STAFF_ROLES.includes(formData.role) && (
                   <Form.Group className="mb-4">
-                    <Form.Label>Admin Registration Key <span className="text-danger">*</span></Form.Label>
+                    <Form.Label>
+                      {formData.role === 'ADMIN' ? 'Admin' : 'Staff'} Registration Key <span className="text-danger">*</span>
+                    </Form.Label>
                     <InputGroup>
                       <Form.Control
                         type={showAdminKey ? 'text' : 'password'}
                         name="adminKey"
                         value={formData.adminKey}
                         onChange={handleChange}
-                        placeholder="Enter admin registration key"
+                        placeholder={`Enter ${formData.role === 'ADMIN' ? 'admin' : 'staff'} registration key`}
                         required
                         disabled={isSubmitting}
                         isInvalid={!!errors.adminKey}
@@ -0,0 +1,46 @@
+import React from 'react';
+import { Container, Alert, Button } from 'react-bootstrap';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+// Sends signed-out users to /login and brings them back here afterwards
+export const ProtectedRoute = ({ children }) => {
+  const { isLoggedIn } = useAuth();
+  const location = useLocation();
+
+  if (!isLoggedIn()) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return children;
+};
+
+const AccessDenied = () => {
+  const navigate = useNavigate();
+
+  return (
+    <Container>
+      <Alert variant="danger" className="text-center py-5">
+        <h4>🚫 Access Denied</h4>
+        <p>You don't have permission to view this page.</p>
+        <Button variant="primary" onClick={() => navigate('/')}>
+          🏠 Back to Home
+        </Button>
+      </Alert>
+    </Container>
+  );
+};
+
+// Renders children only when the user has one of `roles` and/or `permission`
+export const RequireRole = ({ roles, permission, children }) => {
+  const { currentUser, can } = useAuth();
+
+  const roleAllowed = !roles || roles.includes(currentUser?.role);
+  const permissionAllowed = !permission || can(permission);
+
+  if (!roleAllowed || !permissionAllowed) {
+    return <AccessDenied />;
+  }
+
+  return children;
+};
@@ -0,0 +1,146 @@
+import React, { useState, useMemo } from 'react';
+import { Form } from 'react-bootstrap';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import { buildSuggestions, splitOnMatch } from '../utils/suggestions';
+
+const SUGGESTION_DEBOUNCE_MS = 200;
+
+const GROUPS = [
+  { key: 'books', title: '📚 Books' },
+  { key: 'authors', title: '📝 Authors' },
+  { key: 'genres', title: '🏷️ Genres' },
+];
+
+const Highlighted = ({ text, term }) => (
+  <>
+    {splitOnMatch(text, term).map((part, index) => (
+      part.match ? <mark key={index} className="p-0">{part.text}</mark> : <span key={index}>{part.text}</span>
+    ))}
+  </>
+);
+
+/**
+ * Text input with a grouped suggestion dropdown. Enter with nothing
+ * highlighted falls through to the surrounding form's submit.
+ */
+const SearchAutocomplete = ({ value, onChange, onSelectSuggestion, catalogue, placeholder, disabled, onKeyDown }) => {
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const debouncedTerm = useDebouncedValue(value, SUGGESTION_DEBOUNCE_MS);
+
+  const groups = useMemo(
+    () => buildSuggestions(catalogue, debouncedTerm),
+    [catalogue, debouncedTerm]
+  );
+
+  // Flat list in display order, used for keyboard navigation
+  const flat = useMemo(
+    () => GROUPS.flatMap(({ key }) => groups[key]),
+    [groups]
+  );
+
+  const showMenu = open && flat.length > 0;
+
+  const select = (suggestion) => {
+    setOpen(false);
+    setHighlighted(-1);
+    onSelectSuggestion(suggestion);
+  };
+
+  const handleKeyDown = (e) => {
+    if (showMenu) {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setHighlighted((prev) => (prev + 1) % flat.length);
+        return;
+      }
+      if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setHighlighted((prev) => (prev <= 0 ? flat.length - 1 : prev - 1));
+        return;
+      }
+      if (e.key === 'Enter' && highlighted >= 0) {
+        e.preventDefault();
+        select(flat[highlighted]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setOpen(false);
+        setHighlighted(-1);
+        return;
+      }
+    }
+    if (e.key === 'Enter') {
+      setOpen(false);
+    }
+    onKeyDown?.(e);
+  };
+
+  let flatIndex = -1;
+
+  return (
+    <div className="typeahead flex-grow-1">
+      <Form.Control
+        type="text"
+        size="lg"
+        role="combobox"
+        aria-expanded={showMenu}
+        aria-controls="search-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={highlighted >= 0 ? `suggestion-${highlighted}` : undefined}
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+          setHighlighted(-1);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        disabled={disabled}
+        autoComplete="off"
+      />
+
+      {showMenu && (
+        <div
+          id="search-suggestions"
+          role="listbox"
+          className="typeahead-menu shadow"
+          // Keep focus in the input so clicking a suggestion doesn't blur-close the menu first
+          onMouseDown={(e) => e.preventDefault()}
+        >
+          {GROUPS.map(({ key, title }) => groups[key].length > 0 && (
+            <div key={key} className="typeahead-group">
+              <div className="typeahead-group-title">{title}</div>
+              {groups[key].map((suggestion) => {
+                flatIndex += 1;
+                const index = flatIndex;
+                return (
+                  <div
+                    key={`${key}-${suggestion.value}-${suggestion.id || ''}`}
+                    id={`suggestion-${index}`}
+                    role="option"
+                    aria-selected={index === highlighted}
+                    className={`typeahead-item ${index === highlighted ? 'active' : ''}`}
+                    onMouseEnter={() => setHighlighted(index)}
+                    onClick={() => select(suggestion)}
+                  >
+                    <div><Highlighted text={suggestion.label} term={debouncedTerm} /></div>
+                    {suggestion.sublabel && (
+                      <small className="text-muted">
+                        <Highlighted text={suggestion.sublabel} term={debouncedTerm} />
+                      </small>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchAutocomplete;
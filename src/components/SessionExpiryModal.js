@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Alert, Spinner } from 'react-bootstrap';
+import { useAuth } from '../contexts/AuthContext';
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+const SessionExpiryModal = () => {
+  const { sessionExpiring, sessionExpiresAt, extendSession, expireSession } = useAuth();
+  const [remaining, setRemaining] = useState(0);
+  const [extending, setExtending] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!sessionExpiring || !sessionExpiresAt) return undefined;
+
+    const tick = () => setRemaining(sessionExpiresAt - Date.now());
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [sessionExpiring, sessionExpiresAt]);
+
+  const handleStaySignedIn = async () => {
+    setExtending(true);
+    setError('');
+
+    const result = await extendSession();
+    if (!result.success) {
+      setError(result.error.message);
+    }
+    setExtending(false);
+  };
+
+  return (
+    <Modal show={sessionExpiring} backdrop="static" keyboard={false} centered>
+      <Modal.Header>
+        <Modal.Title>⏳ Session Expiring</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p>
+          Your session will expire in <strong>{formatRemaining(remaining)}</strong>.
+          Would you like to stay signed in?
+        </p>
+        <small className="text-muted">
+          ℹ️ Any unsaved changes on this page are kept while you stay signed in.
+        </small>
+        {error && (
+          <Alert variant="danger" className="mt-3 mb-0">
+            <i className="bi bi-exclamation-triangle-fill me-2"></i>
+            {error}
+          </Alert>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={expireSession} disabled={extending}>
+          Sign Out
+        </Button>
+        <Button variant="primary" onClick={handleStaySignedIn} disabled={extending}>
+          {extending ? (
+            <>
+              <Spinner
+                as="span"
+                animation="border"
+                size="sm"
+                role="status"
+                aria-hidden="true"
+                className="me-2"
+              />
+              Renewing...
+            </>
+          ) : (
+            '✅ Stay Signed In'
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default SessionExpiryModal;
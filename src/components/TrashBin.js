@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Card, Button } from 'react-bootstrap';
+import apiService from '../services/api';
+import DataTable from './DataTable';
+import useServerTable from '../hooks/useServerTable';
+import { formatDeletedBy } from '../utils/trash';
+
+const fetchDeletedBooksPage = (query) => apiService.getDeletedBooksPage(query);
+const fetchDeletedUsersPage = (query) => apiService.getDeletedUsersPage(query);
+
+const DELETED_SORT = { key: 'deletedAt', direction: 'desc' };
+
+const formatDeletedAt = (item) => (item.deletedAt ? new Date(item.deletedAt).toLocaleString() : '-');
+
+/**
+ * The AdminPanel "Trash" tab: soft-deleted books and users, each of which
+ * can be restored or purged for good. Tables only load while `active`, so
+ * switching to the tab always shows the latest deletes. `onRestored` lets
+ * the panel refresh its own tables and counts.
+ */
+const TrashBin = ({ active, canManageBooks, canManageUsers, onRestored, onMessage, onError }) => {
+  const bookTable = useServerTable(fetchDeletedBooksPage, { sort: DELETED_SORT, enabled: active && canManageBooks });
+  const userTable = useServerTable(fetchDeletedUsersPage, { sort: DELETED_SORT, enabled: active && canManageUsers });
+  const [busyKey, setBusyKey] = useState('');
+
+  const runAction = async (key, action, table, successText) => {
+    setBusyKey(key);
+    try {
+      const result = await action();
+      if (result.success) {
+        table.reload();
+        onMessage(successText);
+        return true;
+      }
+      onError(result.error.message);
+    } catch (error) {
+      console.error(`Error during ${key}:`, error);
+      onError('Something went wrong. Please try again.');
+    } finally {
+      setBusyKey('');
+    }
+    return false;
+  };
+
+  const restoreBook = async (book) => {
+    if (await runAction(`restore-book-${book.id}`, () => apiService.restoreBook(book.id), bookTable, `"${book.title}" restored to the catalogue.`)) {
+      onRestored();
+    }
+  };
+
+  const purgeBook = (book) => {
+    if (!window.confirm(`Permanently delete "${book.title}"? Its copies and loan history go with it. This cannot be undone.`)) return;
+    runAction(`purge-book-${book.id}`, () => apiService.purgeBook(book.id), bookTable, `"${book.title}" permanently deleted.`);
+  };
+
+  const restoreUser = async (user) => {
+    if (await runAction(`restore-user-${user.id}`, () => apiService.restoreUser(user.id), userTable, `${user.userName} restored.`)) {
+      onRestored();
+    }
+  };
+
+  const purgeUser = (user) => {
+    if (!window.confirm(`Permanently delete user "${user.userName}"? Their loan history goes with them. This cannot be undone.`)) return;
+    runAction(`purge-user-${user.id}`, () => apiService.purgeUser(user.id), userTable, `${user.userName} permanently deleted.`);
+  };
+
+  const renderActions = (key, onRestore, onPurge) => (
+    <div className="d-flex gap-1">
+      <Button variant="outline-success" size="sm" onClick={onRestore} disabled={!!busyKey}>
+        {busyKey === `restore-${key}` ? 'Restoring...' : '♻️ Restore'}
+      </Button>
+      <Button variant="outline-danger" size="sm" onClick={onPurge} disabled={!!busyKey}>
+        {busyKey === `purge-${key}` ? 'Deleting...' : '🔥 Delete Forever'}
+      </Button>
+    </div>
+  );
+
+  const bookColumns = [
+    { key: 'title', header: 'Title', sortKey: 'title', filter: { type: 'text' }, render: (book) => <strong>{book.title}</strong> },
+    { key: 'author', header: 'Author', sortKey: 'author', filter: { type: 'text' } },
+    { key: 'deletedAt', header: 'Deleted', sortKey: 'deletedAt', render: formatDeletedAt },
+    { key: 'deletedBy', header: 'Deleted By', render: formatDeletedBy },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (book) => renderActions(`book-${book.id}`, () => restoreBook(book), () => purgeBook(book))
+    }
+  ];
+
+  const userColumns = [
+    { key: 'userName', header: 'Username', sortKey: 'userName', filter: { type: 'text' }, render: (user) => <strong>{user.userName}</strong> },
+    { key: 'fullName', header: 'Full Name', sortKey: 'fullName', render: (user) => user.fullName || '-' },
+    { key: 'deletedAt', header: 'Deleted', sortKey: 'deletedAt', render: formatDeletedAt },
+    { key: 'deletedBy', header: 'Deleted By', render: formatDeletedBy },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (user) => renderActions(`user-${user.id}`, () => restoreUser(user), () => purgeUser(user))
+    }
+  ];
+
+  return (
+    <>
+      {canManageBooks && (
+        <Card className="admin-section mb-4">
+          <Card.Header>
+            <h5 className="mb-0">🗑️ Deleted Books ({bookTable.total})</h5>
+          </Card.Header>
+          <Card.Body>
+            <DataTable
+              table={bookTable}
+              columns={bookColumns}
+              searchPlaceholder="🔍 Search deleted books"
+              emptyMessage="No deleted books."
+            />
+          </Card.Body>
+        </Card>
+      )}
+
+      {canManageUsers && (
+        <Card className="admin-section">
+          <Card.Header>
+            <h5 className="mb-0">🗑️ Deleted Users ({userTable.total})</h5>
+          </Card.Header>
+          <Card.Body>
+            <DataTable
+              table={userTable}
+              columns={userColumns}
+              searchPlaceholder="🔍 Search deleted users"
+              emptyMessage="No deleted users."
+            />
+          </Card.Body>
+        </Card>
+      )}
+    </>
+  );
+};
+
+export default TrashBin;
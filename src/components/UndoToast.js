@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { Toast, ToastContainer, Button } from 'react-bootstrap';
+import { UNDO_WINDOW_MS } from '../utils/trash';
+
+/**
+ * Bottom-corner toast offering to reverse the last delete. `action` is
+ * { id, message, onUndo } (a new id restarts the timer) or null when hidden.
+ */
+const UndoToast = ({ action, onDismiss }) => {
+  const [undoing, setUndoing] = useState(false);
+
+  const handleUndo = async () => {
+    setUndoing(true);
+    try {
+      await action.onUndo();
+    } finally {
+      setUndoing(false);
+      onDismiss();
+    }
+  };
+
+  return (
+    <ToastContainer position="bottom-end" className="p-3" style={{ zIndex: 1080 }}>
+      <Toast
+        key={action?.id}
+        show={!!action}
+        onClose={onDismiss}
+        delay={UNDO_WINDOW_MS}
+        autohide={!undoing}
+        bg="dark"
+      >
+        {action && (
+          <Toast.Body className="d-flex align-items-center gap-3 text-white">
+            <span className="me-auto">🗑️ {action.message}</span>
+            <Button variant="outline-light" size="sm" onClick={handleUndo} disabled={undoing}>
+              {undoing ? 'Undoing...' : '↩️ Undo'}
+            </Button>
+            <button type="button" className="btn-close btn-close-white" aria-label="Close" onClick={onDismiss} />
+          </Toast.Body>
+        )}
+      </Toast>
+    </ToastContainer>
+  );
+};
+
+export default UndoToast;
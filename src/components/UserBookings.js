@@ -1,8 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Table, Button, Alert, Spinner, Badge, Modal } from 'react-bootstrap';
-import { useAuth } from '../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import apiService from '../services/api';
+import { HOLD_STATUS, isOpenHold, getHoldStatusVariant, formatPickupDeadline } from '../utils/holds';
+import { checkRenewal, describeRenewalRefusal } from '../utils/loanPolicy';
+import useLoanPolicy from '../hooks/useLoanPolicy';
+import {
+  getLoanStatus,
+  getCountdownLabel,
+  getCountdownVariant,
+  summarizeFines,
+  formatFine
+} from '../utils/loanStatus';
 
 const UserBookings = () => {
   const [bookings, setBookings] = useState([]);
@@ -12,18 +21,47 @@ const UserBookings = () => {
   const [showReturnModal, setShowReturnModal] = useState(false);
   const [selectedBooking, setSelectedBooking] = useState(null);
   const [returningBook, setReturningBook] = useState(false);
-  const { isLoggedIn, loading: authLoading } = useAuth();
+  const [holds, setHolds] = useState([]);
+  const [cancellingHoldId, setCancellingHoldId] = useState(null);
+  const [renewingId, setRenewingId] = useState(null);
   const navigate = useNavigate();
+  const { policy } = useLoanPolicy();
 
   useEffect(() => {
-    if (!authLoading) {
-      if (isLoggedIn()) {
-        fetchBookings();
+    fetchBookings();
+    fetchHolds();
+  }, []);
+
+  const fetchHolds = async () => {
+    const result = await apiService.getUserHolds();
+    if (result.success) {
+      setHolds(result.data.filter(isOpenHold));
+    } else {
+      setError(result.error.message);
+    }
+  };
+
+  const cancelHold = async (hold) => {
+    if (!window.confirm(`Cancel your hold on "${hold.book?.title}"? You'll lose your place in the queue.`)) return;
+
+    setCancellingHoldId(hold.id);
+    setError('');
+
+    try {
+      const result = await apiService.cancelHold(hold.id);
+      if (result.success) {
+        setSuccessMessage('Hold cancelled.');
+        fetchHolds();
       } else {
-        setLoading(false);
+        setError(result.error.message);
       }
+    } catch (error) {
+      console.error('Error cancelling hold:', error);
+      setError('Failed to cancel hold. Please try again.');
+    } finally {
+      setCancellingHoldId(null);
     }
-  }, [isLoggedIn, authLoading]);
+  };
 
   const fetchBookings = async () => {
     setLoading(true);
@@ -38,7 +76,7 @@ const UserBookings = () => {
         );
         setBookings(sortedBookings);
       } else {
-        setError(result.error);
+        setError(result.error.message);
         setBookings([]);
       }
     } catch (error) {
@@ -64,12 +102,14 @@ const UserBookings = () => {
     try {
       const result = await apiService.returnBook(selectedBooking.id);
       if (result.success) {
-        setSuccessMessage('Book returned successfully!');
+        setSuccessMessage(result.data?.promotedHold
+          ? 'Book returned successfully! It has been set aside for the next patron waiting for it.'
+          : 'Book returned successfully!');
         setShowReturnModal(false);
         setSelectedBooking(null);
         fetchBookings(); // Refresh the list
       } else {
-        setError(result.error);
+        setError(result.error.message);
       }
     } catch (error) {
       console.error('Error returning book:', error);
@@ -79,6 +119,41 @@ const UserBookings = () => {
     }
   };
 
+  const renewBooking = async (booking) => {
+    setRenewingId(booking.id);
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const result = await apiService.renewBooking(booking.id);
+      if (result.success) {
+        const renewed = result.data;
+        setBookings(prevBookings =>
+          prevBookings.map(b => (b.id === booking.id ? { ...b, ...renewed } : b))
+        );
+        setSuccessMessage(
+          renewed?.dueDate
+            ? `"${booking.book?.title}" renewed. New due date: ${formatDate(renewed.dueDate)}.`
+            : `"${booking.book?.title}" renewed.`
+        );
+      } else {
+        // Prefer our own explanation when the server tells us which rule applied
+        setError(describeRenewalRefusal(result.error.details?.reason, policy) || result.error.message);
+      }
+    } catch (error) {
+      console.error('Error renewing book:', error);
+      setError('Failed to renew book. Please try again.');
+    } finally {
+      setRenewingId(null);
+    }
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+
   const getStatusBadgeVariant = (status) => {
     switch (status) {
       case 'ACTIVE':
@@ -101,14 +176,9 @@ const UserBookings = () => {
     }
   };
 
-  const calculateDaysSinceBooking = (bookingDate) => {
-    const booking = new Date(bookingDate);
-    const today = new Date();
-    const diffTime = Math.abs(today - booking);
-    return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  };
+  const fines = summarizeFines(bookings, policy);
 
-  if (authLoading || loading) {
+  if (loading) {
     return (
       <Container>
         <div className="loading-container">
@@ -121,20 +191,6 @@ const UserBookings = () => {
     );
   }
 
-  if (!isLoggedIn()) {
-    return (
-      <Container>
-        <Alert variant="warning" className="text-center py-5">
-          <h4>🔐 Authentication Required</h4>
-          <p>Please sign in to view your bookings and manage your borrowed books.</p>
-          <Button variant="primary" size="lg" onClick={() => navigate('/login')}>
-            Sign In
-          </Button>
-        </Alert>
-      </Container>
-    );
-  }
-
   return (
     <Container className="py-4">
       <div className="text-center mb-5">
@@ -159,6 +215,14 @@ const UserBookings = () => {
         </Alert>
       )}
 
+      {/* Holds ready for pickup */}
+      {holds.filter(h => h.status === HOLD_STATUS.READY).map((hold) => (
+        <Alert key={hold.id} variant="success">
+          📬 A copy of <strong>{hold.book?.title}</strong> is waiting for you at the desk.
+          {hold.pickupExpiresAt && <> Please pick it up by <strong>{formatPickupDeadline(hold)}</strong>.</>}
+        </Alert>
+      ))}
+
       {/* Summary Statistics */}
       {bookings.length > 0 && (
         <Row className="mb-4">
@@ -184,7 +248,7 @@ const UserBookings = () => {
             <Card className="dashboard-card text-center h-100">
               <Card.Body>
                 <h5 className="display-6">⚠️</h5>
-                <h3>{bookings.filter(b => b.status === 'OVERDUE').length}</h3>
+                <h3>{fines.overdueCount}</h3>
                 <p className="mb-0">Overdue Books</p>
               </Card.Body>
             </Card>
@@ -201,6 +265,34 @@ const UserBookings = () => {
         </Row>
       )}
 
+      {/* Fines Summary */}
+      {(fines.total > 0 || fines.overdueCount > 0) && (
+        <Card className="shadow-sm mb-4 border-danger">
+          <Card.Body>
+            <Row className="align-items-center text-center text-md-start">
+              <Col md={4} className="mb-3 mb-md-0">
+                <h6 className="text-muted mb-1">💰 Fines Due</h6>
+                <h3 className="mb-0 text-danger">{formatFine(fines.total)}</h3>
+              </Col>
+              <Col md={4} className="mb-3 mb-md-0">
+                <div>
+                  <strong>{formatFine(fines.accruing)}</strong> still growing on {fines.overdueCount} overdue book(s)
+                </div>
+                <div>
+                  <strong>{formatFine(fines.owed)}</strong> from late returns
+                </div>
+              </Col>
+              <Col md={4}>
+                <small className="text-muted">
+                  {formatFine(policy.finePerDay)} per day after a {policy.gracePeriodDays}-day grace period
+                  {policy.maxFine > 0 && <>, up to {formatFine(policy.maxFine)} per book</>}. Pay at the circulation desk.
+                </small>
+              </Col>
+            </Row>
+          </Card.Body>
+        </Card>
+      )}
+
       {/* Bookings Content */}
       {bookings.length === 0 ? (
         <Alert variant="info" className="text-center py-5">
@@ -233,102 +325,192 @@ const UserBookings = () => {
                     <th>Book Details</th>
                     <th>Booking Info</th>
                     <th>Status</th>
-                    <th>Days</th>
+                    <th>Due</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {bookings.map((booking) => (
-                    <tr key={booking.id}>
-                      <td>
-                        <div>
-                          <strong className="d-block">
-                            {booking.book?.title || 'Unknown Book'}
-                          </strong>
-                          <small className="text-muted">
-                            by {booking.book?.author || 'Unknown Author'}
-                          </small>
-                          {booking.book?.genre && (
-                            <div className="mt-1">
-                              <Badge bg="secondary" className="me-2">
-                                {booking.book.genre}
-                              </Badge>
-                              {booking.book?.publishedYear && (
-                                <small className="text-muted">
-                                  {booking.book.publishedYear}
+                  {bookings.map((booking) => {
+                    const renewal = checkRenewal(booking, policy);
+                    const loan = getLoanStatus(booking, policy);
+                    return (
+                      <tr key={booking.id}>
+                        <td>
+                          <div>
+                            <strong className="d-block">
+                              {booking.book?.title || 'Unknown Book'}
+                            </strong>
+                            <small className="text-muted">
+                              by {booking.book?.author || 'Unknown Author'}
+                            </small>
+                            {booking.copy?.accessionNumber && (
+                              <small className="text-muted d-block">Copy {booking.copy.accessionNumber}</small>
+                            )}
+                            {booking.book?.genre && (
+                              <div className="mt-1">
+                                <Badge bg="secondary" className="me-2">
+                                  {booking.book.genre}
+                                </Badge>
+                                {booking.book?.publishedYear && (
+                                  <small className="text-muted">
+                                    {booking.book.publishedYear}
+                                  </small>
+                                )}
+                              </div>
+                            )}
+                          </div>
+                        </td>
+                        <td>
+                          <div>
+                            <strong className="d-block">
+                              {booking.bookingDate
+                                ? new Date(booking.bookingDate).toLocaleDateString('en-US', {
+                                    weekday: 'short',
+                                    year: 'numeric',
+                                    month: 'short',
+                                    day: 'numeric'
+                                  })
+                                : 'N/A'
+                              }
+                            </strong>
+                            {loan.dueDate && booking.status !== 'RETURNED' && (
+                              <small className="text-muted d-block">
+                                Due: {formatDate(loan.dueDate)}
+                              </small>
+                            )}
+                            {booking.renewalCount > 0 && (
+                              <small className="text-muted d-block">
+                                🔁 Renewed {booking.renewalCount}/{policy.maxRenewals}
+                              </small>
+                            )}
+                            {booking.returnDate && (
+                              <small className="text-muted d-block">
+                                Returned: {new Date(booking.returnDate).toLocaleDateString()}
+                              </small>
+                            )}
+                            {booking.notes && (
+                              <small className="text-muted d-block mt-1">
+                                📝 {booking.notes}
+                              </small>
+                            )}
+                          </div>
+                        </td>
+                        <td>
+                          <Badge 
+                            bg={getStatusBadgeVariant(booking.status)} 
+                            className="status-badge d-flex align-items-center gap-1"
+                          >
+                            {getStatusIcon(booking.status)} {booking.status}
+                          </Badge>
+                        </td>
+                        <td>
+                          <div className="text-center">
+                            <Badge bg={getCountdownVariant(loan)} className="status-badge">
+                              {getCountdownLabel(loan)}
+                            </Badge>
+                            {loan.fine > 0 && (
+                              <small className="text-danger d-block mt-1">
+                                Fine: {formatFine(loan.fine)}{booking.finePaid ? ' (paid)' : ''}
+                              </small>
+                            )}
+                          </div>
+                        </td>
+                        <td>
+                          {booking.status === 'ACTIVE' && (
+                            <div className="d-flex flex-column gap-1 align-items-start">
+                              <div className="d-flex gap-2">
+                                <Button
+                                  variant="outline-success"
+                                  size="sm"
+                                  onClick={() => handleReturnClick(booking)}
+                                >
+                                  ↩️ Return
+                                </Button>
+                                <Button
+                                  variant="outline-primary"
+                                  size="sm"
+                                  onClick={() => renewBooking(booking)}
+                                  disabled={!renewal.allowed || renewingId === booking.id}
+                                  title={renewal.message || 'Extend this loan'}
+                                >
+                                  {renewingId === booking.id ? 'Renewing...' : '🔁 Renew'}
+                                </Button>
+                              </div>
+                              {!renewal.allowed && (
+                                <small className="text-muted" style={{ maxWidth: '220px' }}>
+                                  {renewal.message}
                                 </small>
                               )}
                             </div>
                           )}
-                        </div>
-                      </td>
-                      <td>
-                        <div>
-                          <strong className="d-block">
-                            {booking.bookingDate
-                              ? new Date(booking.bookingDate).toLocaleDateString('en-US', {
-                                  weekday: 'short',
-                                  year: 'numeric',
-                                  month: 'short',
-                                  day: 'numeric'
-                                })
-                              : 'N/A'
-                            }
-                          </strong>
-                          {booking.returnDate && (
-                            <small className="text-muted d-block">
-                              Returned: {new Date(booking.returnDate).toLocaleDateString()}
-                            </small>
+                          {booking.status === 'RETURNED' && (
+                            <Badge bg="success" className="status-badge">
+                              ✅ Complete
+                            </Badge>
                           )}
-                          {booking.notes && (
-                            <small className="text-muted d-block mt-1">
-                              📝 {booking.notes}
-                            </small>
+                          {booking.status === 'OVERDUE' && (
+                            <Button
+                              variant="outline-warning"
+                              size="sm"
+                              onClick={() => handleReturnClick(booking)}
+                            >
+                              ⚠️ Return Now
+                            </Button>
                           )}
-                        </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            </div>
+          </Card.Body>
+        </Card>
+      )}
+
+      {/* My Holds */}
+      {holds.length > 0 && (
+        <Card className="shadow-sm mt-4">
+          <Card.Header>
+            <h5 className="mb-0">🔔 My Holds ({holds.length})</h5>
+          </Card.Header>
+          <Card.Body>
+            <div className="table-responsive">
+              <Table hover>
+                <thead>
+                  <tr>
+                    <th>Book</th>
+                    <th>Placed</th>
+                    <th>Queue</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {holds.map((hold) => (
+                    <tr key={hold.id}>
+                      <td>
+                        <strong className="d-block">{hold.book?.title || 'Unknown Book'}</strong>
+                        <small className="text-muted">by {hold.book?.author || 'Unknown Author'}</small>
                       </td>
                       <td>
-                        <Badge 
-                          bg={getStatusBadgeVariant(booking.status)} 
-                          className="status-badge d-flex align-items-center gap-1"
-                        >
-                          {getStatusIcon(booking.status)} {booking.status}
-                        </Badge>
+                        {hold.createdAt ? new Date(hold.createdAt).toLocaleDateString() : 'N/A'}
                       </td>
                       <td>
-                        <div className="text-center">
-                          <strong className="d-block">
-                            {calculateDaysSinceBooking(booking.bookingDate)}
-                          </strong>
-                          <small className="text-muted">
-                            {booking.status === 'RETURNED' ? 'Total' : 'Days'}
-                          </small>
-                        </div>
+                        <Badge bg={getHoldStatusVariant(hold.status)} className="status-badge">
+                          {hold.status === HOLD_STATUS.READY
+                            ? `📬 Ready until ${formatPickupDeadline(hold)}`
+                            : `⏳ #${hold.position} in line`}
+                        </Badge>
                       </td>
                       <td>
-                        {booking.status === 'ACTIVE' && (
-                          <Button
-                            variant="outline-success"
-                            size="sm"
-                            onClick={() => handleReturnClick(booking)}
-                          >
-                            ↩️ Return
-                          </Button>
-                        )}
-                        {booking.status === 'RETURNED' && (
-                          <Badge bg="success" className="status-badge">
-                            ✅ Complete
-                          </Badge>
-                        )}
-                        {booking.status === 'OVERDUE' && (
-                          <Button
-                            variant="outline-warning"
-                            size="sm"
-                            onClick={() => handleReturnClick(booking)}
-                          >
-                            ⚠️ Return Now
-                          </Button>
-                        )}
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => cancelHold(hold)}
+                          disabled={cancellingHoldId === hold.id}
+                        >
+                          ✕ Cancel Hold
+                        </Button>
                       </td>
                     </tr>
                   ))}
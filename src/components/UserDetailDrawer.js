@@ -0,0 +1,383 @@
+import React, { useState, useEffect } from 'react';
+import { Offcanvas, Table, Form, Button, Alert, Spinner, Badge, Row, Col, Card } from 'react-bootstrap';
+import { useAuth } from '../contexts/AuthContext';
+import apiService from '../services/api';
+import { PERMISSIONS, ROLES, ROLE_LABELS } from '../utils/permissions';
+import { resolvePolicy } from '../utils/loanPolicy';
+import { getLoanStatus, summarizeFines, getCountdownLabel, getCountdownVariant, formatFine } from '../utils/loanStatus';
+import {
+  ACCOUNT_STATUS_LABELS,
+  isSuspended,
+  getAccountStatusVariant,
+  validateProfile
+} from '../utils/accounts';
+import { fetchAllPages } from '../utils/paging';
+
+const fetchBookingsPage = (query) => apiService.getBookingsPage(query);
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+/**
+ * Side drawer for one account in the AdminPanel Users tab: profile, role,
+ * suspension, password reset, plus the user's loan history and fines.
+ * `onUserUpdated` receives the saved user so the table row can be patched.
+ */
+const UserDetailDrawer = ({ user, show, onHide, policy, onUserUpdated }) => {
+  const { can, currentUser } = useAuth();
+  const [details, setDetails] = useState(null);
+  const [loans, setLoans] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [profile, setProfile] = useState({ fullName: '', email: '' });
+  const [profileErrors, setProfileErrors] = useState({});
+  const [role, setRole] = useState(ROLES.USER);
+  const [suspensionReason, setSuspensionReason] = useState('');
+  const [profileReason, setProfileReason] = useState('');
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const account = details || user;
+  const isSelf = !!account && account.userName === currentUser?.username;
+  const userPolicy = resolvePolicy(policy, account?.roles?.[0]);
+  const fines = summarizeFines(loans, userPolicy);
+
+  const applyDetails = (data) => {
+    setDetails(data);
+    setProfile({ fullName: data.fullName || '', email: data.email || '' });
+    setRole(data.roles?.[0] || ROLES.USER);
+  };
+
+  useEffect(() => {
+    if (!show || !user) return;
+
+    setError('');
+    setMessage('');
+    setProfileErrors({});
+    setSuspensionReason('');
+    setProfileReason('');
+    setLoans([]);
+    applyDetails(user);
+    setLoading(true);
+
+    // Switching users before this resolves must not show the previous one's data
+    let ignore = false;
+    Promise.all([
+      apiService.getUserById(user.id),
+      fetchAllPages(fetchBookingsPage, {
+        filters: { userId: user.id },
+        sort: { key: 'bookingDate', direction: 'desc' }
+      }).then(items => ({ success: true, data: items }), error => ({ success: false, error }))
+    ]).then(([userResult, loansResult]) => {
+      if (ignore) return;
+      if (userResult.success) applyDetails(userResult.data);
+      if (loansResult.success) setLoans(loansResult.data);
+      const failed = [userResult, loansResult].filter(result => !result.success);
+      if (failed.length > 0) setError(failed.map(result => result.error.message).join(' '));
+      setLoading(false);
+    });
+
+    return () => {
+      ignore = true;
+    };
+  }, [show, user]);
+
+  // Runs an account action, then shows `successText` and hands the saved user up
+  const runAction = async (key, action, successText) => {
+    setBusy(key);
+    setError('');
+    setMessage('');
+
+    try {
+      const result = await action();
+      if (result.success) {
+        // Some endpoints reply with the updated user, others with nothing
+        const updated = result.data && typeof result.data === 'object' && result.data.id
+          ? result.data
+          : null;
+        if (updated) {
+          applyDetails(updated);
+          onUserUpdated?.(updated);
+        }
+        setMessage(successText);
+        return updated || true;
+      }
+      setError(result.error.message);
+      if (result.error.fieldErrors) setProfileErrors(result.error.fieldErrors);
+    } catch (error) {
+      console.error(`Error during ${key}:`, error);
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setBusy('');
+    }
+    return null;
+  };
+
+  const saveProfile = async (e) => {
+    e.preventDefault();
+    const errors = validateProfile(profile);
+    setProfileErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const changes = { fullName: profile.fullName.trim(), email: profile.email.trim() };
+    const saved = await runAction('profile', () => apiService.updateUser(account.id, changes, profileReason), 'Profile saved.');
+    if (saved === true) onUserUpdated?.({ ...account, ...changes });
+    if (saved) setProfileReason('');
+  };
+
+  const saveRole = async () => {
+    const saved = await runAction(
+      'role',
+      () => apiService.updateUserRole(account.id, role),
+      `${account.userName} is now a ${ROLE_LABELS[role]}.`
+    );
+    if (saved === true) {
+      setDetails(prev => ({ ...prev, roles: [role] }));
+      onUserUpdated?.({ ...account, roles: [role] });
+    }
+  };
+
+  const suspend = async () => {
+    const reason = suspensionReason.trim();
+    const saved = await runAction(
+      'suspend',
+      () => apiService.suspendUser(account.id, reason),
+      `${account.userName} is suspended and can't book until reactivated.`
+    );
+    if (saved === true) {
+      const updated = { ...account, status: 'SUSPENDED', suspensionReason: reason, suspendedAt: new Date().toISOString() };
+      setDetails(updated);
+      onUserUpdated?.(updated);
+    }
+    if (saved) setSuspensionReason('');
+  };
+
+  const reactivate = async () => {
+    const saved = await runAction(
+      'reactivate',
+      () => apiService.reactivateUser(account.id),
+      `${account.userName} can book again.`
+    );
+    if (saved === true) {
+      const updated = { ...account, status: 'ACTIVE', suspensionReason: null, suspendedAt: null };
+      setDetails(updated);
+      onUserUpdated?.(updated);
+    }
+  };
+
+  const forcePasswordReset = async () => {
+    if (!window.confirm(`Reset ${account.userName}'s password? They'll be signed out and emailed a link to choose a new one.`)) return;
+    await runAction(
+      'password',
+      () => apiService.forcePasswordReset(account.id),
+      `Password reset started. ${account.email ? `A link was sent to ${account.email}.` : 'The user has no email on file, so give them the reset link in person.'}`
+    );
+  };
+
+  const canEdit = can(PERMISSIONS.USERS_WRITE);
+  const canAssignRoles = can(PERMISSIONS.USERS_ASSIGN_ROLES) && !isSelf;
+
+  return (
+    <Offcanvas show={show} onHide={onHide} placement="end" style={{ width: '760px' }}>
+      <Offcanvas.Header closeButton>
+        <Offcanvas.Title>
+          👤 {account?.userName}
+          {account && (
+            <Badge bg={getAccountStatusVariant(account.status)} className="ms-2 align-middle">
+              {ACCOUNT_STATUS_LABELS[account.status] || ACCOUNT_STATUS_LABELS.ACTIVE}
+            </Badge>
+          )}
+          <div className="small text-muted fw-normal">
+            Member since {formatDate(account?.createdAt)}
+          </div>
+        </Offcanvas.Title>
+      </Offcanvas.Header>
+      <Offcanvas.Body>
+        {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+        {message && <Alert variant="success" dismissible onClose={() => setMessage('')}>{message}</Alert>}
+
+        {account && (
+          <>
+            <Form onSubmit={saveProfile} noValidate className="mb-4">
+              <h6>Profile</h6>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Full Name</Form.Label>
+                    <Form.Control
+                      value={profile.fullName}
+                      onChange={(e) => setProfile({ ...profile, fullName: e.target.value })}
+                      isInvalid={!!profileErrors.fullName}
+                      disabled={!canEdit || !!busy}
+                    />
+                    <Form.Control.Feedback type="invalid">{profileErrors.fullName}</Form.Control.Feedback>
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Email</Form.Label>
+                    <Form.Control
+                      type="email"
+                      value={profile.email}
+                      onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+                      isInvalid={!!profileErrors.email}
+                      disabled={!canEdit || !!busy}
+                    />
+                    <Form.Control.Feedback type="invalid">{profileErrors.email}</Form.Control.Feedback>
+                  </Form.Group>
+                </Col>
+              </Row>
+              {canEdit && (
+                <div className="d-flex gap-2">
+                  <Form.Control
+                    size="sm"
+                    value={profileReason}
+                    onChange={(e) => setProfileReason(e.target.value)}
+                    disabled={!!busy}
+                    maxLength={200}
+                    placeholder="Reason for change, recorded in the audit log (optional)"
+                    aria-label="Reason for profile change"
+                  />
+                  <Button type="submit" variant="primary" size="sm" className="text-nowrap" disabled={!!busy}>
+                    {busy === 'profile' ? 'Saving...' : '💾 Save Profile'}
+                  </Button>
+                </div>
+              )}
+            </Form>
+
+            <h6>Role</h6>
+            <div className="d-flex gap-2 align-items-center mb-4">
+              <Form.Select
+                size="sm"
+                style={{ width: '200px' }}
+                value={role}
+                onChange={(e) => setRole(e.target.value)}
+                disabled={!canAssignRoles || !!busy}
+              >
+                {Object.values(ROLES).map(option => (
+                  <option key={option} value={option}>{ROLE_LABELS[option]}</option>
+                ))}
+              </Form.Select>
+              {canAssignRoles && (
+                <Button
+                  variant="outline-primary"
+                  size="sm"
+                  onClick={saveRole}
+                  disabled={!!busy || role === (account.roles?.[0] || ROLES.USER)}
+                >
+                  {busy === 'role' ? 'Saving...' : 'Change Role'}
+                </Button>
+              )}
+              {isSelf && <small className="text-muted">You can't change your own role.</small>}
+            </div>
+
+            {canEdit && (
+              <>
+                <h6>Account</h6>
+                {isSuspended(account) ? (
+                  <Alert variant="danger" className="d-flex align-items-start">
+                    <div className="me-auto">
+                      <strong>Suspended</strong> {account.suspendedAt && `since ${formatDate(account.suspendedAt)}`}
+                      {account.suspensionReason && <div className="small">Reason: {account.suspensionReason}</div>}
+                    </div>
+                    <Button variant="success" size="sm" onClick={reactivate} disabled={!!busy}>
+                      {busy === 'reactivate' ? 'Reactivating...' : '✅ Reactivate'}
+                    </Button>
+                  </Alert>
+                ) : (
+                  <div className="d-flex gap-2 mb-3">
+                    <Form.Control
+                      size="sm"
+                      placeholder="Reason for suspension (shown to the user)"
+                      value={suspensionReason}
+                      onChange={(e) => setSuspensionReason(e.target.value)}
+                      disabled={isSelf || !!busy}
+                    />
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      className="text-nowrap"
+                      onClick={suspend}
+                      disabled={isSelf || !!busy || !suspensionReason.trim()}
+                      title={isSelf ? "You can't suspend your own account" : undefined}
+                    >
+                      {busy === 'suspend' ? 'Suspending...' : '🚫 Suspend'}
+                    </Button>
+                  </div>
+                )}
+                <Button variant="outline-secondary" size="sm" className="mb-4" onClick={forcePasswordReset} disabled={!!busy}>
+                  {busy === 'password' ? 'Resetting...' : '🔑 Force Password Reset'}
+                </Button>
+              </>
+            )}
+
+            <Card className={`mb-4 ${fines.total > 0 ? 'border-danger' : ''}`}>
+              <Card.Body className="d-flex justify-content-around text-center py-2">
+                <div>
+                  <div className="small text-muted">Overdue</div>
+                  <strong>{fines.overdueCount}</strong>
+                </div>
+                <div>
+                  <div className="small text-muted">Accruing</div>
+                  <strong>{formatFine(fines.accruing)}</strong>
+                </div>
+                <div>
+                  <div className="small text-muted">Owed</div>
+                  <strong>{formatFine(fines.owed)}</strong>
+                </div>
+                <div>
+                  <div className="small text-muted">Outstanding</div>
+                  <strong className={fines.total > 0 ? 'text-danger' : ''}>{formatFine(fines.total)}</strong>
+                </div>
+              </Card.Body>
+            </Card>
+
+            <h6>Loan History ({loans.length})</h6>
+            {loading ? (
+              <div className="text-center py-3">
+                <Spinner animation="border" size="sm" /> Loading...
+              </div>
+            ) : loans.length === 0 ? (
+              <p className="text-muted">No loans yet.</p>
+            ) : (
+              <div className="table-responsive">
+                <Table size="sm" hover>
+                  <thead>
+                    <tr>
+                      <th>Book</th>
+                      <th>Booked</th>
+                      <th>Due / Returned</th>
+                      <th>Fine</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {loans.map((booking) => {
+                      const loan = getLoanStatus(booking, userPolicy);
+                      return (
+                        <tr key={booking.id}>
+                          <td>{booking.book?.title || 'Unknown Book'}</td>
+                          <td>{formatDate(booking.bookingDate)}</td>
+                          <td>
+                            {booking.returnDate ? (
+                              formatDate(booking.returnDate)
+                            ) : (
+                              <Badge bg={getCountdownVariant(loan)}>{getCountdownLabel(loan)}</Badge>
+                            )}
+                          </td>
+                          <td>
+                            {loan.fine > 0 ? `${formatFine(loan.fine)}${booking.finePaid ? ' (paid)' : ''}` : '-'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </Table>
+              </div>
+            )}
+          </>
+        )}
+      </Offcanvas.Body>
+    </Offcanvas>
+  );
+};
+
+export default UserDetailDrawer;
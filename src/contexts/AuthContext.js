@@ -1,8 +1,35 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
 import apiService from '../services/api';
+import { toApiError } from '../services/apiError';
+import { ROLES, hasPermission } from '../utils/permissions';
 
 const AuthContext = createContext();
 
+// Show the "session expiring" prompt (or refresh silently) this long before expiry
+const SESSION_WARNING_LEAD_MS = 2 * 60 * 1000;
+// Users who interacted with the page within this window get a silent refresh
+const IDLE_THRESHOLD_MS = 10 * 60 * 1000;
+// setTimeout overflows above this and fires immediately
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+const RETURN_TO_KEY = 'returnTo';
+
+const decodeToken = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    const normalized = payload.replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(normalized));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Token expiry in ms since epoch, or null when the token carries no `exp`
+export const getTokenExpiry = (token) => {
+  const payload = token ? decodeToken(token) : null;
+  return payload?.exp ? payload.exp * 1000 : null;
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -15,6 +42,24 @@ export const AuthProvider = ({ children }) => {
   const [currentUser, setCurrentUser] = useState(null);
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [loading, setLoading] = useState(true);
+  const [sessionExpiring, setSessionExpiring] = useState(false);
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const lastActivityRef = useRef(Date.now());
+  const refreshPromiseRef = useRef(null);
+  const locationRef = useRef(location);
+  locationRef.current = location;
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('userInfo');
+    setToken(null);
+    setCurrentUser(null);
+    setSessionExpiring(false);
+    setSessionExpiresAt(null);
+  }, []);
 
   useEffect(() => {
     const initializeAuth = () => {
@@ -27,7 +72,7 @@ export const AuthProvider = ({ children }) => {
             setCurrentUser(parsedUser);
           } catch (error) {
             console.error('Error parsing user info:', error);
-            logout();
+            clearSession();
           }
         }
       }
@@ -35,19 +80,165 @@ export const AuthProvider = ({ children }) => {
     };
 
     initializeAuth();
-  }, [token]);
+  }, [token, clearSession]);
+
+  // Remember where the user was so Login can send them back there
+  const rememberLocation = useCallback(() => {
+    const { pathname, search } = locationRef.current;
+    if (pathname !== '/login' && pathname !== '/register') {
+      sessionStorage.setItem(RETURN_TO_KEY, pathname + search);
+    }
+  }, []);
+
+  const getReturnPath = useCallback(() => {
+    return sessionStorage.getItem(RETURN_TO_KEY) || '/';
+  }, []);
+
+  // Once the user is signed in and has left the login page the saved path is spent
+  useEffect(() => {
+    if (currentUser && location.pathname !== '/login') {
+      sessionStorage.removeItem(RETURN_TO_KEY);
+    }
+  }, [currentUser, location.pathname]);
+
+  const refreshSession = useCallback(() => {
+    if (!refreshPromiseRef.current) {
+      refreshPromiseRef.current = apiService
+        .refreshToken(localStorage.getItem('refreshToken'))
+        .then((result) => {
+          if (!result.success) {
+            throw result.error;
+          }
+
+          const { token: newToken, refreshToken, role } = result.data;
+          localStorage.setItem('token', newToken);
+          if (refreshToken) {
+            localStorage.setItem('refreshToken', refreshToken);
+          }
+          // The server may have changed our role since we signed in
+          if (role) {
+            setCurrentUser((prev) => {
+              if (!prev || prev.role === role) return prev;
+              const userInfo = { ...prev, role };
+              localStorage.setItem('userInfo', JSON.stringify(userInfo));
+              return userInfo;
+            });
+          }
+          setToken(newToken);
+          setSessionExpiring(false);
+          return newToken;
+        })
+        .finally(() => {
+          refreshPromiseRef.current = null;
+        });
+    }
+    return refreshPromiseRef.current;
+  }, []);
+
+  const expireSession = useCallback(() => {
+    if (!localStorage.getItem('token')) return;
+
+    rememberLocation();
+    clearSession();
+    navigate('/login', { state: { sessionExpired: true } });
+  }, [rememberLocation, clearSession, navigate]);
+
+  // Let the API layer refresh and replay requests that fail with a 401
+  useEffect(() => {
+    apiService.setAuthHandlers({
+      refreshToken: refreshSession,
+      onSessionExpired: expireSession,
+    });
+  }, [refreshSession, expireSession]);
+
+  // Keep every open tab in step: localStorage writes from another tab (login,
+  // logout, token refresh, role change) arrive here as storage events
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.storageArea !== localStorage) return;
+      if (event.key !== null && event.key !== 'token' && event.key !== 'userInfo') return;
+
+      const storedToken = localStorage.getItem('token');
+      const storedUser = localStorage.getItem('userInfo');
+
+      if (!storedToken || !storedUser) {
+        setToken(null);
+        setCurrentUser(null);
+        setSessionExpiring(false);
+        return;
+      }
+
+      try {
+        const parsedUser = JSON.parse(storedUser);
+        setCurrentUser((prev) => (
+          prev && prev.username === parsedUser.username && prev.role === parsedUser.role ? prev : parsedUser
+        ));
+        setToken(storedToken);
+        setSessionExpiring(false);
+      } catch (error) {
+        console.error('Error parsing synced user info:', error);
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  useEffect(() => {
+    const markActive = () => {
+      lastActivityRef.current = Date.now();
+    };
+    const events = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+    events.forEach((event) => window.addEventListener(event, markActive, { passive: true }));
+    return () => {
+      events.forEach((event) => window.removeEventListener(event, markActive));
+    };
+  }, []);
+
+  // Refresh ahead of expiry for active users, ask idle users whether to stay signed in
+  useEffect(() => {
+    const expiresAt = getTokenExpiry(token);
+    setSessionExpiresAt(expiresAt);
+    if (!expiresAt) return undefined;
+
+    const now = Date.now();
+    const warningTimer = setTimeout(() => {
+      if (Date.now() - lastActivityRef.current < IDLE_THRESHOLD_MS) {
+        refreshSession().catch(() => setSessionExpiring(true));
+      } else {
+        setSessionExpiring(true);
+      }
+    }, Math.min(MAX_TIMEOUT_MS, Math.max(0, expiresAt - SESSION_WARNING_LEAD_MS - now)));
+
+    const expiryTimer = setTimeout(() => {
+      const pending = refreshPromiseRef.current;
+      if (pending) {
+        pending.catch(() => expireSession());
+      } else {
+        expireSession();
+      }
+    }, Math.min(MAX_TIMEOUT_MS, Math.max(0, expiresAt - now)));
+
+    return () => {
+      clearTimeout(warningTimer);
+      clearTimeout(expiryTimer);
+    };
+  }, [token, refreshSession, expireSession]);
 
   const login = async (username, password) => {
     setLoading(true);
     try {
       const result = await apiService.login({ username, password });
-      
+
       if (result.success) {
-        const { token, username: user, role } = result.data;
+        const { token, refreshToken, username: user, role } = result.data;
         const userInfo = { username: user, role };
 
         localStorage.setItem('token', token);
         localStorage.setItem('userInfo', JSON.stringify(userInfo));
+        if (refreshToken) {
+          localStorage.setItem('refreshToken', refreshToken);
+        }
 
         setToken(token);
         setCurrentUser(userInfo);
@@ -60,7 +251,7 @@ export const AuthProvider = ({ children }) => {
       console.error('Login error:', error);
       return {
         success: false,
-        error: 'An unexpected error occurred during login'
+        error: toApiError(error, 'An unexpected error occurred during login')
       };
     } finally {
       setLoading(false);
@@ -70,14 +261,14 @@ export const AuthProvider = ({ children }) => {
   const register = async (userData) => {
     setLoading(true);
     try {
-      console.log('Attempting to register user:', { 
-        ...userData, 
-        password: '[HIDDEN]', 
-        adminKey: userData.adminKey ? '[HIDDEN]' : undefined 
+      console.log('Attempting to register user:', {
+        ...userData,
+        password: '[HIDDEN]',
+        adminKey: userData.adminKey ? '[HIDDEN]' : undefined
       });
 
       const result = await apiService.register(userData);
-      
+
       if (result.success) {
         console.log('Registration successful:', result.data);
         return { success: true };
@@ -88,7 +279,7 @@ export const AuthProvider = ({ children }) => {
       console.error('Registration error:', error);
       return {
         success: false,
-        error: 'An unexpected error occurred during registration'
+        error: toApiError(error, 'An unexpected error occurred during registration')
       };
     } finally {
       setLoading(false);
@@ -96,19 +287,33 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('userInfo');
-    setToken(null);
-    setCurrentUser(null);
-    // The API service interceptor will handle removing the auth header
+    rememberLocation();
+    clearSession();
+  };
+
+  const extendSession = async () => {
+    try {
+      await refreshSession();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: toApiError(error, 'Your session could not be renewed') };
+    }
   };
 
   const isAdmin = () => {
-    return currentUser?.role === 'ROLE_ADMIN';
+    return currentUser?.role === ROLES.ADMIN;
+  };
+
+  const isLibrarian = () => {
+    return currentUser?.role === ROLES.LIBRARIAN;
   };
 
   const isUser = () => {
-    return currentUser?.role === 'ROLE_USER';
+    return currentUser?.role === ROLES.USER;
+  };
+
+  const can = (permission) => {
+    return !!currentUser && hasPermission(currentUser.role, permission);
   };
 
   const isLoggedIn = () => {
@@ -125,8 +330,15 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    extendSession,
+    expireSession,
+    getReturnPath,
+    sessionExpiring,
+    sessionExpiresAt,
     isAdmin,
+    isLibrarian,
     isUser,
+    can,
     isLoggedIn,
     getUserDisplayName,
     loading
@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+
+// Returns `value` once it has stopped changing for `delay` ms
+const useDebouncedValue = (value, delay = 250) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+};
+
+export default useDebouncedValue;
@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback } from 'react';
+import apiService from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { DEFAULT_LOAN_POLICY, resolvePolicy } from '../utils/loanPolicy';
+
+// One request per page load, shared by every component that asks
+let policyRequest = null;
+
+const loadPolicy = () => {
+  if (!policyRequest) {
+    policyRequest = apiService.getLoanPolicy().then((result) => {
+      if (!result.success) {
+        // Let the next caller try again rather than caching the failure
+        policyRequest = null;
+        return DEFAULT_LOAN_POLICY;
+      }
+      return result.data;
+    });
+  }
+  return policyRequest;
+};
+
+// Call after saving a new policy so the next load fetches it fresh
+export const invalidateLoanPolicy = () => {
+  policyRequest = null;
+};
+
+/**
+ * The library's circulation policy. `policy` has the current user's role
+ * overrides applied; `rawPolicy` is the full server document including
+ * `roleOverrides`, for screens that deal with other users.
+ */
+const useLoanPolicy = () => {
+  const { currentUser } = useAuth();
+  const [rawPolicy, setRawPolicy] = useState(DEFAULT_LOAN_POLICY);
+  const [loading, setLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    const loaded = await loadPolicy();
+    setRawPolicy(loaded);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadPolicy().then((loaded) => {
+      if (cancelled) return;
+      setRawPolicy(loaded);
+      setLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return {
+    policy: resolvePolicy(rawPolicy, currentUser?.role),
+    rawPolicy,
+    loading,
+    reload,
+  };
+};
+
+export default useLoanPolicy;
@@ -0,0 +1,43 @@
+import { useState, useCallback } from 'react';
+import { avroToBangla, commitPhoneticWord } from '../utils/bangla';
+
+const STORAGE_KEY = 'phoneticInput';
+
+/**
+ * Avro-style phonetic typing for a controlled text input. Latin words are
+ * converted to Bengali when finished with a space (or on submit via
+ * `commit`). The on/off choice is remembered across visits.
+ */
+const usePhoneticInput = () => {
+  const [enabled, setEnabled] = useState(() => localStorage.getItem(STORAGE_KEY) === 'on');
+
+  const toggle = useCallback(() => {
+    setEnabled((prev) => {
+      localStorage.setItem(STORAGE_KEY, prev ? 'off' : 'on');
+      return !prev;
+    });
+  }, []);
+
+  // Pass the new input value (and the previous one); returns what to store
+  const transform = useCallback((value, previousValue = '') => {
+    if (!enabled || value.length <= previousValue.length || !/\s$/.test(value)) {
+      return value;
+    }
+    return commitPhoneticWord(value);
+  }, [enabled]);
+
+  const commit = useCallback((value) => {
+    return enabled ? commitPhoneticWord(value) : value;
+  }, [enabled]);
+
+  // Bengali rendering of the word currently being typed, for an inline hint
+  const preview = useCallback((value) => {
+    if (!enabled) return '';
+    const match = value.match(/[A-Za-z^:`]+$/);
+    return match ? avroToBangla(match[0]) : '';
+  }, [enabled]);
+
+  return { enabled, toggle, transform, commit, preview };
+};
+
+export default usePhoneticInput;
@@ -0,0 +1,206 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import apiService from '../services/api';
+import { ERROR_CODES } from '../services/apiError';
+import { AUDIT_REASONS } from '../utils/audit';
+
+// Idle time after the last keystroke before pending edits are sent together
+export const QUANTITY_SAVE_DELAY = 800;
+
+const isValidQuantity = (value) => /^\d+$/.test(String(value).trim());
+
+/**
+ * Inline quantity editing for the AdminPanel Books table.
+ *
+ * Keystrokes only mark a row as pending; once typing stops, every pending row
+ * is saved in one batch. Each save sends the book's `version` so concurrent
+ * edits come back as conflicts to resolve instead of overwriting each other.
+ * The last saved batch can be undone.
+ *
+ * `books`/`setBooks` are the table's state; rows are patched in place rather
+ * than refetching the whole panel.
+ */
+const useQuantityEditor = (books, setBooks, delay = QUANTITY_SAVE_DELAY) => {
+  // bookId -> { value (as typed), original, version, title }
+  const [pending, setPending] = useState({});
+  const [saving, setSaving] = useState({});
+  const [conflicts, setConflicts] = useState([]);
+  const [lastBatch, setLastBatch] = useState(null);
+  const [error, setError] = useState('');
+  const pendingRef = useRef(pending);
+  const timerRef = useRef(null);
+  const booksRef = useRef(books);
+  booksRef.current = books;
+
+  const updatePending = useCallback((updater) => {
+    setPending(prev => {
+      const next = updater(prev);
+      pendingRef.current = next;
+      return next;
+    });
+  }, []);
+
+  const patchBook = useCallback((bookId, patch) => {
+    setBooks(prev => prev.map(book => (book.id === bookId ? { ...book, ...patch } : book)));
+  }, [setBooks]);
+
+  // Save [{ bookId, title, quantity, version, original }] with an audit
+  // reason; returns the ones that succeeded
+  const saveChanges = useCallback(async (changes, reason) => {
+    setSaving(prev => changes.reduce((acc, { bookId }) => ({ ...acc, [bookId]: true }), prev));
+
+    const results = await Promise.all(
+      changes.map(change => apiService.updateBookQuantity(change.bookId, change.quantity, change.version, reason))
+    );
+
+    const saved = [];
+    const newConflicts = [];
+    const failures = [];
+
+    results.forEach((result, index) => {
+      const change = changes[index];
+      if (result.success) {
+        const updated = result.data && typeof result.data === 'object' ? result.data : {};
+        patchBook(change.bookId, {
+          ...updated,
+          quantity: change.quantity,
+          // Older servers reply without the book; @Version goes up by one per update
+          version: updated.version ?? (typeof change.version === 'number' ? change.version + 1 : change.version),
+        });
+        saved.push(change);
+      } else if (result.error.code === ERROR_CODES.CONFLICT) {
+        newConflicts.push({ ...change, current: result.error.details?.current || null });
+      } else {
+        failures.push(`"${change.title}": ${result.error.message}`);
+      }
+    });
+
+    setSaving(prev => {
+      const next = { ...prev };
+      changes.forEach(({ bookId }) => delete next[bookId]);
+      return next;
+    });
+    if (newConflicts.length > 0) setConflicts(prev => [...prev, ...newConflicts]);
+    if (failures.length > 0) setError(`Some quantities were not saved and have been reverted. ${failures.join(' ')}`);
+
+    return saved;
+  }, [patchBook]);
+
+  const flush = useCallback(async () => {
+    clearTimeout(timerRef.current);
+
+    // Half-typed values (e.g. a cleared field) stay pending until they're valid
+    const ready = Object.entries(pendingRef.current)
+      .map(([, entry]) => entry)
+      .filter(entry => isValidQuantity(entry.value))
+      .map(entry => ({
+        bookId: entry.bookId,
+        title: entry.title,
+        quantity: parseInt(entry.value, 10),
+        original: entry.original,
+        version: entry.version,
+      }));
+    if (ready.length === 0) return;
+
+    updatePending(prev => {
+      const next = { ...prev };
+      ready.forEach(({ bookId }) => delete next[bookId]);
+      return next;
+    });
+
+    const saved = await saveChanges(ready, AUDIT_REASONS.QUANTITY_EDIT);
+    if (saved.length > 0) setLastBatch(saved);
+  }, [saveChanges, updatePending]);
+
+  const edit = useCallback((book, value) => {
+    updatePending(prev => {
+      const entry = prev[book.id];
+      const original = entry ? entry.original : book.quantity;
+      const next = { ...prev };
+      if (String(value).trim() === String(original)) {
+        delete next[book.id];
+      } else {
+        next[book.id] = {
+          bookId: book.id,
+          title: book.title,
+          value,
+          original,
+          version: entry ? entry.version : book.version,
+        };
+      }
+      return next;
+    });
+
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(flush, delay);
+  }, [delay, flush, updatePending]);
+
+  // Drop an unsaved edit
+  const discard = useCallback((bookId) => {
+    updatePending(prev => {
+      const next = { ...prev };
+      delete next[bookId];
+      return next;
+    });
+  }, [updatePending]);
+
+  const undoLastBatch = useCallback(async () => {
+    if (!lastBatch) return;
+    setLastBatch(null);
+
+    // Each book's version moved on with our own save, so use the current one
+    const reverts = lastBatch.map(change => {
+      const book = booksRef.current.find(item => item.id === change.bookId);
+      return { ...change, quantity: change.original, original: change.quantity, version: book?.version };
+    });
+    await saveChanges(reverts, AUDIT_REASONS.QUANTITY_UNDO);
+  }, [lastBatch, saveChanges]);
+
+  const resolveConflict = useCallback(async (conflict, keepMine) => {
+    setConflicts(prev => prev.filter(item => item.bookId !== conflict.bookId));
+
+    if (keepMine) {
+      // Undo should bring back their value, not the one we started from
+      const saved = await saveChanges([{
+        ...conflict,
+        version: conflict.current?.version,
+        original: conflict.current?.quantity ?? conflict.original,
+      }], AUDIT_REASONS.QUANTITY_OVERWRITE);
+      if (saved.length > 0) setLastBatch(saved);
+      return;
+    }
+
+    if (conflict.current) {
+      patchBook(conflict.bookId, conflict.current);
+      return;
+    }
+    const result = await apiService.getBookById(conflict.bookId);
+    if (result.success) patchBook(conflict.bookId, result.data);
+  }, [patchBook, saveChanges]);
+
+  // Don't lose edits typed just before leaving the panel
+  useEffect(() => () => {
+    clearTimeout(timerRef.current);
+    flush();
+  }, [flush]);
+
+  const valueFor = (book) => (pending[book.id] ? pending[book.id].value : book.quantity);
+
+  return {
+    valueFor,
+    isPending: (bookId) => !!pending[bookId],
+    isSaving: (bookId) => !!saving[bookId],
+    pendingCount: Object.keys(pending).length,
+    edit,
+    discard,
+    flush,
+    conflicts,
+    resolveConflict,
+    lastBatch,
+    undoLastBatch,
+    dismissLastBatch: () => setLastBatch(null),
+    error,
+    clearError: () => setError(''),
+  };
+};
+
+export default useQuantityEditor;
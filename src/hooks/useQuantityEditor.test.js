@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import apiService from '../services/api';
+import { ERROR_CODES } from '../services/apiError';
+import { AUDIT_REASONS } from '../utils/audit';
+import useQuantityEditor from './useQuantityEditor';
+
+jest.mock('../services/api', () => ({
+  __esModule: true,
+  default: { updateBookQuantity: jest.fn(), getBookById: jest.fn() }
+}));
+
+const DELAY = 100;
+
+const BOOKS = [
+  { id: 1, title: 'Gitanjali', quantity: 3, version: 1 },
+  { id: 2, title: 'Clean Code', quantity: 5, version: 4 }
+];
+
+const renderEditor = () => renderHook(() => {
+  const [books, setBooks] = useState(BOOKS);
+  return { books, editor: useQuantityEditor(books, setBooks, DELAY) };
+});
+
+const waitForSave = () => act(async () => {
+  jest.advanceTimersByTime(DELAY);
+});
+
+const conflict = (current) => ({
+  success: false,
+  error: { code: ERROR_CODES.CONFLICT, message: 'Changed by someone else', details: { current } }
+});
+
+describe('useQuantityEditor', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    apiService.updateBookQuantity.mockReset();
+    apiService.getBookById.mockReset();
+    apiService.updateBookQuantity.mockResolvedValue({ success: true, data: null });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('saves every pending edit in one batch once typing stops', async () => {
+    const { result } = renderEditor();
+
+    act(() => {
+      result.current.editor.edit(BOOKS[0], '4');
+      result.current.editor.edit(BOOKS[1], '7');
+    });
+    expect(result.current.editor.pendingCount).toBe(2);
+    expect(result.current.editor.valueFor(BOOKS[0])).toBe('4');
+
+    act(() => {
+      jest.advanceTimersByTime(DELAY - 1);
+    });
+    expect(apiService.updateBookQuantity).not.toHaveBeenCalled();
+
+    await waitForSave();
+
+    expect(apiService.updateBookQuantity).toHaveBeenCalledTimes(2);
+    expect(apiService.updateBookQuantity).toHaveBeenCalledWith(1, 4, 1, AUDIT_REASONS.QUANTITY_EDIT);
+    expect(apiService.updateBookQuantity).toHaveBeenCalledWith(2, 7, 4, AUDIT_REASONS.QUANTITY_EDIT);
+    expect(result.current.editor.pendingCount).toBe(0);
+    expect(result.current.books).toEqual([
+      { ...BOOKS[0], quantity: 4, version: 2 },
+      { ...BOOKS[1], quantity: 7, version: 5 }
+    ]);
+    expect(result.current.editor.lastBatch).toHaveLength(2);
+  });
+
+  it('keeps half-typed values pending and drops edits back to the original', async () => {
+    const { result } = renderEditor();
+
+    act(() => {
+      result.current.editor.edit(BOOKS[0], '');
+      result.current.editor.edit(BOOKS[1], '6');
+    });
+    act(() => {
+      result.current.editor.edit(BOOKS[1], '5');
+    });
+    await waitForSave();
+
+    expect(apiService.updateBookQuantity).not.toHaveBeenCalled();
+    expect(result.current.editor.isPending(1)).toBe(true);
+    expect(result.current.editor.isPending(2)).toBe(false);
+  });
+
+  it('undoes the last batch against the versions it produced', async () => {
+    const { result } = renderEditor();
+
+    act(() => {
+      result.current.editor.edit(BOOKS[0], '10');
+    });
+    await waitForSave();
+    apiService.updateBookQuantity.mockClear();
+
+    await act(async () => {
+      await result.current.editor.undoLastBatch();
+    });
+
+    expect(apiService.updateBookQuantity).toHaveBeenCalledWith(1, 3, 2, AUDIT_REASONS.QUANTITY_UNDO);
+    expect(result.current.books[0]).toMatchObject({ quantity: 3, version: 3 });
+    expect(result.current.editor.lastBatch).toBeNull();
+  });
+
+  it('turns a version clash into a conflict that can keep our value', async () => {
+    apiService.updateBookQuantity.mockResolvedValueOnce(conflict({ ...BOOKS[0], quantity: 9, version: 6 }));
+    const { result } = renderEditor();
+
+    act(() => {
+      result.current.editor.edit(BOOKS[0], '4');
+    });
+    await waitForSave();
+
+    expect(result.current.editor.conflicts).toEqual([
+      expect.objectContaining({ bookId: 1, quantity: 4, current: expect.objectContaining({ quantity: 9 }) })
+    ]);
+    expect(result.current.editor.lastBatch).toBeNull();
+
+    await act(async () => {
+      await result.current.editor.resolveConflict(result.current.editor.conflicts[0], true);
+    });
+
+    expect(apiService.updateBookQuantity).toHaveBeenLastCalledWith(1, 4, 6, AUDIT_REASONS.QUANTITY_OVERWRITE);
+    expect(result.current.editor.conflicts).toEqual([]);
+    expect(result.current.books[0]).toMatchObject({ quantity: 4, version: 7 });
+    // Undo would restore their value, not ours from before the clash
+    expect(result.current.editor.lastBatch).toEqual([expect.objectContaining({ original: 9 })]);
+  });
+
+  it('takes their value when the conflict is resolved in their favour', async () => {
+    apiService.updateBookQuantity.mockResolvedValueOnce(conflict({ ...BOOKS[0], quantity: 9, version: 6 }));
+    const { result } = renderEditor();
+
+    act(() => {
+      result.current.editor.edit(BOOKS[0], '4');
+    });
+    await waitForSave();
+    await act(async () => {
+      await result.current.editor.resolveConflict(result.current.editor.conflicts[0], false);
+    });
+
+    expect(apiService.updateBookQuantity).toHaveBeenCalledTimes(1);
+    expect(result.current.books[0]).toMatchObject({ quantity: 9, version: 6 });
+  });
+
+  it('reports other failures and leaves the row unchanged', async () => {
+    apiService.updateBookQuantity.mockResolvedValueOnce({ success: false, error: { code: 'SERVER_ERROR', message: 'Boom' } });
+    const { result } = renderEditor();
+
+    act(() => {
+      result.current.editor.edit(BOOKS[0], '4');
+    });
+    await waitForSave();
+
+    expect(result.current.editor.error).toMatch('"Gitanjali": Boom');
+    expect(result.current.books[0]).toEqual(BOOKS[0]);
+    expect(result.current.editor.valueFor(BOOKS[0])).toBe(3);
+  });
+});
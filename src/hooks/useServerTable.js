@@ -0,0 +1,99 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import useDebouncedValue from './useDebouncedValue';
+import { DEFAULT_PAGE_SIZE } from '../utils/paging';
+
+const SEARCH_DELAY = 300;
+
+/**
+ * State and loading for a server-paged table (see DataTable). `fetchPage` is
+ * an APIService page method and must be stable (define it outside the
+ * component). Rows are exposed with a setter so callers can patch a row in
+ * place after an edit instead of reloading the page.
+ */
+const useServerTable = (fetchPage, { pageSize = DEFAULT_PAGE_SIZE, sort: initialSort = null, enabled = true } = {}) => {
+  const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPageState] = useState(0);
+  const [size, setSizeState] = useState(pageSize);
+  const [sort, setSort] = useState(initialSort);
+  const [search, setSearchState] = useState('');
+  const [filters, setFilters] = useState({});
+  const [loading, setLoading] = useState(enabled);
+  const [error, setError] = useState('');
+  const [reloadToken, setReloadToken] = useState(0);
+  const requestRef = useRef(0);
+
+  // Typing in the search box or a text filter shouldn't fire a request per key
+  const debouncedSearch = useDebouncedValue(search, SEARCH_DELAY);
+  const debouncedFilters = useDebouncedValue(filters, SEARCH_DELAY);
+
+  const query = { page, size, sort, search: debouncedSearch, filters: debouncedFilters };
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    // Ignore replies to requests that a newer one has overtaken
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    setLoading(true);
+
+    fetchPage({ page, size, sort, search: debouncedSearch, filters: debouncedFilters }).then((result) => {
+      if (requestRef.current !== requestId) return;
+      setRows(result.data.items);
+      setTotal(result.data.total);
+      setError(result.success ? '' : result.error.message);
+      setLoading(false);
+    });
+  }, [fetchPage, enabled, page, size, sort, debouncedSearch, debouncedFilters, reloadToken]);
+
+  // Narrowing the results always starts again from the first page
+  const setSearch = useCallback((value) => {
+    setSearchState(value);
+    setPageState(0);
+  }, []);
+
+  const setFilter = useCallback((key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPageState(0);
+  }, []);
+
+  const setSize = useCallback((value) => {
+    setSizeState(value);
+    setPageState(0);
+  }, []);
+
+  // Ascending, then descending, then back to the server's default order
+  const toggleSort = useCallback((key) => {
+    setSort(prev => {
+      if (prev?.key !== key) return { key, direction: 'asc' };
+      if (prev.direction === 'asc') return { key, direction: 'desc' };
+      return initialSort;
+    });
+    setPageState(0);
+  }, [initialSort]);
+
+  const reload = useCallback(() => setReloadToken(token => token + 1), []);
+
+  return {
+    rows,
+    setRows,
+    total,
+    page,
+    size,
+    sort,
+    search,
+    filters,
+    query,
+    loading,
+    error,
+    isFiltered: search.trim() !== '' || Object.values(filters).some(value => String(value ?? '').trim() !== ''),
+    setPage: setPageState,
+    setSize,
+    setSearch,
+    setFilter,
+    toggleSort,
+    reload,
+  };
+};
+
+export default useServerTable;
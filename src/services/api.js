@@ -1,9 +1,41 @@
 import axios from 'axios';
+import { toApiError, isRetryableError } from './apiError';
+import { EMPTY_PAGE, toPageParams, normalizePage } from '../utils/paging';
+import { HOLD_PICKUP_DAYS } from '../utils/holds';
 
 // API Configuration
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:8085';
 const API_TIMEOUT = 10000;
 
+// Retry configuration for idempotent requests. Can be changed at runtime with
+// apiService.configureRetry() or per request with `{ retry: { retries: 5 } }`
+// (or `{ retry: false }`) in the axios config.
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+const retryConfig = {
+  retries: parseInt(process.env.REACT_APP_API_MAX_RETRIES, 10) || 3,
+  baseDelay: 500,
+  maxDelay: 8000,
+};
+
+const getRetryDelay = (attempt, { baseDelay, maxDelay }) => {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  // Full jitter so several panels retrying at once don't hit the server in lockstep
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The server writes every admin change to the audit log. An optional reason
+// rides along in a header so request bodies stay as they are; it's
+// URI-encoded because header values can't carry Bengali text.
+const AUDIT_REASON_HEADER = 'X-Audit-Reason';
+
+const withAuditReason = (reason, config = {}) => {
+  const trimmed = reason?.trim();
+  if (!trimmed) return config;
+  return { ...config, headers: { ...config.headers, [AUDIT_REASON_HEADER]: encodeURIComponent(trimmed) } };
+};
+
 // Create axios instance
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -27,31 +59,111 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor for error handling
+// Response interceptor that retries idempotent requests with exponential backoff
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      localStorage.removeItem('userInfo');
-      window.location.href = '/login';
+  async (error) => {
+    const config = error.config;
+    if (!config || config.retry === false) {
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
+
+    const method = (config.method || 'get').toLowerCase();
+    const options = { ...retryConfig, ...(typeof config.retry === 'object' ? config.retry : {}) };
+    const attempt = config.__retryCount || 0;
+
+    if (!IDEMPOTENT_METHODS.includes(method) || attempt >= options.retries || !isRetryableError(error)) {
+      return Promise.reject(error);
+    }
+
+    config.__retryCount = attempt + 1;
+    await wait(getRetryDelay(attempt, options));
+    return api(config);
+  }
+);
+
+// Hooks registered by AuthContext so the interceptor can refresh the session
+// without reaching into React state
+const authHandlers = {
+  refreshToken: null,
+  onSessionExpired: null,
+};
+
+// Shared by every request that fails with a 401 while a refresh is in flight,
+// so they all wait for the same refresh and replay afterwards
+let refreshPromise = null;
+
+// Response interceptor for expired tokens
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+    if (error.response?.status !== 401 || !config || config.skipAuthRefresh) {
+      return Promise.reject(error);
+    }
+
+    if (config.__isRetryAfterRefresh || !authHandlers.refreshToken || !localStorage.getItem('token')) {
+      authHandlers.onSessionExpired?.();
+      return Promise.reject(error);
+    }
+
+    if (!refreshPromise) {
+      refreshPromise = authHandlers.refreshToken().finally(() => {
+        refreshPromise = null;
+      });
+    }
+
+    try {
+      await refreshPromise;
+    } catch (refreshError) {
+      authHandlers.onSessionExpired?.();
+      return Promise.reject(error);
+    }
+
+    config.__isRetryAfterRefresh = true;
+    return api(config);
   }
 );
 
 // API Service Class
 class APIService {
+  // Override the default retry behaviour, e.g. { retries: 5, baseDelay: 1000 }
+  configureRetry(options = {}) {
+    Object.assign(retryConfig, options);
+    return { ...retryConfig };
+  }
+
+  // Called by AuthContext with { refreshToken, onSessionExpired }
+  setAuthHandlers(handlers = {}) {
+    Object.assign(authHandlers, handlers);
+  }
+
   // Auth endpoints
   async login(credentials) {
     try {
-      const response = await api.post('/api/auth/login', credentials);
+      const response = await api.post('/api/auth/login', credentials, { skipAuthRefresh: true });
       return { success: true, data: response.data };
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Login failed',
+        error: toApiError(error, 'Login failed'),
+      };
+    }
+  }
+
+  // Exchange the current (or nearly expired) token for a fresh one
+  async refreshToken(refreshToken) {
+    try {
+      const response = await api.post(
+        '/api/auth/refresh',
+        refreshToken ? { refreshToken } : {},
+        { skipAuthRefresh: true }
+      );
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Your session could not be renewed'),
       };
     }
   }
@@ -63,7 +175,7 @@ class APIService {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Registration failed',
+        error: toApiError(error, 'Registration failed'),
       };
     }
   }
@@ -76,7 +188,7 @@ class APIService {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to fetch books',
+        error: toApiError(error, 'Failed to fetch books'),
         data: [],
       };
     }
@@ -89,7 +201,7 @@ class APIService {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Search failed',
+        error: toApiError(error, 'Search failed'),
         data: [],
       };
     }
@@ -102,11 +214,13 @@ class APIService {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to fetch book details',
+        error: toApiError(error, 'Failed to fetch book details'),
       };
     }
   }
 
+  // `bookingData` is { bookId, copyId? }; without a copyId the server lends
+  // any available copy. The booking comes back with the `copy` it references.
   async bookBook(bookingData) {
     try {
       const response = await api.post('/api/user/books/book', bookingData);
@@ -114,7 +228,7 @@ class APIService {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to book the book',
+        error: toApiError(error, 'Failed to book the book'),
       };
     }
   }
@@ -126,7 +240,7 @@ class APIService {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to fetch bookings',
+        error: toApiError(error, 'Failed to fetch bookings'),
         data: [],
       };
     }
@@ -139,20 +253,144 @@ class APIService {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to fetch active bookings',
+        error: toApiError(error, 'Failed to fetch active bookings'),
         data: [],
       };
     }
   }
 
+  // Every return, self-service or at the desk, hands the copy to the next
+  // patron in the hold queue on the server. The reply carries that
+  // `promotedHold` (with its pickup deadline), or null when nobody is waiting.
   async returnBook(bookingId) {
     try {
-      const response = await api.put(`/api/user/bookings/${bookingId}/return`);
+      const response = await api.put(`/api/user/bookings/${bookingId}/return`, { pickupDays: HOLD_PICKUP_DAYS });
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to return book'),
+      };
+    }
+  }
+
+  // Patron lookup for the desk. Scoped to circulation (BOOKINGS_CHECKOUT)
+  // rather than user management, so librarians without USERS_READ can use it.
+  async findPatrons(query = {}) {
+    try {
+      const response = await api.get('/api/admin/circulation/patrons', { params: toPageParams(query) });
+      return { success: true, data: normalizePage(response.data, query) };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to find patrons'),
+        data: EMPTY_PAGE,
+      };
+    }
+  }
+
+  // Lend a copy to a patron at the desk. The server applies the same limits
+  // as self-service booking; `overrideHold` lends it past another patron's hold.
+  async checkoutCopy(userId, copyId, { overrideHold = false } = {}) {
+    try {
+      const response = await api.post('/api/admin/circulation/checkout', { userId, copyId, overrideHold });
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to check out copy'),
+      };
+    }
+  }
+
+  // `items` are the receipt lines; the server formats and sends the email
+  async emailReceipt(userId, items) {
+    try {
+      const response = await api.post('/api/admin/circulation/receipts', { userId, items });
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to email receipt'),
+      };
+    }
+  }
+
+  // Circulation rules (loan length, limits, fines) with per-role overrides.
+  // Also read by signed-out visitors, so a 401 must not end the session.
+  async getLoanPolicy() {
+    try {
+      const response = await api.get('/api/user/policy', { skipAuthRefresh: true });
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to fetch library policy'),
+      };
+    }
+  }
+
+  // The signed-in user's own standing: { status, suspensionReason }
+  async getMyAccount() {
+    try {
+      const response = await api.get('/api/user/account');
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to fetch account status'),
+      };
+    }
+  }
+
+  // Extend an active loan. A refusal comes back as a 409 whose body carries
+  // `reason` (see RENEWAL_REFUSALS); on success the booking has the new dueDate.
+  async renewBooking(bookingId) {
+    try {
+      const response = await api.put(`/api/user/bookings/${bookingId}/renew`);
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to renew book'),
+      };
+    }
+  }
+
+  // Join the FIFO hold queue for a title with no copies on the shelf
+  async placeHold(bookId) {
+    try {
+      const response = await api.post('/api/user/holds', { bookId });
       return { success: true, data: response.data };
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to return book',
+        error: toApiError(error, 'Failed to place hold'),
+      };
+    }
+  }
+
+  async getUserHolds() {
+    try {
+      const response = await api.get('/api/user/holds');
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to fetch holds'),
+        data: [],
+      };
+    }
+  }
+
+  async cancelHold(holdId) {
+    try {
+      const response = await api.delete(`/api/user/holds/${holdId}`);
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to cancel hold'),
       };
     }
   }
@@ -167,7 +405,7 @@ class APIService {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to send message',
+        error: toApiError(error, 'Failed to send message'),
       };
     }
   }
@@ -192,56 +430,192 @@ class APIService {
     } catch (error) {
       return {
         success: false,
-        error: `Failed to fetch all books: ${error.response?.status} ${error.response?.data || error.message}`,
+        error: toApiError(error, 'Failed to fetch all books'),
         data: [],
       };
     }
   }
 
-  async createBook(bookData) {
+  // Paged lists take { page, size, sort, search, filters } (see utils/paging)
+  // and resolve to { items, total, page, size }
+  async getBooksPage(query = {}) {
+    try {
+      const response = await api.get('/api/admin/books', { params: toPageParams(query) });
+      return { success: true, data: normalizePage(response.data, query) };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to fetch books'),
+        data: EMPTY_PAGE,
+      };
+    }
+  }
+
+  // { titles, copies, availableTitles } without loading the catalogue
+  async getBookCounts() {
     try {
-      const response = await api.post('/api/admin/books', bookData);
+      const response = await api.get('/api/admin/books/count');
       return { success: true, data: response.data };
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to create book',
+        error: toApiError(error, 'Failed to count books'),
       };
     }
   }
 
-  async updateBook(id, bookData) {
+  async createBook(bookData, reason) {
     try {
-      const response = await api.put(`/api/admin/books/${id}`, bookData);
+      const response = await api.post('/api/admin/books', bookData, withAuditReason(reason));
       return { success: true, data: response.data };
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to update book',
+        error: toApiError(error, 'Failed to create book'),
       };
     }
   }
 
-  async deleteBook(id) {
+  async updateBook(id, bookData, reason) {
     try {
-      const response = await api.delete(`/api/admin/books/${id}`);
+      const response = await api.put(`/api/admin/books/${id}`, bookData, withAuditReason(reason));
       return { success: true, data: response.data };
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to delete book',
+        error: toApiError(error, 'Failed to update book'),
+      };
+    }
+  }
+
+  // Moves the book to the Trash. The server refuses (409) while copies are
+  // out on loan; the refusal carries `activeLoans`.
+  async deleteBook(id, reason) {
+    try {
+      const response = await api.delete(`/api/admin/books/${id}`, withAuditReason(reason));
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to delete book'),
+      };
+    }
+  }
+
+  async getDeletedBooksPage(query = {}) {
+    try {
+      const response = await api.get('/api/admin/books/trash', { params: toPageParams(query) });
+      return { success: true, data: normalizePage(response.data, query) };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to fetch deleted books'),
+        data: EMPTY_PAGE,
       };
     }
   }
 
-  async updateBookQuantity(id, quantity) {
+  async restoreBook(id) {
     try {
-      const response = await api.put(`/api/admin/books/${id}/quantity?quantity=${quantity}`);
+      const response = await api.put(`/api/admin/books/${id}/restore`);
       return { success: true, data: response.data };
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to update book quantity',
+        error: toApiError(error, 'Failed to restore book'),
+      };
+    }
+  }
+
+  // Permanent; only books already in the Trash can be purged
+  async purgeBook(id) {
+    try {
+      const response = await api.delete(`/api/admin/books/${id}/purge`);
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to permanently delete book'),
+      };
+    }
+  }
+
+  // Pass the book's `version` as last read to have the server refuse (409)
+  // when someone else changed it since; the refusal carries the `current` book.
+  async updateBookQuantity(id, quantity, version, reason) {
+    try {
+      const params = version === undefined || version === null ? { quantity } : { quantity, version };
+      const response = await api.put(`/api/admin/books/${id}/quantity`, null, withAuditReason(reason, { params }));
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to update book quantity'),
+      };
+    }
+  }
+
+  // Physical copies of a title. Responses for create/update/delete include the
+  // book's recalculated `quantity` and `copyCount` alongside the copy.
+  async getBookCopies(bookId) {
+    try {
+      const response = await api.get(`/api/admin/books/${bookId}/copies`);
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to fetch copies'),
+        data: [],
+      };
+    }
+  }
+
+  async createCopy(bookId, copyData) {
+    try {
+      const response = await api.post(`/api/admin/books/${bookId}/copies`, copyData);
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to add copy'),
+      };
+    }
+  }
+
+  async updateCopy(copyId, copyData) {
+    try {
+      const response = await api.put(`/api/admin/copies/${copyId}`, copyData);
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to update copy'),
+      };
+    }
+  }
+
+  async deleteCopy(copyId) {
+    try {
+      const response = await api.delete(`/api/admin/copies/${copyId}`);
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to delete copy'),
+      };
+    }
+  }
+
+  // Scanned barcode (or typed accession number) to the copy, with its `book`
+  // and, while it's out, the `activeBooking` and borrower
+  async findCopyByBarcode(barcode) {
+    try {
+      const response = await api.get('/api/admin/copies/lookup', { params: { barcode } });
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, `No copy found for "${barcode}"`),
       };
     }
   }
@@ -256,12 +630,38 @@ class APIService {
       console.error('Admin users error:', error.response?.status, error.response?.data);
       return {
         success: false,
-        error: `Failed to fetch users: ${error.response?.status} ${error.response?.data || error.message}`,
+        error: toApiError(error, 'Failed to fetch users'),
         data: [],
       };
     }
   }
 
+  async getUsersPage(query = {}) {
+    try {
+      const response = await api.get('/api/admin/users', { params: toPageParams(query) });
+      return { success: true, data: normalizePage(response.data, query) };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to fetch users'),
+        data: EMPTY_PAGE,
+      };
+    }
+  }
+
+  // { total } registered users
+  async getUserCount() {
+    try {
+      const response = await api.get('/api/admin/users/count');
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to count users'),
+      };
+    }
+  }
+
   async getUserById(id) {
     try {
       const response = await api.get(`/api/admin/users/${id}`);
@@ -269,31 +669,120 @@ class APIService {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to fetch user',
+        error: toApiError(error, 'Failed to fetch user'),
+      };
+    }
+  }
+
+  async updateUser(id, userData, reason) {
+    try {
+      const response = await api.put(`/api/admin/users/${id}`, userData, withAuditReason(reason));
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to update user'),
       };
     }
   }
 
-  async updateUser(id, userData) {
+  async updateUserRole(id, role) {
     try {
-      const response = await api.put(`/api/admin/users/${id}`, userData);
+      const response = await api.put(`/api/admin/users/${id}/role`, { role });
       return { success: true, data: response.data };
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to update user',
+        error: toApiError(error, 'Failed to update user role'),
       };
     }
   }
 
-  async deleteUser(id) {
+  async suspendUser(id, reason) {
     try {
-      const response = await api.delete(`/api/admin/users/${id}`);
+      const response = await api.put(`/api/admin/users/${id}/suspend`, { reason });
       return { success: true, data: response.data };
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to delete user',
+        error: toApiError(error, 'Failed to suspend user'),
+      };
+    }
+  }
+
+  async reactivateUser(id) {
+    try {
+      const response = await api.put(`/api/admin/users/${id}/reactivate`);
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to reactivate user'),
+      };
+    }
+  }
+
+  // Invalidates the current password and emails the user a reset link
+  async forcePasswordReset(id) {
+    try {
+      const response = await api.post(`/api/admin/users/${id}/password-reset`);
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to start a password reset'),
+      };
+    }
+  }
+
+  // Moves the account to the Trash. The server refuses (409) while the user
+  // has unreturned books; the refusal carries `activeLoans`.
+  async deleteUser(id, reason) {
+    try {
+      const response = await api.delete(`/api/admin/users/${id}`, withAuditReason(reason));
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to delete user'),
+      };
+    }
+  }
+
+  async getDeletedUsersPage(query = {}) {
+    try {
+      const response = await api.get('/api/admin/users/trash', { params: toPageParams(query) });
+      return { success: true, data: normalizePage(response.data, query) };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to fetch deleted users'),
+        data: EMPTY_PAGE,
+      };
+    }
+  }
+
+  async restoreUser(id) {
+    try {
+      const response = await api.put(`/api/admin/users/${id}/restore`);
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to restore user'),
+      };
+    }
+  }
+
+  // Permanent; only accounts already in the Trash can be purged
+  async purgeUser(id) {
+    try {
+      const response = await api.delete(`/api/admin/users/${id}/purge`);
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to permanently delete user'),
       };
     }
   }
@@ -305,20 +794,99 @@ class APIService {
     } catch (error) {
       return {
         success: false,
-        error: `Failed to fetch bookings: ${error.response?.status} ${error.response?.data || error.message}`,
+        error: toApiError(error, 'Failed to fetch bookings'),
         data: [],
       };
     }
   }
 
-  async adminReturnBook(bookingId) {
+  async getBookingsPage(query = {}) {
+    try {
+      const response = await api.get('/api/admin/bookings', { params: toPageParams(query) });
+      return { success: true, data: normalizePage(response.data, query) };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to fetch bookings'),
+        data: EMPTY_PAGE,
+      };
+    }
+  }
+
+  // { total } bookings, optionally only those with `status` (e.g. 'ACTIVE')
+  async getBookingCount(status) {
+    try {
+      const response = await api.get('/api/admin/bookings/count', { params: status ? { status } : {} });
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to count bookings'),
+      };
+    }
+  }
+
+  // Promotes the next hold like returnBook does
+  async adminReturnBook(bookingId, reason) {
+    try {
+      const response = await api.put(`/api/admin/bookings/${bookingId}/return`, { pickupDays: HOLD_PICKUP_DAYS }, withAuditReason(reason));
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to return book'),
+      };
+    }
+  }
+
+  // Admin audit log, newest first by default. Filters: actor, entityType,
+  // from and to (yyyy-mm-dd, inclusive).
+  async getAuditLogPage(query = {}) {
+    try {
+      const response = await api.get('/api/admin/audit', { params: toPageParams(query) });
+      return { success: true, data: normalizePage(response.data, query) };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to fetch audit log'),
+        data: EMPTY_PAGE,
+      };
+    }
+  }
+
+  async getAllHolds() {
+    try {
+      const response = await api.get('/api/admin/holds');
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to fetch holds'),
+        data: [],
+      };
+    }
+  }
+
+  async adminCancelHold(holdId) {
+    try {
+      const response = await api.delete(`/api/admin/holds/${holdId}`);
+      return { success: true, data: response.data };
+    } catch (error) {
+      return {
+        success: false,
+        error: toApiError(error, 'Failed to cancel hold'),
+      };
+    }
+  }
+
+  async updateLoanPolicy(policy) {
     try {
-      const response = await api.put(`/api/admin/bookings/${bookingId}/return`);
+      const response = await api.put('/api/admin/policy', policy);
       return { success: true, data: response.data };
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data || 'Failed to return book',
+        error: toApiError(error, 'Failed to update library policy'),
       };
     }
   }
@@ -0,0 +1,114 @@
+// Normalized error shape returned by every APIService method as `result.error`
+
+export const ERROR_CODES = {
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVER_ERROR: 'SERVER_ERROR',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR',
+};
+
+const RETRYABLE_CODES = [
+  ERROR_CODES.NETWORK_ERROR,
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.SERVER_ERROR,
+];
+
+export class ApiError extends Error {
+  constructor({ code = ERROR_CODES.UNKNOWN_ERROR, status = null, message, fieldErrors = {}, details = null }) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.retryable = RETRYABLE_CODES.includes(code);
+    this.details = details;
+  }
+
+  toString() {
+    return this.message;
+  }
+}
+
+const getCodeForStatus = (status) => {
+  if (status === 400 || status === 422) return ERROR_CODES.VALIDATION_ERROR;
+  if (status === 401) return ERROR_CODES.UNAUTHORIZED;
+  if (status === 403) return ERROR_CODES.FORBIDDEN;
+  if (status === 404) return ERROR_CODES.NOT_FOUND;
+  if (status === 409) return ERROR_CODES.CONFLICT;
+  if (status === 408) return ERROR_CODES.TIMEOUT;
+  if (status === 429) return ERROR_CODES.RATE_LIMITED;
+  if (status >= 500) return ERROR_CODES.SERVER_ERROR;
+  return ERROR_CODES.UNKNOWN_ERROR;
+};
+
+// Spring sends field errors either as an array of { field, defaultMessage }
+// or as a plain { field: message } map depending on the endpoint
+const extractFieldErrors = (data) => {
+  const raw = data?.fieldErrors || data?.errors;
+  if (!raw || typeof raw !== 'object') return {};
+
+  if (Array.isArray(raw)) {
+    return raw.reduce((acc, item) => {
+      if (item?.field) {
+        acc[item.field] = item.defaultMessage || item.message || 'Invalid value';
+      }
+      return acc;
+    }, {});
+  }
+
+  return Object.entries(raw).reduce((acc, [field, value]) => {
+    acc[field] = Array.isArray(value) ? value.join(', ') : String(value);
+    return acc;
+  }, {});
+};
+
+const extractMessage = (data) => {
+  if (typeof data === 'string' && data.trim()) return data;
+  if (data && typeof data === 'object') {
+    return data.message || data.error || data.detail || null;
+  }
+  return null;
+};
+
+/**
+ * Convert an axios error (or anything thrown inside an APIService method)
+ * into an ApiError. `fallbackMessage` is used when the server gives us
+ * nothing readable.
+ */
+export const toApiError = (error, fallbackMessage = 'Something went wrong') => {
+  if (error instanceof ApiError) return error;
+
+  const response = error?.response;
+
+  if (!error?.isAxiosError) {
+    return new ApiError({ message: fallbackMessage, details: error?.message || null });
+  }
+
+  if (!response) {
+    const timedOut = error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT';
+    return new ApiError({
+      code: timedOut ? ERROR_CODES.TIMEOUT : ERROR_CODES.NETWORK_ERROR,
+      message: timedOut
+        ? 'The server took too long to respond. Please try again.'
+        : 'Unable to reach the library server. Please check your connection.',
+      details: error?.message || null,
+    });
+  }
+
+  return new ApiError({
+    code: getCodeForStatus(response.status),
+    status: response.status,
+    message: extractMessage(response.data) || fallbackMessage,
+    fieldErrors: extractFieldErrors(response.data),
+    details: response.data ?? null,
+  });
+};
+
+export const isRetryableError = (error) => toApiError(error).retryable;
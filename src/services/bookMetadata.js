@@ -0,0 +1,110 @@
+import axios from 'axios';
+import { ApiError, ERROR_CODES, toApiError } from './apiError';
+import { normalizeIsbn, isValidIsbn } from '../utils/isbn';
+import fixtureData from './fixtures/bookMetadata.json';
+
+// Book metadata lookup by ISBN for the AdminPanel "Fetch details" button.
+//
+// A provider is { name, lookup: async (isbn13) => metadata | null } where
+// metadata is any of { title, author, authorBengali, publishedYear, description }.
+// Choose one with REACT_APP_BOOK_METADATA_PROVIDER ('openlibrary' or 'fixture')
+// or swap it at runtime with setMetadataProvider().
+
+const LOOKUP_TIMEOUT = 8000;
+
+// Offline provider backed by a JSON file keyed by ISBN-13
+export const createFixtureProvider = (data = fixtureData) => ({
+  name: 'fixture',
+  lookup: async (isbn) => data[isbn] || null,
+});
+
+const parseYear = (value) => {
+  const year = String(value || '').match(/\d{4}/)?.[0];
+  return year ? Number(year) : undefined;
+};
+
+export const openLibraryProvider = {
+  name: 'openlibrary',
+  lookup: async (isbn) => {
+    const key = `ISBN:${isbn}`;
+    const response = await axios.get('https://openlibrary.org/api/books', {
+      params: { bibkeys: key, format: 'json', jscmd: 'data' },
+      timeout: LOOKUP_TIMEOUT,
+    });
+
+    const book = response.data?.[key];
+    if (!book) return null;
+
+    const notes = typeof book.notes === 'object' ? book.notes?.value : book.notes;
+    return {
+      title: [book.title, book.subtitle].filter(Boolean).join(': '),
+      author: book.authors?.[0]?.name,
+      publishedYear: parseYear(book.publish_date),
+      description: notes || book.excerpts?.[0]?.text,
+    };
+  },
+};
+
+const PROVIDERS = {
+  fixture: createFixtureProvider(),
+  openlibrary: openLibraryProvider,
+};
+
+const defaultProviderName = process.env.REACT_APP_BOOK_METADATA_PROVIDER
+  || (process.env.NODE_ENV === 'test' ? 'fixture' : 'openlibrary');
+
+let activeProvider = PROVIDERS[defaultProviderName] || openLibraryProvider;
+
+export const setMetadataProvider = (provider) => {
+  const next = typeof provider === 'string' ? PROVIDERS[provider] : provider;
+  if (!next) {
+    throw new Error(`Unknown metadata provider: ${provider}`);
+  }
+  activeProvider = next;
+};
+
+export const getMetadataProvider = () => activeProvider;
+
+// Drop empty values so callers can tell which fields the provider filled
+const compact = (metadata) => Object.entries(metadata).reduce((acc, [field, value]) => {
+  if (value !== undefined && value !== null && String(value).trim() !== '') acc[field] = value;
+  return acc;
+}, {});
+
+/**
+ * Look up `isbn` with the active provider. Resolves to the same
+ * { success, data | error } shape as apiService methods.
+ */
+export const lookupBookMetadata = async (isbn) => {
+  if (!isValidIsbn(isbn)) {
+    return {
+      success: false,
+      error: new ApiError({ code: ERROR_CODES.VALIDATION_ERROR, message: 'Enter a valid ISBN-10 or ISBN-13 first.' }),
+    };
+  }
+
+  try {
+    const metadata = await activeProvider.lookup(normalizeIsbn(isbn));
+    if (!metadata) {
+      return {
+        success: false,
+        error: new ApiError({ code: ERROR_CODES.NOT_FOUND, message: 'No details found for this ISBN.' }),
+      };
+    }
+    return { success: true, data: compact(metadata) };
+  } catch (error) {
+    const apiError = toApiError(error, 'Failed to fetch book details');
+    // toApiError's network messages talk about the library server, not the provider
+    if (apiError.code === ERROR_CODES.NETWORK_ERROR || apiError.code === ERROR_CODES.TIMEOUT) {
+      return {
+        success: false,
+        error: new ApiError({
+          code: apiError.code,
+          message: 'The book details service is unavailable. Fill in the details by hand or try again later.',
+          details: apiError.details,
+        }),
+      };
+    }
+    return { success: false, error: apiError };
+  }
+};
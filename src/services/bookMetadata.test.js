@@ -0,0 +1,82 @@
+import { ERROR_CODES } from './apiError';
+import {
+  createFixtureProvider,
+  getMetadataProvider,
+  lookupBookMetadata,
+  setMetadataProvider
+} from './bookMetadata';
+
+describe('lookupBookMetadata', () => {
+  afterEach(() => setMetadataProvider('fixture'));
+
+  it('uses the fixture provider under test', () => {
+    expect(getMetadataProvider().name).toBe('fixture');
+  });
+
+  it('finds a fixture by its ISBN-10 as well as its ISBN-13', async () => {
+    const byIsbn10 = await lookupBookMetadata('0-13-235088-2');
+    const byIsbn13 = await lookupBookMetadata('978-0-13-235088-4');
+
+    expect(byIsbn10.success).toBe(true);
+    expect(byIsbn10.data).toEqual(byIsbn13.data);
+    expect(byIsbn10.data).toMatchObject({ author: 'Robert C. Martin', publishedYear: 2008 });
+  });
+
+  it('returns Bengali metadata untouched', async () => {
+    const result = await lookupBookMetadata('9789848815076');
+
+    expect(result.data.title).toBe('গীতাঞ্জলি');
+    expect(result.data.authorBengali).toBe('রবীন্দ্রনাথ ঠাকুর');
+  });
+
+  it('rejects an invalid ISBN without calling the provider', async () => {
+    const lookup = jest.fn();
+    setMetadataProvider({ name: 'spy', lookup });
+
+    const result = await lookupBookMetadata('12345');
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe(ERROR_CODES.VALIDATION_ERROR);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  it('reports NOT_FOUND for a valid ISBN the provider does not know', async () => {
+    const result = await lookupBookMetadata('9780306406157');
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe(ERROR_CODES.NOT_FOUND);
+  });
+
+  it('drops the fields a provider left empty', async () => {
+    setMetadataProvider(createFixtureProvider({
+      '9780306406157': { title: 'Untitled', author: '  ', publishedYear: null, description: undefined }
+    }));
+
+    const result = await lookupBookMetadata('0306406152');
+
+    expect(result.data).toEqual({ title: 'Untitled' });
+  });
+
+  it('blames the details service, not the library server, when the provider is unreachable', async () => {
+    setMetadataProvider({
+      name: 'offline',
+      lookup: async () => {
+        throw Object.assign(new Error('Network Error'), { isAxiosError: true });
+      }
+    });
+
+    const result = await lookupBookMetadata('9780306406157');
+
+    expect(result.error.code).toBe(ERROR_CODES.NETWORK_ERROR);
+    expect(result.error.message).toMatch(/book details service is unavailable/);
+  });
+});
+
+describe('setMetadataProvider', () => {
+  it('keeps the current provider when given an unknown name', async () => {
+    expect(() => setMetadataProvider('nope')).toThrow('Unknown metadata provider: nope');
+
+    expect(getMetadataProvider().name).toBe('fixture');
+    expect((await lookupBookMetadata('9780132350884')).success).toBe(true);
+  });
+});
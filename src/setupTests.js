@@ -0,0 +1,6 @@
+// Loaded by react-scripts before every test file
+import '@testing-library/jest-dom';
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom doesn't provide these; the MARC21 reader and writer need them
+Object.assign(global, { TextEncoder, TextDecoder });
@@ -0,0 +1,31 @@
+// Account standing for patrons and staff
+
+export const ACCOUNT_STATUS = {
+  ACTIVE: 'ACTIVE',
+  SUSPENDED: 'SUSPENDED',
+};
+
+export const ACCOUNT_STATUS_LABELS = {
+  [ACCOUNT_STATUS.ACTIVE]: 'Active',
+  [ACCOUNT_STATUS.SUSPENDED]: 'Suspended',
+};
+
+export const isSuspended = (account) => account?.status === ACCOUNT_STATUS.SUSPENDED;
+
+export const getAccountStatusVariant = (status) =>
+  (status === ACCOUNT_STATUS.SUSPENDED ? 'danger' : 'success');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Returns { field: message } for the admin profile form; as at registration,
+// both fields are optional
+export const validateProfile = ({ fullName, email }) => {
+  const errors = {};
+  if (fullName && fullName.trim().length > 100) {
+    errors.fullName = 'Full name must be 100 characters or fewer';
+  }
+  if (email && !EMAIL_PATTERN.test(email.trim())) {
+    errors.email = 'Please enter a valid email address';
+  }
+  return errors;
+};
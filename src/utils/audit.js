@@ -0,0 +1,91 @@
+// Audit log of admin changes. The server records an entry for every admin
+// mutation: { id, timestamp, actor, action, entityType, entityId,
+// entityLabel, before, after, reason }.
+
+export const AUDIT_ENTITY_TYPES = {
+  BOOK: 'BOOK',
+  COPY: 'COPY',
+  USER: 'USER',
+  BOOKING: 'BOOKING',
+};
+
+export const AUDIT_ENTITY_LABELS = {
+  [AUDIT_ENTITY_TYPES.BOOK]: 'Book',
+  [AUDIT_ENTITY_TYPES.COPY]: 'Copy',
+  [AUDIT_ENTITY_TYPES.USER]: 'User',
+  [AUDIT_ENTITY_TYPES.BOOKING]: 'Booking',
+};
+
+export const AUDIT_ACTIONS = {
+  CREATE: 'CREATE',
+  UPDATE: 'UPDATE',
+  QUANTITY: 'QUANTITY',
+  DELETE: 'DELETE',
+  RESTORE: 'RESTORE',
+  PURGE: 'PURGE',
+  RETURN: 'RETURN',
+};
+
+export const AUDIT_ACTION_LABELS = {
+  [AUDIT_ACTIONS.CREATE]: 'Created',
+  [AUDIT_ACTIONS.UPDATE]: 'Edited',
+  [AUDIT_ACTIONS.QUANTITY]: 'Quantity changed',
+  [AUDIT_ACTIONS.DELETE]: 'Deleted',
+  [AUDIT_ACTIONS.RESTORE]: 'Restored',
+  [AUDIT_ACTIONS.PURGE]: 'Purged',
+  [AUDIT_ACTIONS.RETURN]: 'Returned',
+};
+
+export const getAuditActionVariant = (action) => {
+  switch (action) {
+    case AUDIT_ACTIONS.CREATE:
+    case AUDIT_ACTIONS.RESTORE:
+      return 'success';
+    case AUDIT_ACTIONS.DELETE:
+    case AUDIT_ACTIONS.PURGE:
+      return 'danger';
+    case AUDIT_ACTIONS.RETURN:
+      return 'info';
+    default:
+      return 'secondary';
+  }
+};
+
+// Reasons the panel attaches on its own when there's no form to type one into
+export const AUDIT_REASONS = {
+  QUANTITY_EDIT: 'Inline quantity edit',
+  QUANTITY_UNDO: 'Undid an inline quantity edit',
+  QUANTITY_OVERWRITE: 'Overwrote a concurrent quantity edit',
+  MOVED_TO_TRASH: 'Moved to the Trash from the admin panel',
+  ADMIN_RETURN: 'Return processed in the admin panel',
+};
+
+// Bookkeeping fields that change on every save and would only add noise
+const IGNORED_FIELDS = ['version', 'updatedAt', 'createdAt'];
+
+export const formatAuditValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * The fields that differ between an entry's `before` and `after` snapshots:
+ * [{ field, before, after }]. A create has no `before` and a delete no
+ * `after`, so every field shows up once.
+ */
+export const diffAuditEntry = ({ before, after }) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .map((field) => ({ field, before: before?.[field], after: after?.[field] }))
+    .filter((change) => formatAuditValue(change.before) !== formatAuditValue(change.after));
+};
+
+export const formatActor = (entry) => entry.actor?.userName || entry.actor || 'system';
+
+// One line per change, for exports
+export const summarizeAuditChanges = (entry) =>
+  diffAuditEntry(entry)
+    .map(({ field, before, after }) => `${field}: ${formatAuditValue(before)} → ${formatAuditValue(after)}`)
+    .join('; ');
@@ -0,0 +1,207 @@
+// Avro-style phonetic typing and Latin <-> Bengali search normalization
+
+const VOWELS = {
+  o: { independent: 'অ', kar: '' },
+  a: { independent: 'আ', kar: 'া' },
+  i: { independent: 'ই', kar: 'ি' },
+  I: { independent: 'ঈ', kar: 'ী' },
+  ee: { independent: 'ঈ', kar: 'ী' },
+  u: { independent: 'উ', kar: 'ু' },
+  U: { independent: 'ঊ', kar: 'ূ' },
+  oo: { independent: 'ঊ', kar: 'ূ' },
+  rri: { independent: 'ঋ', kar: 'ৃ' },
+  e: { independent: 'এ', kar: 'ে' },
+  OI: { independent: 'ঐ', kar: 'ৈ' },
+  oi: { independent: 'ঐ', kar: 'ৈ' },
+  O: { independent: 'ও', kar: 'ো' },
+  OU: { independent: 'ঔ', kar: 'ৌ' },
+  ou: { independent: 'ঔ', kar: 'ৌ' },
+};
+
+const CONSONANTS = {
+  k: 'ক', kh: 'খ', g: 'গ', gh: 'ঘ', Ng: 'ঙ',
+  c: 'চ', ch: 'ছ', j: 'জ', jh: 'ঝ', NG: 'ঞ',
+  T: 'ট', Th: 'ঠ', D: 'ড', Dh: 'ঢ', N: 'ণ',
+  t: 'ত', th: 'থ', d: 'দ', dh: 'ধ', n: 'ন',
+  p: 'প', ph: 'ফ', f: 'ফ', b: 'ব', bh: 'ভ', v: 'ভ', m: 'ম',
+  z: 'য', r: 'র', l: 'ল', sh: 'শ', S: 'শ', Sh: 'ষ', s: 'স', h: 'হ',
+  R: 'ড়', Rh: 'ঢ়', y: 'য়', Y: 'য়', q: 'ক', x: 'ক্স',
+  kkh: 'ক্ষ', kSh: 'ক্ষ',
+};
+
+// y and w directly after a consonant become য-ফলা and ব-ফলা
+const PHOLA = { y: '্য', w: '্ব' };
+
+const SIGNS = {
+  ng: 'ং', '^': 'ঁ', ':': 'ঃ', 't`': 'ৎ', '.': '।', w: 'ও',
+};
+
+const BENGALI_DIGITS = '০১২৩৪৫৬৭৮৯';
+const HASANTA = '্';
+const MAX_TOKEN_LENGTH = 3;
+
+const lookup = (table, token) => table[token] ?? table[token.toLowerCase()];
+
+// Greedy longest match: exact case first (T, D, N, S, R, O, I, U are distinct), then lower case
+const matchToken = (input, start) => {
+  for (let length = MAX_TOKEN_LENGTH; length > 0; length -= 1) {
+    const token = input.slice(start, start + length);
+    if (token.length < length) continue;
+
+    for (const candidate of [token, token.toLowerCase()]) {
+      if (VOWELS[candidate]) return { type: 'vowel', token: candidate, length };
+      if (SIGNS[candidate] && candidate !== 'w') return { type: 'sign', token: candidate, length };
+      if (CONSONANTS[candidate] || PHOLA[candidate]) return { type: 'consonant', token: candidate, length };
+    }
+  }
+  return null;
+};
+
+/**
+ * Convert romanized (Avro phonetic) text to Bengali, e.g. "bangla" -> "বাংলা",
+ * "humayun" -> "হুমায়ুন". Characters with no mapping pass through unchanged.
+ */
+export const avroToBangla = (input) => {
+  let output = '';
+  let previous = 'start';
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/[0-9]/.test(char)) {
+      output += BENGALI_DIGITS[Number(char)];
+      previous = 'other';
+      i += 1;
+      continue;
+    }
+
+    const match = matchToken(input, i);
+    if (!match) {
+      output += char;
+      previous = 'other';
+      i += 1;
+      continue;
+    }
+
+    const { type, token, length } = match;
+
+    if (type === 'vowel') {
+      const vowel = lookup(VOWELS, token);
+      output += previous === 'consonant' ? vowel.kar : vowel.independent;
+      previous = 'vowel';
+    } else if (type === 'consonant') {
+      if (previous === 'consonant' && PHOLA[token]) {
+        output += PHOLA[token];
+      } else if (token === 'w') {
+        output += SIGNS.w;
+        previous = 'vowel';
+        i += length;
+        continue;
+      } else {
+        output += (previous === 'consonant' ? HASANTA : '') + lookup(CONSONANTS, token);
+      }
+      previous = 'consonant';
+    } else {
+      output += SIGNS[token];
+      previous = 'other';
+    }
+
+    i += length;
+  }
+
+  return output;
+};
+
+const BENGALI_PATTERN = /[ঀ-৿]/;
+
+export const containsBangla = (text) => BENGALI_PATTERN.test(text || '');
+
+// Converts the Latin word just before the caret (end of text) when the user
+// finishes it with a space or punctuation; earlier words are left alone
+export const commitPhoneticWord = (text) => {
+  return text.replace(/([A-Za-z^:`.]+)(\s*)$/, (whole, word, trailing) => avroToBangla(word) + trailing);
+};
+
+const ROMAN = {
+  'অ': 'o', 'আ': 'a', 'ই': 'i', 'ঈ': 'i', 'উ': 'u', 'ঊ': 'u', 'ঋ': 'ri',
+  'এ': 'e', 'ঐ': 'oi', 'ও': 'o', 'ঔ': 'ou',
+  'া': 'a', 'ি': 'i', 'ী': 'i', 'ু': 'u', 'ূ': 'u', 'ৃ': 'ri',
+  'ে': 'e', 'ৈ': 'oi', 'ো': 'o', 'ৌ': 'ou', 'ৗ': 'u',
+  'ক': 'k', 'খ': 'kh', 'গ': 'g', 'ঘ': 'gh', 'ঙ': 'ng',
+  'চ': 'c', 'ছ': 'ch', 'জ': 'j', 'ঝ': 'jh', 'ঞ': 'n',
+  'ট': 't', 'ঠ': 'th', 'ড': 'd', 'ঢ': 'dh', 'ণ': 'n',
+  'ত': 't', 'থ': 'th', 'দ': 'd', 'ধ': 'dh', 'ন': 'n',
+  'প': 'p', 'ফ': 'ph', 'ব': 'b', 'ভ': 'bh', 'ম': 'm',
+  'য': 'j', 'র': 'r', 'ল': 'l', 'শ': 'sh', 'ষ': 'sh', 'স': 's', 'হ': 'h',
+  'ৎ': 't',
+  'ং': 'ng', 'ঃ': 'h', 'ঁ': '', '্': '', '়': '', '।': '.',
+};
+
+// Rough Bengali -> Latin romanization; inherent vowels are not written
+export const romanizeBangla = (text) => {
+  // NFD splits য়/ড়/ঢ় into base + nukta; fold them back before mapping
+  const decomposed = (text || '')
+    .normalize('NFD')
+    .replace(/য\u09BC/g, 'y')
+    .replace(/ড\u09BC/g, 'r')
+    .replace(/ঢ\u09BC/g, 'rh');
+
+  return Array.from(decomposed)
+    .map((char) => {
+      const digit = BENGALI_DIGITS.indexOf(char);
+      if (digit !== -1) return String(digit);
+      return ROMAN[char] ?? char;
+    })
+    .join('');
+};
+
+const DIGRAPHS = [
+  ['chh', 'c'], ['ch', 'c'], ['kh', 'k'], ['gh', 'g'], ['jh', 'j'],
+  ['th', 't'], ['dh', 'd'], ['ph', 'f'], ['bh', 'b'], ['sh', 's'],
+  ['rh', 'r'], ['ng', 'n'], ['v', 'b'], ['z', 'j'], ['q', 'k'], ['x', 'ks'], ['w', ''],
+];
+
+const keyCache = new Map();
+const KEY_CACHE_LIMIT = 5000;
+
+/**
+ * Spelling-insensitive key shared by Latin and Bengali spellings: romanize,
+ * fold aspirated and sibilant variants, then drop vowels (which is where
+ * romanizations disagree most). "Humayun Ahmed" and "হুমায়ূন আহমেদ" both give "hmyn hmd".
+ */
+export const phoneticKey = (text) => {
+  const source = text || '';
+  if (keyCache.has(source)) return keyCache.get(source);
+
+  let key = (containsBangla(source) ? romanizeBangla(source) : source).toLowerCase();
+  DIGRAPHS.forEach(([from, to]) => {
+    key = key.split(from).join(to);
+  });
+  key = key
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/[aeiou]/g, '')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (keyCache.size >= KEY_CACHE_LIMIT) keyCache.clear();
+  keyCache.set(source, key);
+  return key;
+};
+
+// Keys this short match almost anything, so they are not used for fuzzy matching
+const MIN_KEY_LENGTH = 3;
+
+export const phoneticMatch = (text, query) => {
+  const queryKey = phoneticKey(query);
+  if (queryKey.replace(/\s/g, '').length < MIN_KEY_LENGTH) return false;
+  return phoneticKey(text).includes(queryKey);
+};
+
+// Books whose title or author (either script) matches `query` regardless of spelling
+export const findPhoneticMatches = (books, query) => {
+  return books.filter((book) =>
+    [book.title, book.author, book.authorBengali].some((field) => field && phoneticMatch(field, query))
+  );
+};
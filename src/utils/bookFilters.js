@@ -0,0 +1,122 @@
+// Client-side facet filtering and sorting for BookSearch results
+
+export const DEFAULT_FILTERS = {
+  genres: [],
+  authors: [],
+  yearFrom: '',
+  yearTo: '',
+  availableOnly: false,
+};
+
+export const SORT_OPTIONS = [
+  { value: 'availability', label: 'Most available' },
+  { value: 'title', label: 'Title (A–Z)' },
+  { value: 'author', label: 'Author (A–Z)' },
+  { value: 'yearDesc', label: 'Year (newest first)' },
+  { value: 'yearAsc', label: 'Year (oldest first)' },
+];
+
+export const DEFAULT_SORT = 'availability';
+
+const compareText = (a = '', b = '') => a.localeCompare(b, undefined, { sensitivity: 'base' });
+
+const SORTERS = {
+  availability: (a, b) => (b.quantity || 0) - (a.quantity || 0),
+  title: (a, b) => compareText(a.title, b.title),
+  author: (a, b) => compareText(a.author, b.author) || compareText(a.title, b.title),
+  yearDesc: (a, b) => (b.publishedYear || 0) - (a.publishedYear || 0),
+  yearAsc: (a, b) => (a.publishedYear || 0) - (b.publishedYear || 0),
+};
+
+// Each check ignores one facet so facet counts can be computed "as if" that facet were unset
+const matchesGenre = (book, filters) =>
+  filters.genres.length === 0 || filters.genres.includes(book.genre);
+
+const matchesAuthor = (book, filters) =>
+  filters.authors.length === 0 || filters.authors.includes(book.author);
+
+const matchesYear = (book, filters) => {
+  const year = book.publishedYear;
+  if (filters.yearFrom !== '' && (!year || year < Number(filters.yearFrom))) return false;
+  if (filters.yearTo !== '' && (!year || year > Number(filters.yearTo))) return false;
+  return true;
+};
+
+const matchesAvailability = (book, filters) => !filters.availableOnly || book.quantity > 0;
+
+const MATCHERS = {
+  genres: matchesGenre,
+  authors: matchesAuthor,
+  year: matchesYear,
+  availability: matchesAvailability,
+};
+
+const matchesAll = (book, filters, skip) =>
+  Object.entries(MATCHERS).every(([facet, matcher]) => facet === skip || matcher(book, filters));
+
+export const applyFilters = (books, filters) => books.filter((book) => matchesAll(book, filters));
+
+// Returns a new array; never sorts the caller's state in place
+export const sortBooks = (books, sortKey) => {
+  const sorter = SORTERS[sortKey] || SORTERS[DEFAULT_SORT];
+  return [...books].sort(sorter);
+};
+
+const countBy = (books, key) => {
+  const counts = books.reduce((acc, book) => {
+    const value = book[key];
+    if (value) acc[value] = (acc[value] || 0) + 1;
+    return acc;
+  }, {});
+
+  return Object.entries(counts)
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || compareText(a.value, b.value));
+};
+
+/**
+ * Facet values with counts. Each facet's counts respect every other active
+ * filter but not its own, so picking "Fiction" still shows how many
+ * "History" titles there are.
+ */
+export const computeFacets = (books, filters) => {
+  const years = books.map((book) => book.publishedYear).filter(Boolean);
+
+  return {
+    genres: countBy(books.filter((book) => matchesAll(book, filters, 'genres')), 'genre'),
+    authors: countBy(books.filter((book) => matchesAll(book, filters, 'authors')), 'author'),
+    availableCount: books.filter((book) => matchesAll(book, filters, 'availability') && book.quantity > 0).length,
+    yearRange: years.length > 0
+      ? { min: Math.min(...years), max: Math.max(...years) }
+      : null,
+  };
+};
+
+export const countActiveFilters = (filters) =>
+  filters.genres.length
+  + filters.authors.length
+  + (filters.yearFrom !== '' ? 1 : 0)
+  + (filters.yearTo !== '' ? 1 : 0)
+  + (filters.availableOnly ? 1 : 0);
+
+// URL <-> filter state, e.g. ?genre=Fiction&genre=History&from=2000&to=2009&available=1
+export const readFiltersFromParams = (params) => ({
+  genres: params.getAll('genre'),
+  authors: params.getAll('author'),
+  yearFrom: params.get('from') || '',
+  yearTo: params.get('to') || '',
+  availableOnly: params.get('available') === '1',
+});
+
+export const writeFiltersToParams = (params, filters) => {
+  const next = new URLSearchParams(params);
+  ['genre', 'author', 'from', 'to', 'available'].forEach((key) => next.delete(key));
+
+  filters.genres.forEach((genre) => next.append('genre', genre));
+  filters.authors.forEach((author) => next.append('author', author));
+  if (filters.yearFrom !== '') next.set('from', filters.yearFrom);
+  if (filters.yearTo !== '') next.set('to', filters.yearTo);
+  if (filters.availableOnly) next.set('available', '1');
+
+  return next;
+};
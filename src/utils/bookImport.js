@@ -0,0 +1,116 @@
+// Bulk catalogue import: file parsing, column mapping and per-row validation
+
+import { parseCsv } from './csv';
+import { validateBook } from './bookValidation';
+import { parseMarc21, parseMarcXml, marcRecordToBook } from './marc';
+import { normalizeIsbn } from './isbn';
+
+export const IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', required: true, aliases: ['title', 'book title', 'name', 'শিরোনাম', 'বইয়ের নাম'] },
+  { key: 'author', label: 'Author', required: true, aliases: ['author', 'author name', 'writer', 'লেখক'] },
+  { key: 'authorBengali', label: 'Author (Bengali)', aliases: ['authorbengali', 'author bengali', 'author (bengali)', 'bengali author', 'লেখক (বাংলা)'] },
+  { key: 'publishedYear', label: 'Published Year', required: true, aliases: ['publishedyear', 'published year', 'year', 'publication year', 'প্রকাশকাল'] },
+  { key: 'quantity', label: 'Quantity', required: true, aliases: ['quantity', 'qty', 'copies', 'count', 'সংখ্যা'] },
+  { key: 'isbn', label: 'ISBN', aliases: ['isbn', 'isbn13', 'isbn-13', 'isbn10', 'isbn-10'] },
+  { key: 'genre', label: 'Genre', aliases: ['genre', 'category', 'subject', 'ধরন'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'summary', 'notes', 'বিবরণ'] },
+];
+
+export const ACCEPTED_IMPORT_TYPES = '.csv,.xlsx,.mrc,.marc,.xml';
+
+// MARC carries no holdings count we rely on, so each title starts with one copy
+const MARC_DEFAULT_QUANTITY = '1';
+
+const normalizeHeader = (header) => String(header ?? '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+
+// MARC records become a table headed by the field keys, so the column
+// mapping step matches every field automatically
+const marcRecordsToTable = (records) => {
+  if (records.length === 0) {
+    throw new Error('No MARC records were found in the file.');
+  }
+  const keys = IMPORT_FIELDS.map((field) => field.key);
+  return [
+    keys,
+    ...records.map((record) => {
+      const book = { ...marcRecordToBook(record), quantity: MARC_DEFAULT_QUANTITY };
+      return keys.map((key) => book[key] ?? '');
+    }),
+  ];
+};
+
+/**
+ * Read an uploaded CSV, XLSX, MARC21 (.mrc) or MARCXML file into
+ * { headers, rows } where every row is an array of strings. XLSX support is
+ * loaded on demand.
+ */
+export const readImportFile = async (file) => {
+  const name = file.name.toLowerCase();
+  let table;
+
+  if (name.endsWith('.xlsx')) {
+    const { default: readXlsxFile } = await import('read-excel-file');
+    const sheet = await readXlsxFile(file);
+    table = sheet.map((row) => row.map((cell) => (cell === null || cell === undefined ? '' : String(cell))));
+  } else if (name.endsWith('.csv')) {
+    table = parseCsv(await file.text());
+  } else if (name.endsWith('.mrc') || name.endsWith('.marc')) {
+    table = marcRecordsToTable(parseMarc21(await file.arrayBuffer()));
+  } else if (name.endsWith('.xml')) {
+    table = marcRecordsToTable(parseMarcXml(await file.text()));
+  } else {
+    throw new Error('Please upload a .csv, .xlsx, .mrc or MARCXML (.xml) file.');
+  }
+
+  if (table.length < 2) {
+    throw new Error('The file needs a header row and at least one book.');
+  }
+
+  const [headers, ...rows] = table;
+  return { headers: headers.map((header) => String(header).trim()), rows };
+};
+
+// { fieldKey: columnIndex } for every field whose header we recognise
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const index = normalized.findIndex((header) => field.aliases.includes(header));
+    if (index !== -1) mapping[field.key] = index;
+    return mapping;
+  }, {});
+};
+
+export const missingRequiredFields = (mapping) =>
+  IMPORT_FIELDS.filter((field) => field.required && mapping[field.key] === undefined);
+
+/**
+ * Apply the column mapping and validate each row with the same rules as the
+ * book form. `rowNumber` is the spreadsheet row (header is row 1).
+ */
+export const buildImportRows = (rows, mapping) => {
+  return rows.map((cells, index) => {
+    const raw = IMPORT_FIELDS.reduce((acc, { key }) => {
+      const column = mapping[key];
+      acc[key] = column === undefined ? '' : String(cells[column] ?? '').trim();
+      return acc;
+    }, {});
+
+    const book = {
+      ...raw,
+      publishedYear: parseInt(raw.publishedYear, 10),
+      quantity: parseInt(raw.quantity, 10),
+      isbn: normalizeIsbn(raw.isbn),
+    };
+
+    return {
+      rowNumber: index + 2,
+      book,
+      errors: Object.values(validateBook(raw)),
+    };
+  });
+};
+
+export const buildErrorReportRows = (failures) => [
+  ['Row', 'Title', 'Author', 'Errors'],
+  ...failures.map(({ rowNumber, book, errors }) => [rowNumber, book.title, book.author, errors.join('; ')]),
+];
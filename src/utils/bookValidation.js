@@ -0,0 +1,36 @@
+// Catalogue record rules shared by the AdminPanel book form and the bulk importer
+
+import { isValidIsbn } from './isbn';
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Returns { field: message } for every problem with `book`, in form order.
+ * Numeric fields may be numbers or the strings a form/CSV produces.
+ */
+export const validateBook = (book) => {
+  const errors = {};
+
+  if (isBlank(book.title)) {
+    errors.title = 'Title is required';
+  }
+  if (isBlank(book.author)) {
+    errors.author = 'Author is required';
+  }
+
+  const year = Number(book.publishedYear);
+  if (isBlank(book.publishedYear) || !Number.isInteger(year) || year < 1000 || year > new Date().getFullYear()) {
+    errors.publishedYear = 'Valid published year is required';
+  }
+
+  const quantity = Number(book.quantity);
+  if (isBlank(book.quantity) || !Number.isInteger(quantity) || quantity < 0) {
+    errors.quantity = 'Valid quantity is required';
+  }
+
+  if (!isBlank(book.isbn) && !isValidIsbn(book.isbn)) {
+    errors.isbn = 'ISBN must be a valid ISBN-10 or ISBN-13';
+  }
+
+  return errors;
+};
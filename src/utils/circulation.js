@@ -0,0 +1,121 @@
+// Front desk checkout and check-in (the /desk screen): what to warn staff
+// about before a copy changes hands, and the receipt for the patron.
+
+import { DEFAULT_LOAN_POLICY } from './loanPolicy';
+import { isSuspended } from './accounts';
+import { COPY_STATUS, COPY_STATUS_LABELS, formatCopyLabel } from './copies';
+import { isOpenHold, HOLD_STATUS } from './holds';
+import { getLoanStatus, LOAN_STATES, formatFine } from './loanStatus';
+
+export const DESK_MODES = {
+  CHECKOUT: 'CHECKOUT',
+  CHECKIN: 'CHECKIN',
+};
+
+export const DESK_MODE_LABELS = {
+  [DESK_MODES.CHECKOUT]: 'Check Out',
+  [DESK_MODES.CHECKIN]: 'Check In',
+};
+
+// Audit reason sent with desk returns
+export const DESK_CHECKIN_REASON = 'Checked in at the circulation desk';
+
+// Scanners type the code followed by Enter (sometimes Tab or stray spaces)
+export const normalizeBarcode = (value) => String(value || '').replace(/\s+/g, '');
+
+const displayName = (user) => user?.fullName || user?.userName || 'another patron';
+
+// Open holds on a title in queue order
+const holdQueueFor = (holds, bookId) =>
+  holds
+    .filter((hold) => hold.book?.id === bookId && isOpenHold(hold))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+/**
+ * Problems with lending `copy` to `patron`: [{ level, message }]. A 'danger'
+ * entry blocks the checkout; 'warning' entries need staff to confirm.
+ * `loans` are the patron's active loans and `policy` is resolved for their role.
+ */
+export const getCheckoutWarnings = ({ patron, copy, loans, holds, policy = DEFAULT_LOAN_POLICY }) => {
+  const warnings = [];
+  const queue = holdQueueFor(holds, copy.book?.id);
+  const patronHold = queue.find((hold) => hold.user?.id === patron.id);
+
+  if (isSuspended(patron)) {
+    warnings.push({
+      level: 'danger',
+      message: `${displayName(patron)}'s account is suspended${patron.suspensionReason ? ` (${patron.suspensionReason})` : ''}.`,
+    });
+  }
+  if (loans.length >= policy.maxActiveLoans) {
+    warnings.push({
+      level: 'danger',
+      message: `${displayName(patron)} already has ${loans.length} of ${policy.maxActiveLoans} books out.`,
+    });
+  }
+
+  if (copy.status === COPY_STATUS.ON_HOLD_SHELF) {
+    if (!patronHold || patronHold.status !== HOLD_STATUS.READY) {
+      warnings.push({ level: 'warning', message: 'This copy is on the hold shelf for someone else.' });
+    }
+  } else if (copy.status !== COPY_STATUS.AVAILABLE) {
+    warnings.push({
+      level: 'danger',
+      message: `This copy is ${(COPY_STATUS_LABELS[copy.status] || copy.status).toLowerCase()} and can't be lent.`,
+    });
+  }
+
+  if (queue.length > 0 && queue[0].user?.id !== patron.id) {
+    warnings.push({
+      level: 'warning',
+      message: `${queue.length} hold(s) on "${copy.book?.title}"; ${displayName(queue[0].user)} is next in line.`,
+    });
+  }
+
+  const overdue = loans.filter((loan) => getLoanStatus(loan, policy).state === LOAN_STATES.OVERDUE);
+  if (overdue.length > 0) {
+    warnings.push({ level: 'warning', message: `${displayName(patron)} has ${overdue.length} overdue book(s).` });
+  }
+
+  return warnings;
+};
+
+export const isBlocking = (warnings) => warnings.some((warning) => warning.level === 'danger');
+
+/**
+ * What staff should know when `copy` comes back: [{ level, message }].
+ * Never blocking; a late return still gets checked in.
+ */
+export const getCheckinWarnings = ({ copy, holds, policy = DEFAULT_LOAN_POLICY }) => {
+  const warnings = [];
+  const loan = getLoanStatus(copy.activeBooking, policy);
+
+  if (loan.state === LOAN_STATES.OVERDUE) {
+    warnings.push({
+      level: 'warning',
+      message: `Returned ${loan.daysOverdue} day(s) late${loan.fine > 0 ? `; fine ${formatFine(loan.fine)}` : ''}.`,
+    });
+  }
+
+  const waiting = holdQueueFor(holds, copy.book?.id).filter((hold) => hold.status === HOLD_STATUS.WAITING);
+  if (waiting.length > 0) {
+    warnings.push({
+      level: 'info',
+      message: `Put this copy on the hold shelf for ${displayName(waiting[0].user)}.`,
+    });
+  }
+
+  return warnings;
+};
+
+export const RECEIPT_COLUMNS = [
+  { key: 'action', header: 'Action', value: (item) => DESK_MODE_LABELS[item.action] },
+  { key: 'title', header: 'Title', value: (item) => item.book?.title },
+  { key: 'copy', header: 'Copy', value: (item) => formatCopyLabel(item.copy) },
+  { key: 'dueDate', header: 'Due', value: (item) => (item.dueDate ? new Date(item.dueDate).toLocaleDateString() : '') },
+  { key: 'fine', header: 'Fine', value: (item) => (item.fine > 0 ? formatFine(item.fine) : '') },
+];
+
+// The receipt's lines for one patron out of the desk session
+export const getReceiptItems = (session, patron) =>
+  patron ? session.filter((item) => item.patron?.id === patron.id) : [];
@@ -0,0 +1,118 @@
+// Physical copy (item) records: each book has copies with their own
+// accession number, barcode, condition, shelf location and status.
+
+export const COPY_STATUS = {
+  AVAILABLE: 'AVAILABLE',
+  ON_LOAN: 'ON_LOAN',
+  ON_HOLD_SHELF: 'ON_HOLD_SHELF',
+  IN_REPAIR: 'IN_REPAIR',
+  DAMAGED: 'DAMAGED',
+  LOST: 'LOST',
+  WITHDRAWN: 'WITHDRAWN',
+};
+
+export const COPY_STATUS_LABELS = {
+  [COPY_STATUS.AVAILABLE]: 'Available',
+  [COPY_STATUS.ON_LOAN]: 'On loan',
+  [COPY_STATUS.ON_HOLD_SHELF]: 'On hold shelf',
+  [COPY_STATUS.IN_REPAIR]: 'In repair',
+  [COPY_STATUS.DAMAGED]: 'Damaged',
+  [COPY_STATUS.LOST]: 'Lost',
+  [COPY_STATUS.WITHDRAWN]: 'Withdrawn',
+};
+
+// Circulation sets these when a copy is lent or reserved; staff can't pick them
+export const CIRCULATION_STATUSES = [COPY_STATUS.ON_LOAN, COPY_STATUS.ON_HOLD_SHELF];
+
+export const EDITABLE_COPY_STATUSES = Object.values(COPY_STATUS)
+  .filter((status) => !CIRCULATION_STATUSES.includes(status));
+
+export const COPY_CONDITIONS = ['NEW', 'GOOD', 'FAIR', 'POOR'];
+
+export const COPY_CONDITION_LABELS = {
+  NEW: 'New',
+  GOOD: 'Good',
+  FAIR: 'Fair',
+  POOR: 'Poor',
+};
+
+export const EMPTY_COPY = {
+  accessionNumber: '',
+  barcode: '',
+  condition: 'GOOD',
+  shelfLocation: '',
+  status: COPY_STATUS.AVAILABLE,
+};
+
+export const isInCirculation = (copy) => CIRCULATION_STATUSES.includes(copy.status);
+
+export const getCopyStatusVariant = (status) => {
+  switch (status) {
+    case COPY_STATUS.AVAILABLE: return 'success';
+    case COPY_STATUS.ON_LOAN: return 'primary';
+    case COPY_STATUS.ON_HOLD_SHELF: return 'info';
+    case COPY_STATUS.IN_REPAIR:
+    case COPY_STATUS.DAMAGED: return 'warning';
+    case COPY_STATUS.LOST: return 'danger';
+    default: return 'secondary';
+  }
+};
+
+// A book's lendable quantity is the number of copies on the shelf
+export const deriveQuantity = (copies) =>
+  copies.filter((copy) => copy.status === COPY_STATUS.AVAILABLE).length;
+
+// Books without copy records still use the hand-entered quantity
+export const hasTrackedCopies = (book) => (book.copyCount || 0) > 0;
+
+// "ACC-0012 · 8901234567890", or whichever of the two exists
+export const formatCopyLabel = (copy) =>
+  copy ? [copy.accessionNumber, copy.barcode].filter(Boolean).join(' · ') : '';
+
+/**
+ * Next accession number after the highest existing one, keeping its prefix
+ * and zero padding ("LIB-0041" -> "LIB-0042"). Starts at `${prefix}0001`.
+ */
+export const suggestAccessionNumber = (copies, prefix = 'ACC-') => {
+  const numbered = copies
+    .map((copy) => String(copy.accessionNumber || '').match(/^(.*?)(\d+)$/))
+    .filter(Boolean)
+    .sort((a, b) => Number(b[2]) - Number(a[2]));
+
+  if (numbered.length === 0) return `${prefix}0001`;
+
+  const [, lastPrefix, digits] = numbered[0];
+  return lastPrefix + String(Number(digits) + 1).padStart(digits.length, '0');
+};
+
+const isBlank = (value) => String(value ?? '').trim() === '';
+
+const sameValue = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+/**
+ * Returns { field: message } for `copy`. Accession numbers and barcodes must
+ * be unique among `otherCopies` (the server also checks across the library).
+ */
+export const validateCopy = (copy, otherCopies = []) => {
+  const errors = {};
+
+  if (isBlank(copy.accessionNumber)) {
+    errors.accessionNumber = 'Accession number is required';
+  } else if (otherCopies.some((other) => sameValue(other.accessionNumber, copy.accessionNumber))) {
+    errors.accessionNumber = 'Another copy already has this accession number';
+  }
+
+  if (!isBlank(copy.barcode)) {
+    if (!/^[A-Za-z0-9-]+$/.test(String(copy.barcode).trim())) {
+      errors.barcode = 'Barcodes may only contain letters, digits and hyphens';
+    } else if (otherCopies.some((other) => sameValue(other.barcode, copy.barcode))) {
+      errors.barcode = 'Another copy already has this barcode';
+    }
+  }
+
+  if (!COPY_CONDITIONS.includes(copy.condition)) {
+    errors.condition = 'Choose a condition';
+  }
+
+  return errors;
+};
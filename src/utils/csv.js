@@ -0,0 +1,70 @@
+// Minimal RFC 4180 CSV reading and writing (quoted fields, embedded commas,
+// quotes and newlines). Good enough for spreadsheet exports; no streaming.
+
+import { downloadFile } from './download';
+
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // Excel adds a byte-order mark to UTF-8 exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines (a trailing newline, spacer rows)
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+// Spreadsheets run text starting with these as a formula (CSV injection),
+// so such cells get a leading apostrophe, which Excel shows as plain text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Numbers are ours, not user text, and a negative one must stay a number
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map((row) => row.map(escapeCell).join(',')).join('\r\n');
+
+// Prefixed with a BOM so Excel opens Bangla text as UTF-8
+export const downloadCsv = (rows, filename) => {
+  downloadFile(['\uFEFF', toCsv(rows)], filename, 'text/csv;charset=utf-8');
+};
@@ -0,0 +1,12 @@
+// Save generated content as a file via a temporary object URL
+export const downloadFile = (parts, filename, type) => {
+  const blob = new Blob(Array.isArray(parts) ? parts : [parts], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,129 @@
+// Export table data as CSV, JSON or a printable (save-as-PDF) report.
+// `columns` is [{ key, header, value: (record) => any }].
+
+import { downloadCsv } from './csv';
+import { downloadFile } from './download';
+import { bookToMarcRecord, serializeMarc21, serializeMarcXml } from './marc';
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV (Excel)' },
+  { value: 'json', label: 'JSON' },
+  { value: 'pdf', label: 'PDF report' },
+];
+
+// Catalogue records only: MARC formats ignore `columns` and map whole books
+export const BOOK_EXPORT_FORMATS = [
+  ...EXPORT_FORMATS,
+  { value: 'marc21', label: 'MARC21 (.mrc)' },
+  { value: 'marcxml', label: 'MARCXML' },
+];
+
+export const cellValue = (column, record) => {
+  const value = column.value ? column.value(record) : record[column.key];
+  return value === null || value === undefined ? '' : value;
+};
+
+const timestamp = () => new Date().toISOString().slice(0, 10);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Open the window a PDF report will be written into. Call it straight from
+ * the click handler: once records have been awaited the click no longer
+ * counts as user activation and pop-up blockers stop the window.
+ */
+export const openReportWindow = () => {
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) {
+    throw new Error('Allow pop-ups for this site to create the PDF report.');
+  }
+  reportWindow.document.write(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Preparing report...</title></head>
+<body style="font-family: sans-serif; margin: 24px; color: #6c757d">Preparing the report...</body></html>`);
+  reportWindow.document.close();
+  return reportWindow;
+};
+
+/**
+ * The PDF is produced by the browser's print dialog ("Save as PDF") rather
+ * than a JS PDF library: those don't shape Bengali conjuncts and vowel signs,
+ * while the browser's text engine does, using Noto Sans Bengali.
+ */
+const openPrintableReport = ({ title, columns, records, reportWindow = openReportWindow() }) => {
+  const head = columns.map((column) => `<th>${escapeHtml(column.header)}</th>`).join('');
+  const body = records
+    .map((record) => `<tr>${columns.map((column) => `<td>${escapeHtml(cellValue(column, record))}</td>`).join('')}</tr>`)
+    .join('');
+
+  reportWindow.document.write(`<!DOCTYPE html>
+<html lang="bn">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Noto+Sans+Bengali:wght@400;700&family=Noto+Sans:wght@400;700&display=swap">
+<style>
+  body { font-family: 'Noto Sans', 'Noto Sans Bengali', 'Nirmala UI', 'Vrinda', sans-serif; margin: 24px; color: #212529; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  p { color: #6c757d; font-size: 12px; margin: 0 0 16px; }
+  table { border-collapse: collapse; width: 100%; font-size: 11px; }
+  th, td { border: 1px solid #dee2e6; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f1f3f5; }
+  tr { page-break-inside: avoid; }
+  @page { margin: 12mm; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Smart Library · ${records.length} record(s) · generated ${escapeHtml(new Date().toLocaleString())}</p>
+<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>
+</body>
+</html>`);
+  reportWindow.document.close();
+
+  // Wait for the stylesheet and then the web fonts, otherwise the first
+  // print can fall back to a font without Bengali glyphs
+  reportWindow.addEventListener('load', () => {
+    const fontsReady = reportWindow.document.fonts?.ready || Promise.resolve();
+    fontsReady.then(() => {
+      reportWindow.focus();
+      reportWindow.print();
+    });
+  });
+};
+
+// `reportWindow` is one already opened with openReportWindow(), for PDF
+// reports whose records had to be loaded first
+export const exportRecords = ({ format, filename, title, columns, records, reportWindow }) => {
+  const baseName = `${filename}-${timestamp()}`;
+
+  switch (format) {
+    case 'csv':
+      downloadCsv(
+        [columns.map((column) => column.header), ...records.map((record) => columns.map((column) => cellValue(column, record)))],
+        `${baseName}.csv`
+      );
+      break;
+    case 'json': {
+      const rows = records.map((record) =>
+        columns.reduce((acc, column) => ({ ...acc, [column.key]: cellValue(column, record) }), {})
+      );
+      downloadFile(JSON.stringify(rows, null, 2), `${baseName}.json`, 'application/json;charset=utf-8');
+      break;
+    }
+    case 'pdf':
+      openPrintableReport({ title, columns, records, reportWindow });
+      break;
+    case 'marc21':
+      downloadFile(serializeMarc21(records.map(bookToMarcRecord)), `${baseName}.mrc`, 'application/marc');
+      break;
+    case 'marcxml':
+      downloadFile(serializeMarcXml(records.map(bookToMarcRecord)), `${baseName}.xml`, 'application/marcxml+xml;charset=utf-8');
+      break;
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
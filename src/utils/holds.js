@@ -0,0 +1,61 @@
+// Hold (waitlist) queue helpers shared by BookSearch, UserBookings and AdminPanel
+
+export const HOLD_STATUS = {
+  WAITING: 'WAITING',
+  READY: 'READY',
+  FULFILLED: 'FULFILLED',
+  EXPIRED: 'EXPIRED',
+  CANCELLED: 'CANCELLED',
+};
+
+// How long a patron has to collect a copy once they reach the front of the queue
+export const HOLD_PICKUP_DAYS = 3;
+
+export const isOpenHold = (hold) =>
+  hold.status === HOLD_STATUS.WAITING || hold.status === HOLD_STATUS.READY;
+
+// First come, first served: oldest request first
+const byPlacedDate = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+/**
+ * Open holds grouped per title in queue order:
+ * [{ book, holds: [...] }], busiest queues first.
+ */
+export const groupHoldsByBook = (holds) => {
+  const queues = new Map();
+  holds.filter(isOpenHold).forEach((hold) => {
+    const bookId = hold.book?.id;
+    if (!queues.has(bookId)) queues.set(bookId, { book: hold.book, holds: [] });
+    queues.get(bookId).holds.push(hold);
+  });
+
+  return [...queues.values()]
+    .map((queue) => ({ ...queue, holds: [...queue.holds].sort(byPlacedDate) }))
+    .sort((a, b) => b.holds.length - a.holds.length);
+};
+
+export const countWaiting = (holds, bookId) =>
+  holds.filter((hold) => hold.book?.id === bookId && hold.status === HOLD_STATUS.WAITING).length;
+
+export const getHoldStatusVariant = (status) => {
+  switch (status) {
+    case HOLD_STATUS.WAITING: return 'warning';
+    case HOLD_STATUS.READY: return 'success';
+    case HOLD_STATUS.FULFILLED: return 'primary';
+    default: return 'secondary';
+  }
+};
+
+export const formatPickupDeadline = (hold) => {
+  if (!hold?.pickupExpiresAt) return '';
+  return new Date(hold.pickupExpiresAt).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+// Staff-facing note for the hold a return just promoted
+export const describePromotedHold = (hold) =>
+  `${hold.user?.userName || 'The next patron'} has been notified and has until ` +
+  `${formatPickupDeadline(hold) || `${HOLD_PICKUP_DAYS} days from now`} to pick it up.`;
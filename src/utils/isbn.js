@@ -0,0 +1,53 @@
+// ISBN-10 / ISBN-13 checksums, normalization and duplicate detection
+
+// Strip hyphens and spaces; a trailing x check digit becomes X
+export const cleanIsbn = (value) => String(value ?? '').replace(/[\s-]/g, '').toUpperCase();
+
+export const isValidIsbn10 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+  // Weights 10..1; X stands for 10 and is only allowed as the check digit
+  const sum = isbn.split('').reduce((acc, char, index) => {
+    const digit = char === 'X' ? 10 : Number(char);
+    return acc + digit * (10 - index);
+  }, 0);
+  return sum % 11 === 0;
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = first12.split('').reduce((acc, char, index) => acc + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+export const isValidIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+};
+
+export const isValidIsbn = (value) => isValidIsbn10(value) || isValidIsbn13(value);
+
+// ISBN-10s all live under the 978 prefix with a recomputed check digit
+export const isbn10To13 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (!isValidIsbn10(isbn)) return null;
+  const first12 = `978${isbn.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+};
+
+/**
+ * Canonical form used for storage and comparison: a valid ISBN becomes its
+ * 13-digit form without hyphens; anything else is just cleaned.
+ */
+export const normalizeIsbn = (value) => {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  return isbn10To13(isbn) || isbn;
+};
+
+// The first other book with the same ISBN, comparing ISBN-10s and -13s alike
+export const findDuplicateIsbn = (value, books, excludeId = null) => {
+  const isbn = normalizeIsbn(value);
+  if (!isbn) return null;
+  return books.find((book) => book.id !== excludeId && book.isbn && normalizeIsbn(book.isbn) === isbn) || null;
+};
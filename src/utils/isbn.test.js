@@ -0,0 +1,87 @@
+import {
+  cleanIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isValidIsbn,
+  isbn10To13,
+  normalizeIsbn,
+  findDuplicateIsbn
+} from './isbn';
+
+describe('cleanIsbn', () => {
+  it('strips hyphens and spaces and upper-cases the check digit', () => {
+    expect(cleanIsbn(' 0-8044-2957-x ')).toBe('080442957X');
+    expect(cleanIsbn(null)).toBe('');
+  });
+});
+
+describe('checksums', () => {
+  it('accepts valid ISBN-10s, including an X check digit', () => {
+    expect(isValidIsbn10('0-306-40615-2')).toBe(true);
+    expect(isValidIsbn10('080442957X')).toBe(true);
+  });
+
+  it('rejects ISBN-10s with a wrong check digit or a misplaced X', () => {
+    expect(isValidIsbn10('0306406153')).toBe(false);
+    expect(isValidIsbn10('X306406152')).toBe(false);
+    expect(isValidIsbn10('030640615')).toBe(false);
+  });
+
+  it('accepts valid ISBN-13s and rejects bad check digits and prefixes', () => {
+    expect(isValidIsbn13('978-0-306-40615-7')).toBe(true);
+    expect(isValidIsbn13('9780306406158')).toBe(false);
+    expect(isValidIsbn13('9770306406157')).toBe(false);
+  });
+
+  it('accepts either length', () => {
+    expect(isValidIsbn('0306406152')).toBe(true);
+    expect(isValidIsbn('9780306406157')).toBe(true);
+    expect(isValidIsbn('not an isbn')).toBe(false);
+  });
+});
+
+describe('isbn10To13', () => {
+  it('adds the 978 prefix and recomputes the check digit', () => {
+    expect(isbn10To13('0-306-40615-2')).toBe('9780306406157');
+    expect(isbn10To13('080442957X')).toBe('9780804429573');
+  });
+
+  it('returns null for anything that is not a valid ISBN-10', () => {
+    expect(isbn10To13('0306406153')).toBeNull();
+    expect(isbn10To13('9780306406157')).toBeNull();
+  });
+});
+
+describe('normalizeIsbn', () => {
+  it('turns valid ISBNs into hyphen-free ISBN-13s', () => {
+    expect(normalizeIsbn('0-306-40615-2')).toBe('9780306406157');
+    expect(normalizeIsbn('978-0-306-40615-7')).toBe('9780306406157');
+  });
+
+  it('only cleans invalid input', () => {
+    expect(normalizeIsbn('12-34 5')).toBe('12345');
+    expect(normalizeIsbn('')).toBe('');
+  });
+});
+
+describe('findDuplicateIsbn', () => {
+  const books = [
+    { id: 1, isbn: '0-306-40615-2' },
+    { id: 2, isbn: '' },
+    { id: 3, isbn: '9780804429573' }
+  ];
+
+  it('matches an ISBN-13 against a stored ISBN-10 and vice versa', () => {
+    expect(findDuplicateIsbn('9780306406157', books)).toBe(books[0]);
+    expect(findDuplicateIsbn('080442957x', books)).toBe(books[2]);
+  });
+
+  it('skips the book being edited', () => {
+    expect(findDuplicateIsbn('0306406152', books, 1)).toBeNull();
+  });
+
+  it('never matches blank ISBNs', () => {
+    expect(findDuplicateIsbn('', books)).toBeNull();
+    expect(findDuplicateIsbn('9781234567897', books)).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+// Library lending rules. The server enforces them; the client uses the same
+// numbers to explain up front why an action isn't available.
+
+import { ROLES } from './permissions';
+import { isSuspended } from './accounts';
+
+// Used until the server's policy has loaded, or if it can't be reached
+export const DEFAULT_LOAN_POLICY = {
+  loanPeriodDays: 14,
+  renewalPeriodDays: 14,
+  maxRenewals: 2,
+  maxActiveLoans: 5,
+  // Fines are in taka and start accruing once the grace period has passed
+  finePerDay: 5,
+  gracePeriodDays: 1,
+  maxFine: 200,
+};
+
+// Editable rules, in the order the Policies tab shows them
+export const POLICY_FIELDS = [
+  { key: 'loanPeriodDays', label: 'Loan length', unit: 'days', min: 1 },
+  { key: 'renewalPeriodDays', label: 'Renewal extends by', unit: 'days', min: 1 },
+  { key: 'maxRenewals', label: 'Max renewals per loan', unit: 'renewals', min: 0 },
+  { key: 'maxActiveLoans', label: 'Max simultaneous loans', unit: 'books', min: 1 },
+  { key: 'finePerDay', label: 'Fine per day', unit: '৳', min: 0 },
+  { key: 'gracePeriodDays', label: 'Grace period', unit: 'days', min: 0 },
+  { key: 'maxFine', label: 'Fine cap per loan (0 = no cap)', unit: '৳', min: 0 },
+];
+
+// Roles that can be given their own overrides, e.g. longer loans for staff
+export const OVERRIDABLE_ROLES = [ROLES.LIBRARIAN, ROLES.ADMIN, ROLES.USER];
+
+/**
+ * The rules that apply to one role: the base policy with that role's
+ * overrides on top. The server sends `{ ...rules, roleOverrides: { ROLE_X: {...} } }`,
+ * where a null override means "inherit the base rule".
+ */
+export const resolvePolicy = (policy, role) => {
+  const { roleOverrides, ...base } = policy || DEFAULT_LOAN_POLICY;
+  const overrides = Object.entries(roleOverrides?.[role] || {})
+    .filter(([, value]) => value !== null && value !== undefined);
+  return { ...DEFAULT_LOAN_POLICY, ...base, ...Object.fromEntries(overrides) };
+};
+
+/**
+ * Field-level problems in a policy being edited, as { field: message }.
+ * The library defaults need every field; a role's overrides may leave any
+ * blank (`allowBlank`) to inherit the default.
+ */
+export const validatePolicy = (rules, { allowBlank = false } = {}) => {
+  return POLICY_FIELDS.reduce((errors, { key, label, min }) => {
+    const value = rules[key];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      if (!allowBlank) errors[key] = `${label} is required`;
+      return errors;
+    }
+    if (!Number.isInteger(Number(value)) || Number(value) < min) {
+      errors[key] = `${label} must be a whole number of at least ${min}`;
+    }
+    return errors;
+  }, {});
+};
+
+export const BOOKING_REFUSALS = {
+  LOAN_LIMIT_REACHED: 'LOAN_LIMIT_REACHED',
+  ACCOUNT_SUSPENDED: 'ACCOUNT_SUSPENDED',
+};
+
+// `account` is the patron's { status, suspensionReason } (or the refusal's details)
+export const describeBookingRefusal = (reason, policy = DEFAULT_LOAN_POLICY, account = null) => {
+  switch (reason) {
+    case BOOKING_REFUSALS.LOAN_LIMIT_REACHED:
+      return `You already have ${policy.maxActiveLoans} books out, which is the most you can borrow at once. Return one to book another.`;
+    case BOOKING_REFUSALS.ACCOUNT_SUSPENDED:
+      return `Your account is suspended${account?.suspensionReason ? ` (${account.suspensionReason})` : ''}, so you can't book books right now. Please contact the library desk.`;
+    default:
+      return null;
+  }
+};
+
+// Pre-check before booking; `activeLoanCount` is the patron's books currently out
+export const checkBooking = (activeLoanCount, policy = DEFAULT_LOAN_POLICY, account = null) => {
+  let reason = null;
+  if (isSuspended(account)) {
+    reason = BOOKING_REFUSALS.ACCOUNT_SUSPENDED;
+  } else if (activeLoanCount >= policy.maxActiveLoans) {
+    reason = BOOKING_REFUSALS.LOAN_LIMIT_REACHED;
+  }
+  return { allowed: reason === null, reason, message: describeBookingRefusal(reason, policy, account) };
+};
+
+// Reasons the server (or the pre-check below) can give for refusing a renewal
+export const RENEWAL_REFUSALS = {
+  LIMIT_REACHED: 'RENEWAL_LIMIT_REACHED',
+  HOLD_PENDING: 'HOLD_PENDING',
+  NOT_ACTIVE: 'LOAN_NOT_ACTIVE',
+};
+
+export const describeRenewalRefusal = (reason, policy = DEFAULT_LOAN_POLICY) => {
+  switch (reason) {
+    case RENEWAL_REFUSALS.LIMIT_REACHED:
+      return `This loan has already been renewed the maximum of ${policy.maxRenewals} times. Please return it by the due date.`;
+    case RENEWAL_REFUSALS.HOLD_PENDING:
+      return 'Another patron is waiting for this title, so it can\'t be renewed. Please return it by the due date.';
+    case RENEWAL_REFUSALS.NOT_ACTIVE:
+      return 'Only books you currently have out can be renewed.';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Client-side pre-check so the Renew button can be disabled with a reason.
+ * Returns { allowed, reason, message }.
+ */
+export const checkRenewal = (booking, policy = DEFAULT_LOAN_POLICY) => {
+  let reason = null;
+  if (booking.status !== 'ACTIVE') {
+    reason = RENEWAL_REFUSALS.NOT_ACTIVE;
+  } else if ((booking.renewalCount || 0) >= policy.maxRenewals) {
+    reason = RENEWAL_REFUSALS.LIMIT_REACHED;
+  } else if (booking.holdPending) {
+    reason = RENEWAL_REFUSALS.HOLD_PENDING;
+  }
+
+  return { allowed: reason === null, reason, message: describeRenewalRefusal(reason, policy) };
+};
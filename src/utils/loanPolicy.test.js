@@ -0,0 +1,35 @@
+import { DEFAULT_LOAN_POLICY, resolvePolicy, checkBooking } from './loanPolicy';
+import { ROLES } from './permissions';
+
+describe('resolvePolicy', () => {
+  const policy = {
+    ...DEFAULT_LOAN_POLICY,
+    loanPeriodDays: 21,
+    roleOverrides: {
+      [ROLES.LIBRARIAN]: { loanPeriodDays: 60, maxActiveLoans: null, finePerDay: undefined, maxFine: 0 }
+    }
+  };
+
+  it('puts a role\'s overrides on top of the base rules', () => {
+    expect(resolvePolicy(policy, ROLES.LIBRARIAN)).toMatchObject({ loanPeriodDays: 60, maxFine: 0 });
+  });
+
+  it('inherits the base rule where an override is null or missing', () => {
+    const librarian = resolvePolicy(policy, ROLES.LIBRARIAN);
+
+    expect(librarian.maxActiveLoans).toBe(DEFAULT_LOAN_POLICY.maxActiveLoans);
+    expect(librarian.finePerDay).toBe(DEFAULT_LOAN_POLICY.finePerDay);
+    expect(checkBooking(0, librarian).allowed).toBe(true);
+  });
+
+  it('uses the base rules for roles without overrides', () => {
+    const { roleOverrides, ...base } = policy;
+
+    expect(resolvePolicy(policy, ROLES.USER)).toEqual(base);
+    expect(resolvePolicy({ ...base, roleOverrides: null }, ROLES.LIBRARIAN)).toEqual(base);
+  });
+
+  it('falls back to the library defaults without a policy', () => {
+    expect(resolvePolicy(null, ROLES.USER)).toEqual(DEFAULT_LOAN_POLICY);
+  });
+});
@@ -0,0 +1,154 @@
+// Due dates, countdowns and fines for a booking, computed from the loan policy.
+// UserBookings, Dashboard and AdminPanel all read loan state through here.
+
+import { DEFAULT_LOAN_POLICY, resolvePolicy } from './loanPolicy';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Loans due within this many days get a warning badge
+export const DUE_SOON_DAYS = 3;
+
+export const LOAN_STATES = {
+  ON_LOAN: 'ON_LOAN',
+  DUE_SOON: 'DUE_SOON',
+  OVERDUE: 'OVERDUE',
+  RETURNED: 'RETURNED',
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Whole calendar days from `from` to `to` (negative when `to` is earlier)
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+// The server's dueDate wins; older bookings without one get it derived from the policy
+export const getDueDate = (booking, policy = DEFAULT_LOAN_POLICY) => {
+  if (booking.dueDate) return new Date(booking.dueDate);
+  if (!booking.bookingDate) return null;
+
+  const due = new Date(booking.bookingDate);
+  const days = policy.loanPeriodDays + (booking.renewalCount || 0) * policy.renewalPeriodDays;
+  due.setDate(due.getDate() + days);
+  return due;
+};
+
+// When a loan started now would be due, for telling patrons before they book
+export const getNewLoanDueDate = (policy = DEFAULT_LOAN_POLICY, from = new Date()) => {
+  const due = new Date(from);
+  due.setDate(due.getDate() + policy.loanPeriodDays);
+  return due;
+};
+
+export const calculateFine = (daysOverdue, policy = DEFAULT_LOAN_POLICY) => {
+  const chargeableDays = Math.max(0, daysOverdue - policy.gracePeriodDays);
+  const fine = chargeableDays * policy.finePerDay;
+  return policy.maxFine > 0 ? Math.min(fine, policy.maxFine) : fine;
+};
+
+/**
+ * Everything the UI needs to show about one loan:
+ * { state, dueDate, daysRemaining, daysOverdue, fine }.
+ * Returned loans are measured against their return date, so a late
+ * return keeps the fine it accrued.
+ */
+export const getLoanStatus = (booking, policy = DEFAULT_LOAN_POLICY, now = new Date()) => {
+  const dueDate = getDueDate(booking, policy);
+  const returned = booking.status === 'RETURNED';
+  const endDate = returned && booking.returnDate ? new Date(booking.returnDate) : now;
+
+  if (!dueDate) {
+    return {
+      state: returned ? LOAN_STATES.RETURNED : LOAN_STATES.ON_LOAN,
+      dueDate: null,
+      daysRemaining: null,
+      daysOverdue: 0,
+      fine: 0,
+    };
+  }
+
+  const daysLeft = daysBetween(endDate, dueDate);
+  const daysOverdue = Math.max(0, -daysLeft);
+
+  let state = LOAN_STATES.ON_LOAN;
+  if (returned) state = LOAN_STATES.RETURNED;
+  else if (daysOverdue > 0 || booking.status === 'OVERDUE') state = LOAN_STATES.OVERDUE;
+  else if (daysLeft <= DUE_SOON_DAYS) state = LOAN_STATES.DUE_SOON;
+
+  return {
+    state,
+    dueDate,
+    daysRemaining: returned ? null : Math.max(0, daysLeft),
+    daysOverdue,
+    fine: calculateFine(daysOverdue, policy),
+  };
+};
+
+export const isOverdue = (booking, policy = DEFAULT_LOAN_POLICY, now = new Date()) =>
+  getLoanStatus(booking, policy, now).state === LOAN_STATES.OVERDUE;
+
+export const getCountdownLabel = (status) => {
+  switch (status.state) {
+    case LOAN_STATES.RETURNED:
+      return status.daysOverdue > 0 ? `Returned ${status.daysOverdue} day(s) late` : 'Returned on time';
+    case LOAN_STATES.OVERDUE:
+      return `${status.daysOverdue} day(s) overdue`;
+    default:
+      if (status.daysRemaining === null) return 'No due date';
+      if (status.daysRemaining === 0) return 'Due today';
+      if (status.daysRemaining === 1) return 'Due tomorrow';
+      return `Due in ${status.daysRemaining} days`;
+  }
+};
+
+export const getCountdownVariant = (status) => {
+  switch (status.state) {
+    case LOAN_STATES.OVERDUE: return 'danger';
+    case LOAN_STATES.DUE_SOON: return 'warning';
+    case LOAN_STATES.RETURNED: return status.daysOverdue > 0 ? 'secondary' : 'primary';
+    default: return 'success';
+  }
+};
+
+/**
+ * Fines across a set of bookings. `accruing` is still growing on loans that
+ * are out and overdue; `owed` is fixed on late returns not yet marked paid.
+ */
+export const summarizeFines = (bookings, policy = DEFAULT_LOAN_POLICY, now = new Date()) => {
+  return bookings.reduce((summary, booking) => {
+    const status = getLoanStatus(booking, policy, now);
+
+    if (status.state === LOAN_STATES.OVERDUE) {
+      summary.accruing += status.fine;
+      summary.overdueCount += 1;
+    } else if (status.fine > 0 && !booking.finePaid) {
+      summary.owed += status.fine;
+    }
+    summary.total = summary.accruing + summary.owed;
+    return summary;
+  }, { accruing: 0, owed: 0, total: 0, overdueCount: 0 });
+};
+
+// Per-patron totals for staff, largest balance first: [{ user, ...summary }].
+// `policy` may carry roleOverrides; each patron is measured against their own role's rules.
+export const summarizeFinesByUser = (bookings, policy = DEFAULT_LOAN_POLICY, now = new Date()) => {
+  const byUser = new Map();
+  bookings.forEach((booking) => {
+    const key = booking.user?.id ?? booking.user?.userName;
+    if (key === undefined) return;
+    if (!byUser.has(key)) byUser.set(key, { user: booking.user, bookings: [] });
+    byUser.get(key).bookings.push(booking);
+  });
+
+  return [...byUser.values()]
+    .map(({ user, bookings: userBookings }) => ({
+      user,
+      ...summarizeFines(userBookings, resolvePolicy(policy, user?.roles?.[0]), now),
+    }))
+    .filter((summary) => summary.total > 0 || summary.overdueCount > 0)
+    .sort((a, b) => b.total - a.total);
+};
+
+export const formatFine = (amount) => `৳${amount.toLocaleString('en-US')}`;
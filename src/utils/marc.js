@@ -0,0 +1,297 @@
+// MARC21 bibliographic records: ISO 2709 (.mrc) and MARCXML reading and
+// writing, plus mapping to and from the catalogue's book model.
+//
+// A record is { leader, fields } where each field is either a control field
+// { tag, value } (tags 001-009) or a data field { tag, ind1, ind2, subfields: [{ code, value }] }.
+
+const RECORD_TERMINATOR = 0x1d;
+const FIELD_TERMINATOR = 0x1e;
+const SUBFIELD_DELIMITER = 0x1f;
+const LEADER_LENGTH = 24;
+const DIRECTORY_ENTRY_LENGTH = 12;
+
+export const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+// New records: Unicode (position 9 = 'a'), language material, monograph
+const LEADER_TEMPLATE = '00000nam a2200000 i 4500';
+
+const isControlTag = (tag) => tag < '010';
+
+const utf8Decoder = new TextDecoder('utf-8');
+const utf8Encoder = new TextEncoder();
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+// ---------------------------------------------------------------------------
+// ISO 2709
+
+const parseDataField = (tag, text) => {
+  const [indicators, ...chunks] = text.split(String.fromCharCode(SUBFIELD_DELIMITER));
+  return {
+    tag,
+    ind1: indicators[0] || ' ',
+    ind2: indicators[1] || ' ',
+    subfields: chunks
+      .filter((chunk) => chunk.length > 0)
+      .map((chunk) => ({ code: chunk[0], value: chunk.slice(1) })),
+  };
+};
+
+const parseIso2709Record = (bytes) => {
+  const leader = utf8Decoder.decode(bytes.subarray(0, LEADER_LENGTH));
+  const baseAddress = parseInt(leader.slice(12, 17), 10);
+  if (Number.isNaN(baseAddress) || baseAddress <= LEADER_LENGTH) {
+    throw new Error('Invalid MARC record: bad leader');
+  }
+
+  // Directory runs from the leader to the field terminator before the base address
+  const directory = utf8Decoder.decode(bytes.subarray(LEADER_LENGTH, baseAddress - 1));
+  const fields = [];
+
+  for (let offset = 0; offset + DIRECTORY_ENTRY_LENGTH <= directory.length; offset += DIRECTORY_ENTRY_LENGTH) {
+    const tag = directory.slice(offset, offset + 3);
+    const length = parseInt(directory.slice(offset + 3, offset + 7), 10);
+    const start = parseInt(directory.slice(offset + 7, offset + 12), 10);
+
+    // Lengths and offsets are in bytes, so slice before decoding
+    let fieldBytes = bytes.subarray(baseAddress + start, baseAddress + start + length);
+    if (fieldBytes[fieldBytes.length - 1] === FIELD_TERMINATOR) {
+      fieldBytes = fieldBytes.subarray(0, fieldBytes.length - 1);
+    }
+    const text = utf8Decoder.decode(fieldBytes);
+
+    fields.push(isControlTag(tag) ? { tag, value: text } : parseDataField(tag, text));
+  }
+
+  return { leader, fields };
+};
+
+/**
+ * Parse a binary MARC21 file (one or more ISO 2709 records). Only UTF-8
+ * records are decoded correctly; MARC-8 text is read as if it were UTF-8.
+ */
+export const parseMarc21 = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const records = [];
+  let start = 0;
+
+  for (let i = 0; i < bytes.length; i += 1) {
+    if (bytes[i] === RECORD_TERMINATOR) {
+      const recordBytes = bytes.subarray(start, i + 1);
+      // Skip stray newlines some systems put between records
+      const firstDigit = recordBytes.findIndex((byte) => byte >= 0x30 && byte <= 0x39);
+      if (firstDigit !== -1) records.push(parseIso2709Record(recordBytes.subarray(firstDigit)));
+      start = i + 1;
+    }
+  }
+
+  return records;
+};
+
+const encodeField = (field) => {
+  const text = isControlTag(field.tag)
+    ? field.value
+    : `${field.ind1 || ' '}${field.ind2 || ' '}` + field.subfields
+      .map(({ code, value }) => `${String.fromCharCode(SUBFIELD_DELIMITER)}${code}${value}`)
+      .join('');
+  return utf8Encoder.encode(text + String.fromCharCode(FIELD_TERMINATOR));
+};
+
+const serializeIso2709Record = (record) => {
+  const encodedFields = record.fields.map((field) => ({ tag: field.tag, bytes: encodeField(field) }));
+
+  let position = 0;
+  const directory = encodedFields
+    .map(({ tag, bytes }) => {
+      const entry = `${tag}${pad(bytes.length, 4)}${pad(position, 5)}`;
+      position += bytes.length;
+      return entry;
+    })
+    .join('') + String.fromCharCode(FIELD_TERMINATOR);
+
+  const baseAddress = LEADER_LENGTH + directory.length;
+  const recordLength = baseAddress + position + 1;
+  const leader = pad(recordLength, 5)
+    + (record.leader || LEADER_TEMPLATE).slice(5, 9) + 'a'
+    + (record.leader || LEADER_TEMPLATE).slice(10, 12)
+    + pad(baseAddress, 5)
+    + (record.leader || LEADER_TEMPLATE).slice(17, 24);
+
+  const output = new Uint8Array(recordLength);
+  output.set(utf8Encoder.encode(leader + directory), 0);
+  let offset = baseAddress;
+  encodedFields.forEach(({ bytes }) => {
+    output.set(bytes, offset);
+    offset += bytes.length;
+  });
+  output[offset] = RECORD_TERMINATOR;
+  return output;
+};
+
+// Returns a Uint8Array holding all records back to back
+export const serializeMarc21 = (records) => {
+  const parts = records.map(serializeIso2709Record);
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+};
+
+// ---------------------------------------------------------------------------
+// MARCXML
+
+const childrenByName = (element, name) =>
+  Array.from(element.childNodes).filter((node) => node.nodeType === 1 && node.localName === name);
+
+export const parseMarcXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not valid XML.');
+  }
+
+  return Array.from(doc.getElementsByTagNameNS('*', 'record')).map((recordElement) => {
+    const leaderElement = childrenByName(recordElement, 'leader')[0];
+    const fields = [];
+
+    Array.from(recordElement.childNodes).forEach((node) => {
+      if (node.nodeType !== 1) return;
+      const tag = node.getAttribute('tag');
+      if (node.localName === 'controlfield') {
+        fields.push({ tag, value: node.textContent });
+      } else if (node.localName === 'datafield') {
+        fields.push({
+          tag,
+          ind1: node.getAttribute('ind1') || ' ',
+          ind2: node.getAttribute('ind2') || ' ',
+          subfields: childrenByName(node, 'subfield').map((subfield) => ({
+            code: subfield.getAttribute('code'),
+            value: subfield.textContent,
+          })),
+        });
+      }
+    });
+
+    return { leader: leaderElement?.textContent || LEADER_TEMPLATE, fields };
+  });
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const serializeMarcXml = (records) => {
+  const body = records.map((record) => {
+    const fields = record.fields.map((field) => {
+      if (isControlTag(field.tag)) {
+        return `    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`;
+      }
+      const subfields = field.subfields
+        .map(({ code, value }) => `      <subfield code="${escapeXml(code)}">${escapeXml(value)}</subfield>`)
+        .join('\n');
+      return `    <datafield tag="${field.tag}" ind1="${escapeXml(field.ind1 || ' ')}" ind2="${escapeXml(field.ind2 || ' ')}">\n${subfields}\n    </datafield>`;
+    }).join('\n');
+
+    return `  <record>\n    <leader>${escapeXml(record.leader || LEADER_TEMPLATE)}</leader>\n${fields}\n  </record>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARCXML_NAMESPACE}">\n${body}\n</collection>\n`;
+};
+
+// ---------------------------------------------------------------------------
+// Book model mapping
+
+const findField = (record, tag) => record.fields.find((field) => field.tag === tag);
+
+const getSubfield = (field, code) => field?.subfields?.find((subfield) => subfield.code === code)?.value;
+
+// ISBD punctuation ends most subfields ("Title /", "Author,", "2001.")
+const stripPunctuation = (value) => (value || '').replace(/[\s/:;,.=]+$/, '').trim();
+
+// Alternate-script (880) field linked to `tag`, e.g. the Bengali form of 100
+const findLinkedField = (record, tag) =>
+  record.fields.find((field) => field.tag === '880' && (getSubfield(field, '6') || '').startsWith(tag));
+
+const extractYear = (record) => {
+  const imprint = getSubfield(findField(record, '264'), 'c') || getSubfield(findField(record, '260'), 'c');
+  const fromImprint = imprint?.match(/\d{4}/)?.[0];
+  if (fromImprint) return fromImprint;
+
+  const fixed = findField(record, '008')?.value || '';
+  const fromFixed = fixed.slice(7, 11);
+  return /^\d{4}$/.test(fromFixed) ? fromFixed : '';
+};
+
+/**
+ * Map a MARC record onto the book model: 245 title, 100 author (880 for the
+ * Bengali form), 020 ISBN, 264/260 year, 650 subject as genre, 520 summary.
+ */
+export const marcRecordToBook = (record) => {
+  const titleField = findField(record, '245');
+  const title = [getSubfield(titleField, 'a'), getSubfield(titleField, 'b')]
+    .filter(Boolean)
+    .map(stripPunctuation)
+    .join(': ');
+
+  const authorField = findField(record, '100') || findField(record, '110') || findField(record, '700');
+  const isbnValue = getSubfield(findField(record, '020'), 'a') || '';
+
+  return {
+    title,
+    author: stripPunctuation(getSubfield(authorField, 'a')),
+    authorBengali: stripPunctuation(getSubfield(findLinkedField(record, '100'), 'a')),
+    publishedYear: extractYear(record),
+    isbn: (isbnValue.match(/[\dXx-]{10,17}/)?.[0] || '').replace(/-/g, ''),
+    genre: stripPunctuation(getSubfield(findField(record, '650') || findField(record, '655'), 'a')),
+    description: (getSubfield(findField(record, '520'), 'a') || '').trim(),
+  };
+};
+
+const fixedLengthData = (book) => {
+  const now = new Date();
+  const entered = `${String(now.getFullYear()).slice(2)}${pad(now.getMonth() + 1, 2)}${pad(now.getDate(), 2)}`;
+  const year = /^\d{4}$/.test(String(book.publishedYear)) ? String(book.publishedYear) : '    ';
+  const language = /[ঀ-৿]/.test(book.title || '') ? 'ben' : 'eng';
+  // 008 for books: 40 characters, mostly blank for our purposes
+  return `${entered}s${year}    xx ${' '.repeat(17)}${language} d`;
+};
+
+export const bookToMarcRecord = (book) => {
+  const fields = [];
+  if (book.id !== undefined && book.id !== null) fields.push({ tag: '001', value: String(book.id) });
+  fields.push({ tag: '008', value: fixedLengthData(book) });
+
+  if (book.isbn) fields.push({ tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: book.isbn }] });
+
+  if (book.author) {
+    const subfields = [{ code: 'a', value: book.author }];
+    if (book.authorBengali) subfields.unshift({ code: '6', value: '880-01' });
+    fields.push({ tag: '100', ind1: '1', ind2: ' ', subfields });
+  }
+
+  fields.push({ tag: '245', ind1: book.author ? '1' : '0', ind2: '0', subfields: [{ code: 'a', value: book.title || '' }] });
+
+  if (book.publishedYear) {
+    fields.push({ tag: '264', ind1: ' ', ind2: '1', subfields: [{ code: 'c', value: String(book.publishedYear) }] });
+  }
+  if (book.description) {
+    fields.push({ tag: '520', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: book.description }] });
+  }
+  if (book.genre) {
+    fields.push({ tag: '650', ind1: ' ', ind2: '0', subfields: [{ code: 'a', value: book.genre }] });
+  }
+  if (book.author && book.authorBengali) {
+    fields.push({
+      tag: '880',
+      ind1: '1',
+      ind2: ' ',
+      subfields: [{ code: '6', value: '100-01' }, { code: 'a', value: book.authorBengali }],
+    });
+  }
+
+  return { leader: LEADER_TEMPLATE, fields };
+};
@@ -0,0 +1,166 @@
+import {
+  parseMarc21,
+  serializeMarc21,
+  parseMarcXml,
+  serializeMarcXml,
+  marcRecordToBook,
+  bookToMarcRecord,
+  MARCXML_NAMESPACE
+} from './marc';
+
+const bengaliBook = {
+  id: 7,
+  title: 'পথের পাঁচালী',
+  author: 'Bibhutibhushan Bandyopadhyay',
+  authorBengali: 'বিভূতিভূষণ বন্দ্যোপাধ্যায়',
+  publishedYear: '1929',
+  isbn: '9789849012344',
+  genre: 'Fiction',
+  description: 'অপু ও দুর্গার শৈশব।'
+};
+
+const englishBook = {
+  title: 'Pride & Prejudice <annotated>',
+  author: 'Jane Austen',
+  publishedYear: '1813',
+  isbn: '9780141439518',
+  genre: 'Romance',
+  description: 'Elizabeth Bennet and "Mr Darcy".'
+};
+
+const asText = (bytes) => new TextDecoder().decode(bytes);
+
+describe('MARC21 (ISO 2709)', () => {
+  it('round-trips records with multi-byte Bengali text', () => {
+    const records = [bookToMarcRecord(bengaliBook), bookToMarcRecord(englishBook)];
+
+    const parsed = parseMarc21(serializeMarc21(records));
+
+    expect(parsed).toHaveLength(2);
+    expect(parsed.map((record) => record.fields)).toEqual(records.map((record) => record.fields));
+    expect(marcRecordToBook(parsed[0])).toMatchObject({
+      title: bengaliBook.title,
+      authorBengali: bengaliBook.authorBengali,
+      description: bengaliBook.description
+    });
+  });
+
+  it('counts lengths and offsets in bytes, not characters', () => {
+    const bytes = serializeMarc21([bookToMarcRecord(bengaliBook)]);
+    const leader = asText(bytes.subarray(0, 24));
+    const baseAddress = Number(leader.slice(12, 17));
+
+    expect(Number(leader.slice(0, 5))).toBe(bytes.length);
+    expect(leader[9]).toBe('a');
+
+    // Every directory entry must point at exactly one field, terminator included
+    const directory = asText(bytes.subarray(24, baseAddress - 1));
+    for (let offset = 0; offset < directory.length; offset += 12) {
+      const length = Number(directory.slice(offset + 3, offset + 7));
+      const start = Number(directory.slice(offset + 7, offset + 12));
+      expect(bytes[baseAddress + start + length - 1]).toBe(0x1e);
+    }
+    expect(bytes[bytes.length - 1]).toBe(0x1d);
+  });
+
+  it('skips newlines between records', () => {
+    const record = serializeMarc21([bookToMarcRecord(englishBook)]);
+    const withNewlines = new Uint8Array([...record, 0x0a, ...record, 0x0d, 0x0a]);
+
+    expect(parseMarc21(withNewlines.buffer)).toHaveLength(2);
+  });
+
+  it('rejects a record with a broken leader', () => {
+    const bytes = new TextEncoder().encode('00026nam a22?????i 4500\u001e\u001d');
+
+    expect(() => parseMarc21(bytes)).toThrow('Invalid MARC record: bad leader');
+  });
+});
+
+describe('MARCXML', () => {
+  it('round-trips records, escaping markup characters', () => {
+    const records = [bookToMarcRecord(englishBook), bookToMarcRecord(bengaliBook)];
+    const xml = serializeMarcXml(records);
+
+    expect(xml).toContain(`xmlns="${MARCXML_NAMESPACE}"`);
+    expect(xml).toContain('Pride &amp; Prejudice &lt;annotated&gt;');
+    expect(parseMarcXml(xml)).toEqual(records);
+  });
+
+  it('reads namespaced records from other systems', () => {
+    const xml = `<?xml version="1.0"?>
+      <marc:collection xmlns:marc="${MARCXML_NAMESPACE}">
+        <marc:record>
+          <marc:leader>00000cam a2200000 i 4500</marc:leader>
+          <marc:datafield tag="245" ind1="1" ind2="0">
+            <marc:subfield code="a">Gitanjali /</marc:subfield>
+          </marc:datafield>
+        </marc:record>
+      </marc:collection>`;
+
+    const [record] = parseMarcXml(xml);
+
+    expect(record.leader).toBe('00000cam a2200000 i 4500');
+    expect(marcRecordToBook(record).title).toBe('Gitanjali');
+  });
+
+  it('throws on malformed XML', () => {
+    expect(() => parseMarcXml('<collection><record>')).toThrow('The file is not valid XML.');
+  });
+});
+
+describe('book mapping', () => {
+  it('maps a book to MARC and back', () => {
+    const { id, ...fields } = bengaliBook;
+
+    expect(marcRecordToBook(bookToMarcRecord(bengaliBook))).toEqual(fields);
+  });
+
+  it('links the Bengali author through 880', () => {
+    const record = bookToMarcRecord(bengaliBook);
+    const author = record.fields.find((field) => field.tag === '100');
+    const linked = record.fields.find((field) => field.tag === '880');
+
+    expect(author.subfields[0]).toEqual({ code: '6', value: '880-01' });
+    expect(linked.subfields).toEqual([
+      { code: '6', value: '100-01' },
+      { code: 'a', value: bengaliBook.authorBengali }
+    ]);
+  });
+
+  it('marks Bengali titles as Bengali in 008', () => {
+    const fixed = (book) => bookToMarcRecord(book).fields.find((field) => field.tag === '008').value;
+
+    expect(fixed(bengaliBook)).toHaveLength(40);
+    expect(fixed(bengaliBook).slice(35, 38)).toBe('ben');
+    expect(fixed(englishBook).slice(35, 38)).toBe('eng');
+  });
+
+  it('strips ISBD punctuation and falls back to 008 for the year', () => {
+    const record = {
+      leader: '00000nam a2200000 a 4500',
+      fields: [
+        { tag: '008', value: '990101s1999    xx                  eng d' },
+        { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: '0-306-40615-2 (pbk.)' }] },
+        { tag: '100', ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: 'Hunt, Andrew,' }] },
+        {
+          tag: '245',
+          ind1: '1',
+          ind2: '0',
+          subfields: [{ code: 'a', value: 'The pragmatic programmer :' }, { code: 'b', value: 'from journeyman to master /' }]
+        },
+        { tag: '650', ind1: ' ', ind2: '0', subfields: [{ code: 'a', value: 'Computer programming.' }] }
+      ]
+    };
+
+    expect(marcRecordToBook(record)).toEqual({
+      title: 'The pragmatic programmer: from journeyman to master',
+      author: 'Hunt, Andrew',
+      authorBengali: '',
+      publishedYear: '1999',
+      isbn: '0306406152',
+      genre: 'Computer programming',
+      description: ''
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// Server-side paging for admin lists.
+//
+// A query is { page (0-based), size, sort: { key, direction }, search, filters }
+// and a page is { items, total, page, size }.
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const PAGE_SIZE_OPTIONS = [10, 20, 50, 100];
+
+// Page size used when collecting every matching row, e.g. for exports
+const FETCH_ALL_PAGE_SIZE = 500;
+
+export const EMPTY_PAGE = { items: [], total: 0, page: 0, size: DEFAULT_PAGE_SIZE };
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Request params in Spring Data style: page, size, sort=field,dir, plus
+ * `search` and one param per non-blank column filter.
+ */
+export const toPageParams = ({ page = 0, size = DEFAULT_PAGE_SIZE, sort, search, filters = {} } = {}) => {
+  const params = { page, size };
+  if (sort?.key) params.sort = `${sort.key},${sort.direction || 'asc'}`;
+  if (!isBlank(search)) params.search = search.trim();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!isBlank(value)) params[key] = typeof value === 'string' ? value.trim() : value;
+  });
+  return params;
+};
+
+// Accepts a Spring Page ({ content, totalElements, number, size }) or, from
+// servers without paging, a plain array
+export const normalizePage = (data, query = {}) => {
+  if (Array.isArray(data)) {
+    return { items: data, total: data.length, page: 0, size: data.length };
+  }
+  return {
+    items: data?.content ?? data?.items ?? [],
+    total: data?.totalElements ?? data?.total ?? 0,
+    page: data?.number ?? data?.page ?? query.page ?? 0,
+    size: data?.size ?? query.size ?? DEFAULT_PAGE_SIZE,
+  };
+};
+
+/**
+ * Every row matching `query`, walking the pages. `fetchPage` is an APIService
+ * page method; its error is thrown so callers can show the message.
+ */
+export const fetchAllPages = async (fetchPage, query = {}) => {
+  const items = [];
+  for (let page = 0; ; page += 1) {
+    const result = await fetchPage({ ...query, page, size: FETCH_ALL_PAGE_SIZE });
+    if (!result.success) throw result.error;
+    items.push(...result.data.items);
+    if (result.data.items.length === 0 || items.length >= result.data.total) return items;
+  }
+};
@@ -0,0 +1,80 @@
+import { DEFAULT_PAGE_SIZE, EMPTY_PAGE, toPageParams, normalizePage, fetchAllPages } from './paging';
+
+describe('toPageParams', () => {
+  it('defaults to the first page', () => {
+    expect(toPageParams()).toEqual({ page: 0, size: DEFAULT_PAGE_SIZE });
+  });
+
+  it('sends sort as field,direction, ascending unless told otherwise', () => {
+    expect(toPageParams({ sort: { key: 'title', direction: 'desc' } }).sort).toBe('title,desc');
+    expect(toPageParams({ sort: { key: 'title' } }).sort).toBe('title,asc');
+    expect(toPageParams({ sort: {} })).not.toHaveProperty('sort');
+  });
+
+  it('trims search and filters and drops the blank ones', () => {
+    const params = toPageParams({
+      page: 2,
+      size: 50,
+      search: '  tagore ',
+      filters: { genre: ' Poetry ', status: '', role: null, available: false, copies: 0 }
+    });
+
+    expect(params).toEqual({ page: 2, size: 50, search: 'tagore', genre: 'Poetry', available: false, copies: 0 });
+    expect(toPageParams({ search: '   ' })).not.toHaveProperty('search');
+  });
+});
+
+describe('normalizePage', () => {
+  it('reads a Spring page', () => {
+    const data = { content: [{ id: 1 }], totalElements: 41, number: 2, size: 20 };
+
+    expect(normalizePage(data)).toEqual({ items: [{ id: 1 }], total: 41, page: 2, size: 20 });
+  });
+
+  it('reads an { items, total } page, filling page and size from the query', () => {
+    expect(normalizePage({ items: [{ id: 1 }], total: 1 }, { page: 3, size: 10 }))
+      .toEqual({ items: [{ id: 1 }], total: 1, page: 3, size: 10 });
+  });
+
+  it('treats a plain array as a single page', () => {
+    expect(normalizePage([{ id: 1 }, { id: 2 }], { page: 4, size: 10 }))
+      .toEqual({ items: [{ id: 1 }, { id: 2 }], total: 2, page: 0, size: 2 });
+  });
+
+  it('copes with an empty body', () => {
+    expect(normalizePage(null)).toEqual(EMPTY_PAGE);
+  });
+});
+
+describe('fetchAllPages', () => {
+  const pageOf = (items, total) => ({ success: true, data: { items, total } });
+
+  it('walks the pages until it has every row', async () => {
+    const fetchPage = jest.fn()
+      .mockResolvedValueOnce(pageOf([1, 2], 3))
+      .mockResolvedValueOnce(pageOf([3], 3));
+
+    await expect(fetchAllPages(fetchPage, { search: 'x', page: 7 })).resolves.toEqual([1, 2, 3]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+    expect(fetchPage).toHaveBeenNthCalledWith(1, { search: 'x', page: 0, size: 500 });
+    expect(fetchPage).toHaveBeenNthCalledWith(2, { search: 'x', page: 1, size: 500 });
+  });
+
+  it('stops on an empty page even if the total promised more', async () => {
+    const fetchPage = jest.fn()
+      .mockResolvedValueOnce(pageOf([1], 10))
+      .mockResolvedValueOnce(pageOf([], 10));
+
+    await expect(fetchAllPages(fetchPage)).resolves.toEqual([1]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('throws the page error', async () => {
+    const error = new Error('Failed to fetch users');
+    const fetchPage = jest.fn()
+      .mockResolvedValueOnce(pageOf([1], 2))
+      .mockResolvedValueOnce({ success: false, error, data: EMPTY_PAGE });
+
+    await expect(fetchAllPages(fetchPage)).rejects.toBe(error);
+  });
+});
@@ -0,0 +1,65 @@
+// Central permission map. Routes, the Navbar and individual buttons all check
+// these instead of comparing role names, so a new role only needs an entry here.
+
+export const ROLES = {
+  USER: 'ROLE_USER',
+  LIBRARIAN: 'ROLE_LIBRARIAN',
+  ADMIN: 'ROLE_ADMIN',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.USER]: 'Member',
+  [ROLES.LIBRARIAN]: 'Librarian',
+  [ROLES.ADMIN]: 'Administrator',
+};
+
+export const PERMISSIONS = {
+  BOOKS_READ: 'books:read',
+  BOOKS_WRITE: 'books:write',
+  BOOKS_DELETE: 'books:delete',
+  INVENTORY_WRITE: 'inventory:write',
+  BOOKINGS_CREATE: 'bookings:create',
+  BOOKINGS_READ_OWN: 'bookings:read_own',
+  BOOKINGS_READ_ALL: 'bookings:read_all',
+  BOOKINGS_RETURN: 'bookings:return',
+  BOOKINGS_CHECKOUT: 'bookings:checkout',
+  HOLDS_CREATE: 'holds:create',
+  HOLDS_MANAGE: 'holds:manage',
+  POLICIES_WRITE: 'policies:write',
+  USERS_READ: 'users:read',
+  USERS_WRITE: 'users:write',
+  USERS_DELETE: 'users:delete',
+  USERS_ASSIGN_ROLES: 'users:assign_roles',
+  AUDIT_READ: 'audit:read',
+  ADMIN_PANEL: 'admin:access',
+};
+
+const USER_PERMISSIONS = [
+  PERMISSIONS.BOOKS_READ,
+  PERMISSIONS.BOOKINGS_CREATE,
+  PERMISSIONS.BOOKINGS_READ_OWN,
+  PERMISSIONS.HOLDS_CREATE,
+];
+
+// Front desk staff: circulation and stock counts, but no catalogue edits or deletes
+const LIBRARIAN_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  PERMISSIONS.INVENTORY_WRITE,
+  PERMISSIONS.BOOKINGS_READ_ALL,
+  PERMISSIONS.BOOKINGS_RETURN,
+  PERMISSIONS.BOOKINGS_CHECKOUT,
+  PERMISSIONS.HOLDS_MANAGE,
+  PERMISSIONS.ADMIN_PANEL,
+];
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.USER]: USER_PERMISSIONS,
+  [ROLES.LIBRARIAN]: LIBRARIAN_PERMISSIONS,
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+export const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+export const hasPermission = (role, permission) => {
+  return getPermissionsForRole(role).includes(permission);
+};
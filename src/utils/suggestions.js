@@ -0,0 +1,96 @@
+// Typeahead suggestions for BookSearch, grouped into books, authors and genres
+
+import { phoneticMatch } from './bangla';
+
+const MIN_TERM_LENGTH = 2;
+const DEFAULT_GROUP_LIMIT = 5;
+
+const normalize = (value) => (value || '').toString().toLowerCase().trim();
+
+// Matches at the start of the text (or of a word) rank above matches mid-word;
+// spelling-insensitive matches across Latin and Bengali rank last
+const scoreMatch = (text, term) => {
+  const haystack = normalize(text);
+  const index = haystack.indexOf(term);
+  if (index === -1) return phoneticMatch(haystack, term) ? 0.5 : -1;
+  if (index === 0) return 3;
+  if (/\s/.test(haystack[index - 1])) return 2;
+  return 1;
+};
+
+const topMatches = (entries, limit) =>
+  entries
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+    .slice(0, limit);
+
+export const buildSuggestions = (books, rawTerm, limit = DEFAULT_GROUP_LIMIT) => {
+  const term = normalize(rawTerm);
+  if (term.length < MIN_TERM_LENGTH) {
+    return { books: [], authors: [], genres: [] };
+  }
+
+  const bookEntries = books.map((book) => ({
+    type: 'book',
+    id: book.id,
+    value: book.title,
+    label: book.title,
+    sublabel: book.author,
+    score: scoreMatch(book.title, term),
+  }));
+
+  // One entry per author, matching either the English or the Bengali name
+  const authorMap = new Map();
+  books.forEach((book) => {
+    if (!book.author || authorMap.has(book.author)) return;
+    const englishScore = scoreMatch(book.author, term);
+    const bengaliScore = scoreMatch(book.authorBengali, term);
+    const matchedBengali = bengaliScore > englishScore;
+    authorMap.set(book.author, {
+      type: 'author',
+      value: book.author,
+      label: matchedBengali ? book.authorBengali : book.author,
+      sublabel: matchedBengali ? book.author : book.authorBengali || '',
+      score: Math.max(englishScore, bengaliScore),
+    });
+  });
+
+  const genreMap = new Map();
+  books.forEach((book) => {
+    if (!book.genre) return;
+    const existing = genreMap.get(book.genre);
+    if (existing) {
+      existing.count += 1;
+      existing.sublabel = `${existing.count} books`;
+      return;
+    }
+    genreMap.set(book.genre, {
+      type: 'genre',
+      value: book.genre,
+      label: book.genre,
+      sublabel: '1 book',
+      count: 1,
+      score: scoreMatch(book.genre, term),
+    });
+  });
+
+  return {
+    books: topMatches(bookEntries, limit),
+    authors: topMatches([...authorMap.values()], limit),
+    genres: topMatches([...genreMap.values()], limit),
+  };
+};
+
+// Splits `text` into [{ text, match }] parts for highlighting the first match of `term`
+export const splitOnMatch = (text, rawTerm) => {
+  const term = normalize(rawTerm);
+  const value = text || '';
+  const index = term ? value.toLowerCase().indexOf(term) : -1;
+  if (index === -1) return [{ text: value, match: false }];
+
+  return [
+    { text: value.slice(0, index), match: false },
+    { text: value.slice(index, index + term.length), match: true },
+    { text: value.slice(index + term.length), match: false },
+  ].filter((part) => part.text);
+};
@@ -0,0 +1,22 @@
+// Soft deletes: deleted books and users go to the Trash, where an admin can
+// restore them or purge them for good.
+
+export const TRASH_TYPES = {
+  BOOK: 'BOOK',
+  USER: 'USER',
+};
+
+// How long the "Undo" toast stays up after a delete
+export const UNDO_WINDOW_MS = 8000;
+
+// Shown instead of deleting when loans are still out. `activeLoans` may be
+// unknown when the server refuses without saying how many.
+export const describeDeleteBlock = (type, name, activeLoans) => {
+  const count = activeLoans > 0 ? `${activeLoans} ` : '';
+  if (type === TRASH_TYPES.USER) {
+    return `${name} still has ${count}unreturned book(s). Check them in before deleting the account.`;
+  }
+  return `"${name}" has ${count}active loan(s). Check those copies back in before deleting the title.`;
+};
+
+export const formatDeletedBy = (item) => item.deletedBy?.userName || item.deletedBy || '-';